@@ -0,0 +1,91 @@
+import * as THREE from 'three';
+import catalogData from '../data/bodies.json';
+import { heliocentricFromElements, orbitPathFromElements } from './ephemeris.js';
+import { eclipticToScene, SCENE_UNITS_PER_AU } from './coordinates.js';
+import { t } from './i18n.js';
+
+// 天体目录：所有天体的数据都来自 src/data/bodies.json，新增天体时修改该文件，
+// 并在 src/locales/ 下各语言的bodies中加入天体的名称和信息面板中显示的文字
+//
+// 每个天体的字段：
+//   id, type(star/planet/dwarf/moon), parent（所绕转天体的id，太阳为null）
+//   radius: 场景中的示意半径；radiusKm: 真实半径
+//   rotationPeriodHours: 恒星自转周期（小时）；axialTilt: 自转轴倾角（度，大于90°表示逆向自转）
+//   color: 没有贴图时使用的颜色；textures: { map, nightMap, normalMap, specularMap, cloudMap } 贴图文件名
+//   rings: { innerRadius, outerRadius, color, opacity } 可选的行星环
+//   orbit:
+//     type "elements"  - 日心轨道，elements为J2000轨道根数及每世纪变化率，sceneSemiMajorAxis为场景中的半长轴
+//     type "circular"  - 绕行星的圆轨道，sceneRadius, periodDays, inclination（相对黄道，度）, meanLongitudeJ2000（度）
+//                        semiMajorAxisKm为真实轨道半径，按真实比例显示时使用（见sceneScale.js）
+//     type "ephemeris" - 位置由星历模块直接给出（地球和月球）
+//                        sceneSemiMajorAxis为示意轨道的半长轴，displayEccentricity为夸张后的离心率；
+//                        月球的semiMajorAxisKm为真实的平均距离；
+//                        月球的inclination为白道倾角的初始值（度），可在控制面板中调节
+
+export const bodies = catalogData.bodies;
+
+const bodyMap = new Map(bodies.map((body) => [body.id, body]));
+
+export function getBody(id) {
+  return bodyMap.get(id);
+}
+
+// 当前语言的天体名称
+export function getBodyName(id) {
+  return t(`bodies.${id}.name`);
+}
+
+// 当前语言的信息面板文字（数组）
+export function getBodyFacts(id) {
+  return t(`bodies.${id}.facts`);
+}
+
+// 绕某个天体运行的所有天体
+export function getSatellites(parentId) {
+  return bodies.filter((body) => body.parent === parentId);
+}
+
+// 目录中引用的全部贴图：[{ bodyId, slot, file }]
+export function getTextureFiles() {
+  const files = [];
+  bodies.forEach((body) => {
+    Object.entries(body.textures || {}).forEach(([slot, file]) => {
+      files.push({ bodyId: body.id, slot, file });
+    });
+  });
+  return files;
+}
+
+// 日心距离（AU）换算为场景单位的比例：示意尺度下半长轴为sceneSemiMajorAxis，真实尺度下为SCENE_UNITS_PER_AU；
+// trueDistance在0到1之间时两者线性过渡
+export function getHeliocentricSceneScale(body, T, trueDistance = 0) {
+  const { elements, sceneSemiMajorAxis } = body.orbit;
+  const schematicScale = sceneSemiMajorAxis / (elements.a[0] + elements.a[1] * T);
+  return THREE.MathUtils.lerp(schematicScale, SCENE_UNITS_PER_AU, trueDistance);
+}
+
+// 按轨道根数计算的日心位置，换算到场景尺度（保持真实的离心率）
+export function getHeliocentricScenePosition(body, T, target = new THREE.Vector3(), trueDistance = 0) {
+  const position = heliocentricFromElements(body.orbit.elements, T);
+  const scale = getHeliocentricSceneScale(body, T, trueDistance);
+  return eclipticToScene(position.x, position.y, position.z, target).multiplyScalar(scale);
+}
+
+// 日心轨道线上的场景坐标点（示意尺度）
+export function getHeliocentricScenePath(body, T) {
+  const scale = getHeliocentricSceneScale(body, T);
+  return orbitPathFromElements(body.orbit.elements, T).map((point) =>
+    eclipticToScene(point.x, point.y, point.z).multiplyScalar(scale)
+  );
+}
+
+// 圆轨道卫星的平黄经（弧度）
+export function getCircularOrbitAngle(body, daysSinceJ2000) {
+  const { periodDays, meanLongitudeJ2000 } = body.orbit;
+  return (meanLongitudeJ2000 + daysSinceJ2000 / periodDays * 360) * Math.PI / 180;
+}
+
+// 天体绕自转轴转过的角度（弧度）
+export function getRotationAngle(body, daysSinceJ2000) {
+  return daysSinceJ2000 * 24 / body.rotationPeriodHours * Math.PI * 2;
+}
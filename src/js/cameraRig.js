@@ -0,0 +1,205 @@
+import * as THREE from 'three';
+
+// 摄像机装置
+// free:   自由视角，OrbitControls围绕固定点旋转
+// follow: 跟随天体，每帧把OrbitControls的目标移到天体的世界坐标，摄像机随之平移，仍可自由旋转缩放
+// chase:  追尾视角，摄像机位于天体运动方向的后上方
+// 切换目标时平滑飞行，飞行终点每帧根据天体的最新位置重新计算，不会飞到天体原来的位置
+
+const FLIGHT_DURATION = 2;
+
+function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+export class CameraRig {
+  constructor(camera, controls) {
+    this.camera = camera;
+    this.controls = controls;
+    this.mode = 'free';
+    this.target = null;
+    this.targetRadius = 1;
+    this.flight = null;
+    this.listeners = [];
+
+    this.defaultMinDistance = controls.minDistance;
+    this.previousTargetPosition = new THREE.Vector3();
+    this.chaseDirection = new THREE.Vector3(1, 0, 0);
+  }
+
+  // 跟随天体；radius为天体半径，用来确定合适的观察距离
+  follow(object, radius) {
+    this.startFlight('follow', object, radius);
+  }
+
+  chase(object, radius) {
+    this.startFlight('chase', object, radius);
+  }
+
+  // 返回以太阳为中心的自由视角
+  exitToFree(position, target) {
+    this.target = null;
+    this.controls.minDistance = this.defaultMinDistance;
+    this.flight = {
+      mode: 'free',
+      elapsed: 0,
+      startPosition: this.camera.position.clone(),
+      startTarget: this.controls.target.clone(),
+      endPosition: position.clone(),
+      endTarget: target.clone()
+    };
+    this.setMode('free');
+  }
+
+  // 不经飞行直接跟随或追尾天体，offset为摄像机相对天体的位置；用于从链接还原视角
+  jumpToTarget(mode, object, radius, offset) {
+    this.flight = null;
+    this.target = object;
+    this.targetRadius = radius;
+    this.controls.minDistance = Math.min(this.defaultMinDistance, radius * 1.5);
+    object.getWorldPosition(this.previousTargetPosition);
+    this.controls.target.copy(this.previousTargetPosition);
+    this.camera.position.copy(this.previousTargetPosition).add(offset);
+    if (mode === 'chase') {
+      this.chaseDirection.copy(offset).negate().setY(0).normalize();
+    }
+    this.setMode(mode);
+  }
+
+  // 不经飞行直接进入自由视角
+  jumpToFree(position, target) {
+    this.flight = null;
+    this.target = null;
+    this.controls.minDistance = this.defaultMinDistance;
+    this.camera.position.copy(position);
+    this.controls.target.copy(target);
+    this.setMode('free');
+  }
+
+  startFlight(mode, object, radius) {
+    const isSameTarget = this.target === object;
+    this.target = object;
+    this.targetRadius = radius;
+    this.controls.minDistance = Math.min(this.defaultMinDistance, radius * 1.5);
+
+    object.getWorldPosition(this.previousTargetPosition);
+
+    // 已经在跟随同一天体时直接切换模式，不重新飞行
+    if (isSameTarget && this.mode !== 'free' && !this.flight) {
+      this.setMode(mode);
+      return;
+    }
+
+    // 从当前视线方向接近天体，避免镜头大幅摆动
+    const approachDirection = this.camera.position.clone().sub(this.previousTargetPosition).normalize();
+    approachDirection.y = Math.max(approachDirection.y, 0.2);
+    approachDirection.normalize();
+
+    this.flight = {
+      mode,
+      elapsed: 0,
+      startPosition: this.camera.position.clone(),
+      startTarget: this.controls.target.clone(),
+      offset: approachDirection.multiplyScalar(this.getViewDistance())
+    };
+    this.setMode(mode);
+  }
+
+  // 近裁剪面随摄像机到天体表面的距离调整（见main.js），很小的天体也可以贴近观察
+  getViewDistance() {
+    return this.targetRadius * 6;
+  }
+
+  // 比例模式切换时天体大小会变化：跟随视角下摄像机按同样的比例靠近或远离，天体的视大小保持不变
+  setTargetRadius(radius) {
+    if (!this.target || radius === this.targetRadius) return;
+    const ratio = radius / this.targetRadius;
+    this.targetRadius = radius;
+    this.controls.minDistance = Math.min(this.defaultMinDistance, radius * 1.5);
+
+    if (this.flight && this.flight.offset) {
+      this.flight.offset.multiplyScalar(ratio);
+    } else if (this.mode === 'follow' && !this.flight) {
+      this.camera.position.sub(this.controls.target).multiplyScalar(ratio).add(this.controls.target);
+    }
+  }
+
+  setMode(mode) {
+    this.mode = mode;
+    this.listeners.forEach((listener) => listener(mode, this.target));
+  }
+
+  // 返回取消监听的函数
+  onModeChange(listener) {
+    this.listeners.push(listener);
+    return () => {
+      const index = this.listeners.indexOf(listener);
+      if (index >= 0) this.listeners.splice(index, 1);
+    };
+  }
+
+  // 每帧在天体位置更新之后、OrbitControls.update()之前调用
+  update(delta) {
+    const targetPosition = this.target ? this.target.getWorldPosition(new THREE.Vector3()) : null;
+
+    if (this.flight) {
+      this.updateFlight(delta, targetPosition);
+    } else if (this.mode === 'follow' && targetPosition) {
+      // 摄像机与目标一起平移，保持用户调整过的相对位置
+      const movement = targetPosition.clone().sub(this.controls.target);
+      this.camera.position.add(movement);
+      this.controls.target.copy(targetPosition);
+    } else if (this.mode === 'chase' && targetPosition) {
+      this.controls.target.copy(targetPosition);
+      this.camera.position.lerp(this.getChasePosition(targetPosition), Math.min(1, delta * 3));
+    }
+
+    if (targetPosition) {
+      this.updateChaseDirection(targetPosition);
+      this.previousTargetPosition.copy(targetPosition);
+    }
+  }
+
+  updateFlight(delta, targetPosition) {
+    const flight = this.flight;
+    flight.elapsed += delta;
+    const progress = Math.min(flight.elapsed / FLIGHT_DURATION, 1);
+    const t = easeInOutCubic(progress);
+
+    let endPosition;
+    let endTarget;
+    if (flight.mode === 'free') {
+      endPosition = flight.endPosition;
+      endTarget = flight.endTarget;
+    } else if (flight.mode === 'chase') {
+      endTarget = targetPosition;
+      endPosition = this.getChasePosition(targetPosition);
+    } else {
+      endTarget = targetPosition;
+      endPosition = targetPosition.clone().add(flight.offset);
+    }
+
+    this.camera.position.lerpVectors(flight.startPosition, endPosition, t);
+    this.controls.target.lerpVectors(flight.startTarget, endTarget, t);
+
+    if (progress >= 1) {
+      this.flight = null;
+    }
+  }
+
+  // 追尾视角的摄像机位置：运动方向的后上方
+  getChasePosition(targetPosition) {
+    const distance = this.getViewDistance();
+    return targetPosition.clone()
+      .addScaledVector(this.chaseDirection, -distance)
+      .add(new THREE.Vector3(0, distance * 0.35, 0));
+  }
+
+  updateChaseDirection(targetPosition) {
+    const velocity = targetPosition.clone().sub(this.previousTargetPosition);
+    // 暂停或几乎不动时保持原来的方向
+    if (velocity.lengthSq() > 1e-10) {
+      this.chaseDirection.lerp(velocity.normalize(), 0.1).normalize();
+    }
+  }
+}
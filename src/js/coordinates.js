@@ -0,0 +1,24 @@
+import * as THREE from 'three';
+import { EARTH_ORBITAL_ELEMENTS } from './ephemeris.js';
+
+// 场景坐标系约定：
+// y轴指向黄道北极，黄道面即场景的xz平面
+// 地球J2000近日点方向固定在-x轴上，公转方向为从上方看逆时针（-x -> +z）
+export const SCENE_PERIHELION_LONGITUDE = EARTH_ORBITAL_ELEMENTS.longPeri[0] * Math.PI / 180;
+
+// 按真实距离显示时1AU对应的场景单位，与示意地球轨道的半长轴相同，切换比例时地球轨道大小不变
+export const SCENE_UNITS_PER_AU = 20;
+
+// 黄经 -> 场景中相对近日点方向的轨道角
+export function eclipticLongitudeToSceneAngle(longitude) {
+  return longitude - SCENE_PERIHELION_LONGITUDE;
+}
+
+// 黄道直角坐标 -> 场景坐标
+export function eclipticToScene(x, y, z, target = new THREE.Vector3()) {
+  const cos = Math.cos(SCENE_PERIHELION_LONGITUDE);
+  const sin = Math.sin(SCENE_PERIHELION_LONGITUDE);
+  const xp = x * cos + y * sin;
+  const yp = -x * sin + y * cos;
+  return target.set(-xp, z, yp);
+}
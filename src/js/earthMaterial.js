@@ -0,0 +1,228 @@
+import * as THREE from 'three';
+import { moonShadowChunk } from './eclipseShading.js';
+import { INSOLATION_COLOR_MAX, INSOLATION_COLOR_STOPS } from './insolation.js';
+
+// 地球表面着色器
+// 根据太阳方向在白天贴图和夜间灯光贴图之间沿柔和的晨昏线过渡，
+// 海洋（高光贴图中的白色区域）有太阳的镜面反射，晨昏线附近带有暮光色调，
+// 云层在地面上投下阴影；日食时月影落在地面上；可叠加按瞬时日照着色的分布图
+// 地球组可以整体等比缩放（比例模式），去掉modelMatrix各列的长度后只剩旋转，用它变换法线和切线；
+// 顶点位置用modelViewMatrix变换，真实比例下地球很小、离原点很远时也不会因单精度误差抖动
+
+const earthVertexShader = `
+#include <common>
+#include <logdepthbuf_pars_vertex>
+
+varying vec2 vUv;
+varying vec3 vLocalPosition;
+varying vec3 vWorldPosition;
+varying vec3 vWorldNormal;
+varying vec3 vWorldEast;
+varying vec3 vWorldNorth;
+varying vec3 vLocalSunDirection;
+
+uniform vec3 sunPosition;
+
+void main() {
+    vUv = uv;
+    vLocalPosition = position;
+
+    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+    vWorldPosition = worldPosition.xyz;
+
+    mat3 rotation = mat3(normalize(modelMatrix[0].xyz), normalize(modelMatrix[1].xyz), normalize(modelMatrix[2].xyz));
+    vec3 localNormal = normalize(position);
+    // 切线指向东（贴图u增大的方向），副切线指向北；两极处退化为任意方向
+    vec3 east = vec3(localNormal.z, 0.0, -localNormal.x);
+    east = length(east) > 1e-4 ? normalize(east) : vec3(0.0, 0.0, -1.0);
+    vec3 north = cross(localNormal, east);
+
+    vWorldNormal = normalize(rotation * localNormal);
+    vWorldEast = normalize(rotation * east);
+    vWorldNorth = normalize(rotation * north);
+
+    // 太阳方向换算到地球局部坐标（旋转矩阵的逆即转置），用于计算云影的位置
+    vec3 sunDirection = normalize(sunPosition - worldPosition.xyz);
+    vLocalSunDirection = vec3(
+        dot(rotation[0], sunDirection),
+        dot(rotation[1], sunDirection),
+        dot(rotation[2], sunDirection)
+    );
+
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    #include <logdepthbuf_vertex>
+}
+`;
+
+// 日照色阶：由INSOLATION_COLOR_STOPS生成分段线性插值
+function insolationColorChunk() {
+  const stops = INSOLATION_COLOR_STOPS.map(([position, color]) => {
+    const { r, g, b } = new THREE.Color(color);
+    return { position: position.toFixed(3), color: `vec3(${r.toFixed(3)}, ${g.toFixed(3)}, ${b.toFixed(3)})` };
+  });
+  const steps = stops.slice(1).map((stop, i) => {
+    const previous = stops[i];
+    return `    color = mix(color, ${stop.color}, clamp((ratio - ${previous.position}) / (${stop.position} - ${previous.position}), 0.0, 1.0));`;
+  });
+  return `
+vec3 insolationColor(float ratio) {
+    vec3 color = ${stops[0].color};
+${steps.join('\n')}
+    return color;
+}
+`;
+}
+
+const earthFragmentShader = `
+#define PI 3.141592653589793
+#define INSOLATION_COLOR_MAX ${INSOLATION_COLOR_MAX.toFixed(1)}
+${moonShadowChunk}
+${insolationColorChunk()}
+#include <logdepthbuf_pars_fragment>
+
+uniform sampler2D dayMap;
+uniform sampler2D nightMap;
+uniform sampler2D specularMap;
+uniform sampler2D normalMap;
+uniform sampler2D cloudMap;
+uniform vec3 sunPosition;
+uniform float sunIntensity;
+uniform float normalScale;
+uniform float terminatorSoftness;
+uniform float nightLightsIntensity;
+uniform float specularStrength;
+uniform float twilightStrength;
+uniform vec3 twilightColor;
+uniform float cloudShadowStrength;
+uniform float cloudOffset;
+uniform float cloudHeight;
+uniform float ambientIntensity;
+uniform float insolationOverlay;
+uniform float insolationFlux;
+
+varying vec2 vUv;
+varying vec3 vLocalPosition;
+varying vec3 vWorldPosition;
+varying vec3 vWorldNormal;
+varying vec3 vWorldEast;
+varying vec3 vWorldNorth;
+varying vec3 vLocalSunDirection;
+
+// 局部方向 -> 球面贴图坐标（与SphereGeometry的uv一致）
+vec2 directionToUv(vec3 direction) {
+    return vec2(
+        atan(-direction.z, direction.x) / (2.0 * PI) + 0.5,
+        asin(clamp(direction.y, -1.0, 1.0)) / PI + 0.5
+    );
+}
+
+void main() {
+    #include <logdepthbuf_fragment>
+    vec3 geometryNormal = normalize(vWorldNormal);
+    vec3 sunDirection = normalize(sunPosition - vWorldPosition);
+    vec3 viewDirection = normalize(cameraPosition - vWorldPosition);
+
+    // 法线贴图（切线空间：x向东，y向北）
+    vec3 mapNormal = texture2D(normalMap, vUv).xyz * 2.0 - 1.0;
+    mapNormal.xy *= normalScale;
+    vec3 normal = normalize(
+        normalize(vWorldEast) * mapNormal.x +
+        normalize(vWorldNorth) * mapNormal.y +
+        geometryNormal * mapNormal.z
+    );
+
+    // 晨昏线：用几何法线判断昼夜，避免法线贴图在夜面产生亮斑
+    float sunCosine = dot(geometryNormal, sunDirection);
+    float daylight = smoothstep(-terminatorSoftness, terminatorSoftness, sunCosine);
+
+    // 云影：沿太阳方向找到遮挡该点的云，再按云层相对地面的转角取样
+    vec3 localDirection = normalize(vLocalPosition);
+    vec3 localSun = normalize(vLocalSunDirection);
+    vec3 shadowDirection = normalize(localDirection + localSun * cloudHeight / max(dot(localDirection, localSun), 0.2));
+    vec2 cloudUv = directionToUv(shadowDirection);
+    cloudUv.x = fract(cloudUv.x + cloudOffset);
+    // 取样坐标在经度±180°处不连续，用网格uv的导数选择mipmap层级，避免出现接缝
+    vec2 uvDx = dFdx(vUv);
+    vec2 uvDy = dFdy(vUv);
+    float cloud = textureGrad(cloudMap, cloudUv, uvDx, uvDy).r;
+    // 云影和月影（日食）都只遮挡直射的阳光
+    float shadow = (1.0 - cloud * cloudShadowStrength) * moonShadow(geometryNormal);
+
+    // 白天：漫反射
+    vec3 dayColor = texture2D(dayMap, vUv).rgb;
+    float diffuse = max(dot(normal, sunDirection), 0.0);
+    vec3 color = dayColor * diffuse * sunIntensity * shadow * daylight;
+
+    // 海洋的镜面反射
+    float ocean = texture2D(specularMap, vUv).r;
+    vec3 halfVector = normalize(sunDirection + viewDirection);
+    float specular = pow(max(dot(geometryNormal, halfVector), 0.0), 60.0);
+    color += vec3(1.0, 0.95, 0.85) * specular * ocean * specularStrength * shadow * daylight;
+
+    // 暮光：晨昏线附近带暖色调
+    float twilight = 1.0 - smoothstep(0.0, terminatorSoftness * 2.5, abs(sunCosine));
+    color += twilightColor * twilight * twilightStrength * dayColor * shadow;
+
+    // 夜面：城市灯光，被云层遮挡的部分减弱
+    vec3 nightLights = texture2D(nightMap, vUv).rgb;
+    float cloudCover = textureGrad(cloudMap, vec2(fract(vUv.x + cloudOffset), vUv.y), uvDx, uvDy).r;
+    color += nightLights * nightLightsIntensity * (1.0 - daylight) * (1.0 - cloudCover * 0.7);
+
+    // 微弱的环境光，使夜面的陆地轮廓隐约可见
+    color += dayColor * ambientIntensity;
+
+    // 日照分布：大气层顶的瞬时日照 = 当前日地距离处的辐照度 × 太阳天顶角余弦
+    if (insolationOverlay > 0.0) {
+        float insolation = insolationFlux * max(sunCosine, 0.0);
+        color = mix(color, insolationColor(insolation / INSOLATION_COLOR_MAX), insolationOverlay);
+    }
+
+    gl_FragColor = vec4(color, 1.0);
+
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+}
+`;
+
+// textures: { map, nightMap, specularMap, normalMap, cloudMap }，缺少的贴图用纯色代替
+// eclipseUniforms: 与月球材质共用的日月位置uniform，见eclipseShading.js
+export function createEarthMaterial(textures, sunPosition, eclipseUniforms) {
+  const black = new THREE.DataTexture(new Uint8Array([0, 0, 0, 255]), 1, 1);
+  const flatNormal = new THREE.DataTexture(new Uint8Array([128, 128, 255, 255]), 1, 1);
+  black.needsUpdate = true;
+  flatNormal.needsUpdate = true;
+
+  return new THREE.ShaderMaterial({
+    uniforms: {
+      dayMap: { value: textures.map || black },
+      nightMap: { value: textures.nightMap || black },
+      specularMap: { value: textures.specularMap || black },
+      normalMap: { value: textures.normalMap || flatNormal },
+      cloudMap: { value: textures.cloudMap || black },
+      sunPosition: { value: sunPosition },
+      sunIntensity: { value: 1.6 },
+      normalScale: { value: 0.85 },
+      terminatorSoftness: { value: 0.08 },
+      nightLightsIntensity: { value: 1.5 },
+      specularStrength: { value: 0.8 },
+      twilightStrength: { value: 0.35 },
+      twilightColor: { value: new THREE.Color(0xff7a3d) },
+      cloudShadowStrength: { value: 0.45 },
+      cloudOffset: { value: 0 },
+      // 云层相对地球半径的高度，与云层球体的1.025倍半径一致
+      cloudHeight: { value: 0.025 },
+      ambientIntensity: { value: 0.02 },
+      // 日照分布图的不透明度（0为关闭）和当前日地距离处的辐照度（W/m²）
+      insolationOverlay: { value: 0 },
+      insolationFlux: { value: 1361 },
+      ...eclipseUniforms
+    },
+    vertexShader: earthVertexShader,
+    fragmentShader: earthFragmentShader
+  });
+}
+
+// 云影的取样偏移：云层与地球的自转角之差换算为贴图u坐标
+export function updateEarthMaterial(material, earthRotation, cloudRotation) {
+  material.uniforms.cloudOffset.value = (earthRotation - cloudRotation) / (Math.PI * 2);
+}
@@ -0,0 +1,92 @@
+import { SUN_RADIUS_KM, EARTH_RADIUS_KM, MOON_RADIUS_KM } from './eclipses.js';
+
+// 日食和月食的阴影着色
+// 示意模型中的距离和大小都不是真实比例，直接用场景几何计算阴影会每个月都发生食，
+// 因此阴影按星历给出的真实日地月位置（千米）计算，再把结果画到示意模型的地球和月球表面上
+// 两个uniform都是地心坐标，方向已换算到场景坐标系：
+//   eclipseSunVector  太阳的地心位置
+//   eclipseMoonVector 月球的地心位置
+
+const radiusDefines = `
+#define ECLIPSE_SUN_RADIUS ${SUN_RADIUS_KM.toFixed(1)}
+#define ECLIPSE_EARTH_RADIUS ${EARTH_RADIUS_KM.toFixed(1)}
+#define ECLIPSE_MOON_RADIUS ${MOON_RADIUS_KM.toFixed(1)}
+`;
+
+// 月影落在地球表面：返回该点被太阳照亮的比例（0为本影中心，1为不受影响）
+// direction为该点相对地心的单位方向
+export const moonShadowChunk = `
+${radiusDefines}
+uniform vec3 eclipseSunVector;
+uniform vec3 eclipseMoonVector;
+
+float moonShadow(vec3 direction) {
+    vec3 point = direction * ECLIPSE_EARTH_RADIUS;
+    vec3 moonToSun = eclipseSunVector - eclipseMoonVector;
+    float sunDistance = length(moonToSun);
+    vec3 axis = -moonToSun / sunDistance;
+
+    vec3 relative = point - eclipseMoonVector;
+    float along = dot(relative, axis);
+    if (along <= 0.0) return 1.0;
+    float offAxis = length(relative - axis * along);
+
+    float umbra = ECLIPSE_MOON_RADIUS - along * (ECLIPSE_SUN_RADIUS - ECLIPSE_MOON_RADIUS) / sunDistance;
+    float penumbra = ECLIPSE_MOON_RADIUS + along * (ECLIPSE_SUN_RADIUS + ECLIPSE_MOON_RADIUS) / sunDistance;
+    if (offAxis >= penumbra) return 1.0;
+
+    // 本影内为全食；伪本影（umbra < 0）内为环食，剩余的亮度为日面未被遮住的比例
+    float ratio = (ECLIPSE_MOON_RADIUS / along) / (ECLIPSE_SUN_RADIUS / (sunDistance + along));
+    float core = umbra > 0.0 ? 0.0 : 1.0 - min(ratio * ratio, 1.0);
+    float coreRadius = abs(umbra);
+    if (offAxis <= coreRadius) return core;
+    return mix(core, 1.0, (offAxis - coreRadius) / (penumbra - coreRadius));
+}
+`;
+
+// 地影落在月球表面：返回颜色系数，本影中呈暗红色
+// 地球半径放大2%，近似地球大气对地影的扩大
+export const earthShadowChunk = `
+${radiusDefines}
+uniform vec3 eclipseSunVector;
+uniform vec3 eclipseMoonVector;
+
+vec3 earthShadow(vec3 direction) {
+    vec3 point = eclipseMoonVector + direction * ECLIPSE_MOON_RADIUS;
+    float sunDistance = length(eclipseSunVector);
+    vec3 axis = -eclipseSunVector / sunDistance;
+
+    float along = dot(point, axis);
+    if (along <= 0.0) return vec3(1.0);
+    float offAxis = length(point - axis * along);
+
+    float shadowRadius = ECLIPSE_EARTH_RADIUS * 1.02;
+    float umbra = shadowRadius - along * (ECLIPSE_SUN_RADIUS - ECLIPSE_EARTH_RADIUS) / sunDistance;
+    float penumbra = shadowRadius + along * (ECLIPSE_SUN_RADIUS + ECLIPSE_EARTH_RADIUS) / sunDistance;
+    if (offAxis >= penumbra) return vec3(1.0);
+
+    // 经地球大气折射进入本影的红光，越靠近本影中心越暗
+    vec3 umbraColor = vec3(0.45, 0.12, 0.05);
+    if (offAxis <= umbra) return umbraColor * mix(0.5, 1.0, offAxis / umbra);
+    return mix(umbraColor, vec3(1.0), smoothstep(0.0, 1.0, (offAxis - umbra) / (penumbra - umbra)));
+}
+`;
+
+// 给月球的MeshStandardMaterial加上地影
+export function applyEarthShadow(material, eclipseUniforms) {
+  material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, eclipseUniforms);
+
+    shader.vertexShader = 'varying vec3 vEclipseDirection;\n' + shader.vertexShader.replace(
+      '#include <beginnormal_vertex>',
+      `#include <beginnormal_vertex>
+      vEclipseDirection = normalize(mat3(modelMatrix) * objectNormal);`
+    );
+
+    shader.fragmentShader = 'varying vec3 vEclipseDirection;\n' + earthShadowChunk + shader.fragmentShader.replace(
+      '#include <opaque_fragment>',
+      `outgoingLight *= earthShadow(normalize(vEclipseDirection));
+      #include <opaque_fragment>`
+    );
+  };
+}
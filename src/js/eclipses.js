@@ -0,0 +1,178 @@
+// 日食和月食的预报
+// 采用Meeus《天文算法》第54章的方法：对每次朔（日食）或望（月食）计算
+// 影锥轴与地心（或月心）的最小距离γ（以地球赤道半径为单位）和影锥半径参数u，
+// 由此判断食的类型，并给出食甚时刻和食分，时刻精度约为几分钟
+
+import { julianDayToDate, dateToJulianDay, DELTA_T_SECONDS } from './ephemeris.js';
+import { t } from './i18n.js';
+
+const DEG = Math.PI / 180;
+
+// 真实半径（千米），阴影渲染时使用
+export const SUN_RADIUS_KM = 696000;
+export const EARTH_RADIUS_KM = 6378.14;
+export const MOON_RADIUS_KM = 1737.4;
+
+// 平均朔望月长度（天）
+const SYNODIC_MONTH = 29.530588861;
+
+// 当前语言的食的名称，见 src/locales/ 下各语言的eclipses
+// kind: solar（type为total、annular、hybrid、partial）或lunar（type为total、partial、penumbral）
+export function getEclipseName(eclipse) {
+  return t(`eclipses.${eclipse.kind}.${eclipse.type}`);
+}
+
+// 计算第k次朔望的食；k为整数时是朔（日食），k为半整数时是望（月食）
+// k = 0 对应2000年1月6日的朔
+// 返回 { kind, type, date, gamma, magnitude, duration } 或 null（不发生食）
+// duration 为月食本影（偏食）阶段的持续时间（分钟），日食为null
+export function computeEclipse(k) {
+  const isSolar = Number.isInteger(k);
+  const T = k / 1236.85;
+  const T2 = T * T, T3 = T2 * T, T4 = T3 * T;
+
+  // 太阳平近点角、月球平近点角、月球纬度参数、升交点黄经
+  const M = (2.5534 + 29.10535670 * k - 0.0000014 * T2 - 0.00000011 * T3) * DEG;
+  const Mp = (201.5643 + 385.81693528 * k + 0.0107582 * T2 + 0.00001238 * T3 - 0.000000058 * T4) * DEG;
+  const F = (160.7108 + 390.67050284 * k - 0.0016118 * T2 - 0.00000227 * T3 + 0.000000011 * T4) * DEG;
+  const Omega = (124.7746 - 1.56375588 * k + 0.0020672 * T2 + 0.00000215 * T3) * DEG;
+
+  // 月球离交点太远时不会发生食
+  if (Math.abs(Math.sin(F)) > 0.36) return null;
+
+  const E = 1 - 0.002516 * T - 0.0000074 * T2;
+  const F1 = F - 0.02665 * DEG * Math.sin(Omega);
+  const A1 = (299.77 + 0.107408 * k - 0.009173 * T2) * DEG;
+
+  // 平朔望时刻加上周期项修正，得到食甚时刻（儒略历书日）
+  let jde = 2451550.09766 + SYNODIC_MONTH * k + 0.00015437 * T2 - 0.000000150 * T3 + 0.00000000073 * T4;
+  jde += isSolar
+    ? -0.4075 * Math.sin(Mp) + 0.1721 * E * Math.sin(M)
+    : -0.4065 * Math.sin(Mp) + 0.1727 * E * Math.sin(M);
+  jde += 0.0161 * Math.sin(2 * Mp)
+    - 0.0097 * Math.sin(2 * F1)
+    + 0.0073 * E * Math.sin(Mp - M)
+    - 0.0050 * E * Math.sin(Mp + M)
+    - 0.0023 * Math.sin(Mp - 2 * F1)
+    + 0.0021 * E * Math.sin(2 * M)
+    + 0.0012 * Math.sin(Mp + 2 * F1)
+    + 0.0006 * E * Math.sin(2 * Mp + M)
+    - 0.0004 * Math.sin(3 * Mp)
+    - 0.0003 * E * Math.sin(M + 2 * F1)
+    + 0.0003 * Math.sin(A1)
+    - 0.0002 * E * Math.sin(M - 2 * F1)
+    - 0.0002 * E * Math.sin(2 * Mp - M)
+    - 0.0002 * Math.sin(Omega);
+
+  const P = 0.2070 * E * Math.sin(M)
+    + 0.0024 * E * Math.sin(2 * M)
+    - 0.0392 * Math.sin(Mp)
+    + 0.0116 * Math.sin(2 * Mp)
+    - 0.0073 * E * Math.sin(Mp + M)
+    + 0.0067 * E * Math.sin(Mp - M)
+    + 0.0118 * Math.sin(2 * F1);
+  const Q = 5.2207
+    - 0.0048 * E * Math.cos(M)
+    + 0.0020 * E * Math.cos(2 * M)
+    - 0.3299 * Math.cos(Mp)
+    - 0.0060 * E * Math.cos(Mp + M)
+    + 0.0041 * E * Math.cos(Mp - M);
+  const W = Math.abs(Math.cos(F1));
+  const gamma = (P * Math.cos(F1) + Q * Math.sin(F1)) * (1 - 0.0048 * W);
+  const u = 0.0059
+    + 0.0046 * E * Math.cos(M)
+    - 0.0182 * Math.cos(Mp)
+    + 0.0004 * Math.cos(2 * Mp)
+    - 0.0005 * Math.cos(M + Mp);
+
+  const absGamma = Math.abs(gamma);
+  // 历书时换算为UTC
+  const date = julianDayToDate(jde - DELTA_T_SECONDS / 86400);
+
+  if (isSolar) {
+    if (absGamma > 1.5433 + u) return null;
+
+    let type;
+    let magnitude;
+    if (absGamma < 0.9972) {
+      // 中心食：本影锥顶在地面以下为全食，在地面以上为环食
+      const omega = 0.00464 * Math.sqrt(1 - gamma * gamma);
+      if (u < 0) {
+        type = 'total';
+      } else if (u > omega) {
+        type = 'annular';
+      } else {
+        type = 'hybrid';
+      }
+      magnitude = null;
+    } else {
+      type = 'partial';
+      magnitude = (1.5433 + u - absGamma) / (0.5461 + 2 * u);
+    }
+    return { kind: 'solar', type, date, gamma, magnitude, duration: null };
+  }
+
+  const penumbralMagnitude = (1.5573 + u - absGamma) / 0.5450;
+  const umbralMagnitude = (1.0128 - u - absGamma) / 0.5450;
+  if (penumbralMagnitude <= 0) return null;
+
+  let type;
+  if (umbralMagnitude >= 1) {
+    type = 'total';
+  } else if (umbralMagnitude > 0) {
+    type = 'partial';
+  } else {
+    type = 'penumbral';
+  }
+
+  // 本影阶段的半持续时间（分钟）
+  const n = 0.5458 + 0.0400 * Math.cos(Mp);
+  const p = 1.0128 - u;
+  const duration = umbralMagnitude > 0 ? 2 * 60 / n * Math.sqrt(p * p - gamma * gamma) : null;
+
+  return {
+    kind: 'lunar',
+    type,
+    date,
+    gamma,
+    magnitude: umbralMagnitude > 0 ? umbralMagnitude : penumbralMagnitude,
+    duration
+  };
+}
+
+// 日期附近的朔望序号（向下取整到半个朔望月）
+function lunationAt(date) {
+  return Math.floor((dateToJulianDay(date) - 2451550.09766) / SYNODIC_MONTH * 2) / 2;
+}
+
+// 列出[start, end]之间的所有日食和月食，按时间排序；kind可限定为'solar'或'lunar'
+export function findEclipses(start, end, kind = null) {
+  const eclipses = [];
+  for (let k = lunationAt(start) - 0.5; k <= lunationAt(end) + 0.5; k += 0.5) {
+    if (kind === 'solar' && !Number.isInteger(k)) continue;
+    if (kind === 'lunar' && Number.isInteger(k)) continue;
+
+    const eclipse = computeEclipse(k);
+    if (eclipse && eclipse.date >= start && eclipse.date <= end) {
+      eclipses.push(eclipse);
+    }
+  }
+  return eclipses;
+}
+
+// 查找date之后（direction为1）或之前（direction为-1）最近的一次食
+// 每年至少有4次食，因此最多搜索两年
+export function findNextEclipse(date, direction, kind = null) {
+  const searchMilliseconds = 2 * 365.25 * 86400000;
+  // 跳过当前时刻附近1分钟内的食，避免跳转后重复找到同一次
+  const margin = 60000;
+
+  if (direction > 0) {
+    const start = new Date(date.getTime() + margin);
+    return findEclipses(start, new Date(start.getTime() + searchMilliseconds), kind)[0] || null;
+  }
+
+  const end = new Date(date.getTime() - margin);
+  const eclipses = findEclipses(new Date(end.getTime() - searchMilliseconds), end, kind);
+  return eclipses[eclipses.length - 1] || null;
+}
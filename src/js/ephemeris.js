@@ -0,0 +1,299 @@
+// 星历计算模块
+// 根据UTC日期计算太阳、地球和月球的位置
+// 行星使用JPL给出的J2000平均轨道根数（Standish, 1800-2050年适用），
+// 月球使用Meeus《天文算法》第47章的简化月球理论（精度约为几角分）
+
+import { meanToEccentricAnomaly } from './kepler.js';
+
+const DEG = Math.PI / 180;
+
+// J2000.0历元对应的儒略日
+export const J2000 = 2451545.0;
+
+// 天文单位（千米）
+export const AU_KM = 149597870.7;
+
+// 地月质量比，用于从地月质心推算地球中心位置
+const EARTH_MOON_MASS_RATIO = 81.30056;
+
+// 地球时(TT)与协调世界时(UTC)之差，近年约为69秒
+export const DELTA_T_SECONDS = 69.2;
+
+// J2000黄赤交角
+export const OBLIQUITY_J2000 = 23.43928 * DEG;
+
+// 地月质心的J2000轨道根数及每世纪变化率
+// a: 半长轴(AU), e: 离心率, I: 轨道倾角, L: 平黄经, longPeri: 近日点黄经, longNode: 升交点黄经（角度单位为度）
+export const EARTH_ORBITAL_ELEMENTS = {
+  a: [1.00000261, 0.00000562],
+  e: [0.01671123, -0.00004392],
+  I: [-0.00001531, -0.01294668],
+  L: [100.46457166, 35999.37244981],
+  longPeri: [102.93768193, 0.32327364],
+  longNode: [0.0, 0.0]
+};
+
+// 将角度归一化到[0, 2π)
+export function normalizeAngle(angle) {
+  const twoPi = Math.PI * 2;
+  return ((angle % twoPi) + twoPi) % twoPi;
+}
+
+// 日期 -> 儒略日(UTC)
+export function dateToJulianDay(date) {
+  return date.getTime() / 86400000 + 2440587.5;
+}
+
+// 儒略日(UTC) -> 日期
+export function julianDayToDate(jd) {
+  return new Date((jd - 2440587.5) * 86400000);
+}
+
+// 自J2000起算的儒略世纪数（地球时）
+export function julianCenturies(date) {
+  const jdTT = dateToJulianDay(date) + DELTA_T_SECONDS / 86400;
+  return (jdTT - J2000) / 36525;
+}
+
+// 取出某一时刻的轨道根数（角度转换为弧度）
+function elementsAt(elements, T) {
+  const value = (key) => elements[key][0] + elements[key][1] * T;
+  return {
+    a: value('a'),
+    e: value('e'),
+    I: value('I') * DEG,
+    L: value('L') * DEG,
+    longPeri: value('longPeri') * DEG,
+    longNode: value('longNode') * DEG
+  };
+}
+
+// 轨道平面内的坐标（x轴指向近日点）旋转到黄道坐标系
+function orbitalPlaneToEcliptic(xp, yp, { I, longPeri, longNode }) {
+  const argPeri = longPeri - longNode;
+  const cosW = Math.cos(argPeri), sinW = Math.sin(argPeri);
+  const cosO = Math.cos(longNode), sinO = Math.sin(longNode);
+  const cosI = Math.cos(I), sinI = Math.sin(I);
+
+  return {
+    x: (cosW * cosO - sinW * sinO * cosI) * xp + (-sinW * cosO - cosW * sinO * cosI) * yp,
+    y: (cosW * sinO + sinW * cosO * cosI) * xp + (-sinW * sinO + cosW * cosO * cosI) * yp,
+    z: (sinW * sinI) * xp + (cosW * sinI) * yp
+  };
+}
+
+// 由轨道根数计算某一时刻的日心黄道坐标（J2000黄道，单位AU）
+export function heliocentricFromElements(elements, T) {
+  const orbit = elementsAt(elements, T);
+  const { a, e, L, longPeri } = orbit;
+
+  const meanAnomaly = normalizeAngle(L - longPeri);
+  const E = meanToEccentricAnomaly(meanAnomaly, e);
+
+  // 轨道平面内的坐标，x轴指向近日点
+  const xp = a * (Math.cos(E) - e);
+  const yp = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+  const trueAnomaly = normalizeAngle(Math.atan2(yp, xp));
+  const distance = Math.sqrt(xp * xp + yp * yp);
+
+  const { x, y, z } = orbitalPlaneToEcliptic(xp, yp, orbit);
+
+  return {
+    x, y, z,
+    distance,
+    longitude: normalizeAngle(Math.atan2(y, x)),
+    latitude: Math.asin(z / distance),
+    meanAnomaly,
+    trueAnomaly,
+    eccentricity: e,
+    semiMajorAxis: a,
+    longitudeOfPerihelion: normalizeAngle(longPeri)
+  };
+}
+
+// 沿完整轨道取样的日心黄道坐标，用于绘制轨道线（按偏近点角等间隔取点）
+export function orbitPathFromElements(elements, T, segments = 256) {
+  const orbit = elementsAt(elements, T);
+  const { a, e } = orbit;
+  const points = [];
+  for (let i = 0; i < segments; i++) {
+    const E = i / segments * Math.PI * 2;
+    const xp = a * (Math.cos(E) - e);
+    const yp = a * Math.sqrt(1 - e * e) * Math.sin(E);
+    points.push(orbitalPlaneToEcliptic(xp, yp, orbit));
+  }
+  return points;
+}
+
+// 月球黄经和距离的周期项：D, M, M', F, Σl(1e-6度), Σr(1e-3千米)
+const MOON_LONGITUDE_TERMS = [
+  [0, 0, 1, 0, 6288774, -20905355],
+  [2, 0, -1, 0, 1274027, -3699111],
+  [2, 0, 0, 0, 658314, -2955968],
+  [0, 0, 2, 0, 213618, -569925],
+  [0, 1, 0, 0, -185116, 48888],
+  [0, 0, 0, 2, -114332, -3149],
+  [2, 0, -2, 0, 58793, 246158],
+  [2, -1, -1, 0, 57066, -152138],
+  [2, 0, 1, 0, 53322, -170733],
+  [2, -1, 0, 0, 45758, -204586],
+  [0, 1, -1, 0, -40923, -129620],
+  [1, 0, 0, 0, -34720, 108743],
+  [0, 1, 1, 0, -30383, 104755],
+  [2, 0, 0, -2, 15327, 10321],
+  [0, 0, 1, 2, -12528, 0],
+  [0, 0, 1, -2, 10980, 79661],
+  [4, 0, -1, 0, 10675, -34782],
+  [0, 0, 3, 0, 10034, -23210],
+  [4, 0, -2, 0, 8548, -21636],
+  [2, 1, -1, 0, -7888, 24208],
+  [2, 1, 0, 0, -6766, 30824],
+  [1, 0, -1, 0, -5163, -8379],
+  [1, 1, 0, 0, 4987, -16675],
+  [2, -1, 1, 0, 4036, -12831]
+];
+
+// 月球黄纬的周期项：D, M, M', F, Σb(1e-6度)
+const MOON_LATITUDE_TERMS = [
+  [0, 0, 0, 1, 5128122],
+  [0, 0, 1, 1, 280602],
+  [0, 0, 1, -1, 277693],
+  [2, 0, 0, -1, 173237],
+  [2, 0, -1, 1, 55413],
+  [2, 0, -1, -1, 46271],
+  [2, 0, 0, 1, 32573],
+  [0, 0, 2, 1, 17198],
+  [2, 0, 1, -1, 9266],
+  [0, 0, 2, -1, 8822],
+  [2, -1, 0, -1, 8216],
+  [2, 0, -2, -1, 4324],
+  [2, 0, 1, 1, 4200]
+];
+
+// 月球的地心黄道坐标（J2000黄道，单位千米）
+export function getMoonGeocentric(date) {
+  const T = julianCenturies(date);
+  const T2 = T * T, T3 = T2 * T, T4 = T3 * T;
+
+  // 月球平黄经、平距角、太阳平近点角、月球平近点角、月球升交点平角距
+  const Lp = (218.3164477 + 481267.88123421 * T - 0.0015786 * T2 + T3 / 538841 - T4 / 65194000) * DEG;
+  const D = (297.8501921 + 445267.1114034 * T - 0.0018819 * T2 + T3 / 545868 - T4 / 113065000) * DEG;
+  const M = (357.5291092 + 35999.0502909 * T - 0.0001536 * T2 + T3 / 24490000) * DEG;
+  const Mp = (134.9633964 + 477198.8675055 * T + 0.0087414 * T2 + T3 / 69699 - T4 / 14712000) * DEG;
+  const F = (93.2720950 + 483202.0175233 * T - 0.0036539 * T2 - T3 / 3526000 + T4 / 863310000) * DEG;
+
+  // 地球轨道离心率减小带来的修正因子
+  const E = 1 - 0.002516 * T - 0.0000074 * T2;
+  const eccentricityFactor = (m) => (Math.abs(m) === 1 ? E : Math.abs(m) === 2 ? E * E : 1);
+
+  let sumL = 0;
+  let sumR = 0;
+  for (const [d, m, mp, f, l, r] of MOON_LONGITUDE_TERMS) {
+    const arg = d * D + m * M + mp * Mp + f * F;
+    const factor = eccentricityFactor(m);
+    sumL += l * factor * Math.sin(arg);
+    sumR += r * factor * Math.cos(arg);
+  }
+
+  let sumB = 0;
+  for (const [d, m, mp, f, b] of MOON_LATITUDE_TERMS) {
+    sumB += b * eccentricityFactor(m) * Math.sin(d * D + m * M + mp * Mp + f * F);
+  }
+
+  // 金星、木星及地球扁率引起的附加项
+  const A1 = (119.75 + 131.849 * T) * DEG;
+  const A2 = (53.09 + 479264.290 * T) * DEG;
+  const A3 = (313.45 + 481266.484 * T) * DEG;
+  sumL += 3958 * Math.sin(A1) + 1962 * Math.sin(Lp - F) + 318 * Math.sin(A2);
+  sumB += -2235 * Math.sin(Lp) + 382 * Math.sin(A3) + 175 * Math.sin(A1 - F) +
+          175 * Math.sin(A1 + F) + 127 * Math.sin(Lp - Mp) - 115 * Math.sin(Lp + Mp);
+
+  // Meeus给出的是当日平春分点的黄经，减去岁差换算到J2000黄道
+  const precession = 1.396971 * T * DEG;
+  const longitude = normalizeAngle(Lp + sumL * 1e-6 * DEG - precession);
+  const latitude = sumB * 1e-6 * DEG;
+  const distance = 385000.56 + sumR / 1000;
+
+  return {
+    x: distance * Math.cos(latitude) * Math.cos(longitude),
+    y: distance * Math.cos(latitude) * Math.sin(longitude),
+    z: distance * Math.sin(latitude),
+    longitude,
+    latitude,
+    distance,
+    // 月球升交点平黄经，用于确定轨道面的朝向（约18.6年逆行一周）
+    ascendingNode: normalizeAngle(Lp - F - precession),
+    // 近地点平黄经（约8.85年顺行一周）
+    perigee: normalizeAngle(Lp - Mp - precession),
+    // 月球平升交角距，用于计算光学天平动
+    argumentOfLatitude: normalizeAngle(F)
+  };
+}
+
+// 地球中心的日心黄道坐标（J2000黄道，单位AU）
+export function getEarthHeliocentric(date) {
+  const T = julianCenturies(date);
+  const barycenter = heliocentricFromElements(EARTH_ORBITAL_ELEMENTS, T);
+  const moon = getMoonGeocentric(date);
+
+  // 地球相对地月质心的偏移与月球方向相反
+  const offset = 1 / (1 + EARTH_MOON_MASS_RATIO) / AU_KM;
+  const x = barycenter.x - moon.x * offset;
+  const y = barycenter.y - moon.y * offset;
+  const z = barycenter.z - moon.z * offset;
+  const distance = Math.sqrt(x * x + y * y + z * z);
+
+  return {
+    ...barycenter,
+    x, y, z,
+    distance,
+    longitude: normalizeAngle(Math.atan2(y, x)),
+    latitude: Math.asin(z / distance)
+  };
+}
+
+// 太阳的地心黄道坐标（J2000黄道，单位AU）
+export function getSunGeocentric(date) {
+  const earth = getEarthHeliocentric(date);
+  return {
+    x: -earth.x,
+    y: -earth.y,
+    z: -earth.z,
+    distance: earth.distance,
+    longitude: normalizeAngle(earth.longitude + Math.PI),
+    latitude: -earth.latitude
+  };
+}
+
+// 格林尼治平恒星时（弧度）
+export function getGreenwichSiderealTime(date) {
+  const jd = dateToJulianDay(date);
+  const T = (jd - J2000) / 36525;
+  const degrees = 280.46061837 + 360.98564736629 * (jd - J2000) +
+                  0.000387933 * T * T - T * T * T / 38710000;
+  return normalizeAngle(degrees * DEG);
+}
+
+// 太阳直射点的地理纬度和经度（弧度，东经为正）
+export function getSubsolarPoint(date) {
+  // 恒星时以当日春分点为准，太阳黄经也要加上岁差换算到当日
+  const sunLongitude = getSunGeocentric(date).longitude + 1.396971 * julianCenturies(date) * DEG;
+  const rightAscension = Math.atan2(Math.cos(OBLIQUITY_J2000) * Math.sin(sunLongitude), Math.cos(sunLongitude));
+  const declination = Math.asin(Math.sin(OBLIQUITY_J2000) * Math.sin(sunLongitude));
+  const longitude = normalizeAngle(rightAscension - getGreenwichSiderealTime(date) + Math.PI) - Math.PI;
+  return { latitude: declination, longitude };
+}
+
+// 一次性计算某一时刻场景所需的全部星历数据
+export function getEphemeris(date) {
+  return {
+    date,
+    julianDay: dateToJulianDay(date),
+    earth: getEarthHeliocentric(date),
+    sun: getSunGeocentric(date),
+    moon: getMoonGeocentric(date),
+    siderealTime: getGreenwichSiderealTime(date),
+    subsolarPoint: getSubsolarPoint(date)
+  };
+}
@@ -0,0 +1,216 @@
+import * as THREE from 'three';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+import { ZipWriter } from './zip.js';
+
+// 导出图片和视频
+//
+// FrameExporter把场景渲染到离屏的渲染目标，分辨率与窗口大小无关，结果读回到一个2D画布上：
+// 场景先渲染到半浮点的多重采样目标，再由OutputPass按渲染器的色调映射和sRGB输出转换写入8位目标，
+// 与直接渲染到屏幕的颜色一致。透明背景时保留alpha通道（渲染器创建时设置了alpha: true），否则填成不透明
+//
+// 延时录制由main.js逐帧推进模拟并调用recorder.addFrame()：
+//   WebMRecorder       - MediaRecorder录制画布的视频流，按帧率等待真实时间，渲染比帧率慢时视频会变长
+//   PNGSequenceRecorder - 每帧保存一张PNG，最后打包成ZIP，帧与帧之间的时间完全确定；
+//                         打包前所有帧都留在内存中，总大小有上限，开始前按分辨率估计可录的帧数
+// 场景之上的HTML名称标签不在WebGL画布中，由render()的drawOverlay回调另外画到2D画布上（见LabelLayer.drawToCanvas）
+
+// 未查询到显卡的限制时使用的最大边长
+const DEFAULT_MAX_SIZE = 4096;
+
+const WEBM_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// PNG序列在内存中的总大小上限；估计帧数时按每帧PNG约为未压缩RGBA数据的1/4计算（星空背景大多是黑色）
+const MAX_PNG_SEQUENCE_BYTES = 1.5 * 1024 ** 3;
+const PNG_COMPRESSION_ESTIMATE = 0.25;
+
+export class FrameExporter {
+  constructor(renderer) {
+    this.renderer = renderer;
+    this.outputPass = new OutputPass();
+    this.canvas = document.createElement('canvas');
+    this.context = this.canvas.getContext('2d');
+    this.width = 0;
+    this.height = 0;
+    this.sceneTarget = null;
+    this.outputTarget = null;
+  }
+
+  // 渲染目标和视口的最大边长
+  getMaxSize() {
+    const gl = this.renderer.getContext();
+    const viewport = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+    return Math.min(
+      this.renderer.capabilities.maxTextureSize || DEFAULT_MAX_SIZE,
+      gl.getParameter(gl.MAX_RENDERBUFFER_SIZE) || DEFAULT_MAX_SIZE,
+      viewport ? Math.min(viewport[0], viewport[1]) : DEFAULT_MAX_SIZE
+    );
+  }
+
+  // 尺寸变化时重建渲染目标；超过显卡限制时按比例缩小，返回实际使用的尺寸
+  setSize(width, height) {
+    const scale = Math.min(1, this.getMaxSize() / Math.max(width, height));
+    width = Math.max(1, Math.floor(width * scale));
+    height = Math.max(1, Math.floor(height * scale));
+    if (width === this.width && height === this.height) return { width, height };
+
+    this.disposeTargets();
+    this.width = width;
+    this.height = height;
+    this.sceneTarget = new THREE.WebGLRenderTarget(width, height, { type: THREE.HalfFloatType, samples: 4 });
+    this.outputTarget = new THREE.WebGLRenderTarget(width, height);
+    this.pixels = new Uint8Array(width * height * 4);
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.imageData = this.context.createImageData(width, height);
+    return { width, height };
+  }
+
+  // 渲染一帧到this.canvas；摄像机的宽高比临时改为输出图片的宽高比
+  // drawOverlay(context, camera): 可选，在场景画面之上绘制，调用时摄像机仍是输出图片的宽高比
+  render(scene, camera, transparent = false, drawOverlay = null) {
+    const { renderer, width, height } = this;
+    const aspect = camera.aspect;
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+
+    const previousTarget = renderer.getRenderTarget();
+    renderer.setRenderTarget(this.sceneTarget);
+    renderer.clear();
+    renderer.render(scene, camera);
+    this.outputPass.render(renderer, this.outputTarget, this.sceneTarget);
+    renderer.readRenderTargetPixels(this.outputTarget, 0, 0, width, height, this.pixels);
+    renderer.setRenderTarget(previousTarget);
+
+    // 渲染目标的第一行在图片底部，复制时上下翻转
+    const rowLength = width * 4;
+    const data = this.imageData.data;
+    for (let row = 0; row < height; row++) {
+      const source = (height - 1 - row) * rowLength;
+      data.set(this.pixels.subarray(source, source + rowLength), row * rowLength);
+    }
+    if (!transparent) {
+      for (let i = 3; i < data.length; i += 4) data[i] = 255;
+    }
+    this.context.putImageData(this.imageData, 0, 0);
+    if (drawOverlay) drawOverlay(this.context, camera);
+
+    camera.aspect = aspect;
+    camera.updateProjectionMatrix();
+    return this.canvas;
+  }
+
+  disposeTargets() {
+    if (this.sceneTarget) this.sceneTarget.dispose();
+    if (this.outputTarget) this.outputTarget.dispose();
+    this.sceneTarget = null;
+    this.outputTarget = null;
+  }
+
+  dispose() {
+    this.disposeTargets();
+    this.outputPass.dispose();
+  }
+}
+
+export function canvasToBlob(canvas, type = 'image/png') {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('无法生成图片'))), type);
+  });
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // 下载开始之前不能释放
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// 浏览器支持的WebM格式，不支持MediaRecorder或WebM时返回null
+export function getWebMMimeType() {
+  if (typeof MediaRecorder === 'undefined') return null;
+  return WEBM_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+function wait(milliseconds) {
+  return new Promise((resolve) => setTimeout(resolve, milliseconds));
+}
+
+// 录制画布的视频流：每加入一帧请求一次画面，再等到下一帧的时刻，使视频按指定的帧率播放
+export class WebMRecorder {
+  constructor(canvas, fps) {
+    const mimeType = getWebMMimeType();
+    if (!mimeType) throw new Error('浏览器不支持录制WebM视频');
+    this.extension = 'webm';
+    this.frameInterval = 1000 / fps;
+    this.stream = canvas.captureStream(0);
+    this.track = this.stream.getVideoTracks()[0];
+    this.chunks = [];
+    this.recorder = new MediaRecorder(this.stream, {
+      mimeType,
+      videoBitsPerSecond: Math.round(canvas.width * canvas.height * fps * 0.2)
+    });
+    this.recorder.addEventListener('dataavailable', (event) => {
+      if (event.data.size > 0) this.chunks.push(event.data);
+    });
+    this.recorder.start();
+    this.nextFrameTime = performance.now();
+  }
+
+  async addFrame() {
+    this.track.requestFrame();
+    this.nextFrameTime += this.frameInterval;
+    // 渲染比帧率慢时不再等待，之后的帧从现在重新计时
+    const remaining = this.nextFrameTime - performance.now();
+    if (remaining > 0) {
+      await wait(remaining);
+    } else {
+      this.nextFrameTime = performance.now();
+    }
+  }
+
+  finish() {
+    return new Promise((resolve) => {
+      this.recorder.addEventListener('stop', () => {
+        this.track.stop();
+        resolve(new Blob(this.chunks, { type: this.recorder.mimeType }));
+      }, { once: true });
+      this.recorder.stop();
+    });
+  }
+}
+
+// 逐帧保存PNG，结束时打包为ZIP；文件名按帧序号补零，便于视频软件按顺序导入
+export class PNGSequenceRecorder {
+  constructor(canvas, frameCount) {
+    this.extension = 'zip';
+    this.canvas = canvas;
+    this.digits = Math.max(4, String(frameCount).length);
+    this.frameIndex = 0;
+    this.size = 0;
+    // 已保存的帧达到内存上限后为true，录制应当停止
+    this.full = false;
+    this.zip = new ZipWriter();
+  }
+
+  // 按估计的每帧大小，width × height的PNG序列最多能录的帧数
+  static getMaxFrames(width, height) {
+    return Math.max(1, Math.floor(MAX_PNG_SEQUENCE_BYTES / (width * height * 4 * PNG_COMPRESSION_ESTIMATE)));
+  }
+
+  async addFrame() {
+    const blob = await canvasToBlob(this.canvas);
+    const name = `frame-${String(this.frameIndex).padStart(this.digits, '0')}.png`;
+    this.frameIndex++;
+    await this.zip.addFile(name, blob);
+    this.size += blob.size;
+    // 实际的PNG比估计的大时提前停止，下一帧可能超出上限
+    this.full = this.size + blob.size > MAX_PNG_SEQUENCE_BYTES;
+  }
+
+  async finish() {
+    return this.zip.toBlob();
+  }
+}
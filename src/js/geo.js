@@ -0,0 +1,26 @@
+import * as THREE from 'three';
+
+// 地理坐标与地球网格局部坐标的转换
+// 与球体贴图的约定一致：经度0（格林尼治）在局部+x轴，东经90°在局部-z轴，北极在局部+y轴
+
+const DEG = Math.PI / 180;
+
+// 经纬度（度） -> 局部坐标
+export function latLonToLocal(latitude, longitude, radius, target = new THREE.Vector3()) {
+  const lat = latitude * DEG;
+  const lon = longitude * DEG;
+  return target.set(
+    radius * Math.cos(lat) * Math.cos(lon),
+    radius * Math.sin(lat),
+    -radius * Math.cos(lat) * Math.sin(lon)
+  );
+}
+
+// 局部坐标 -> 经纬度（度），经度范围为(-180, 180]
+export function localToLatLon(vector) {
+  const radius = vector.length();
+  return {
+    latitude: Math.asin(THREE.MathUtils.clamp(vector.y / radius, -1, 1)) / DEG,
+    longitude: Math.atan2(-vector.z, vector.x) / DEG
+  };
+}
@@ -0,0 +1,211 @@
+import * as THREE from 'three';
+import { latLonToLocal } from './geo.js';
+
+// 地球表面的地理图层：经纬网、回归线、极圈、本初子午线和GeoJSON线/面图层
+// 所有图层都是地球网格的子对象，随地球自转；坐标换算与地表标记相同（见geo.js）
+
+const DEG = Math.PI / 180;
+
+// 经纬网的间隔（度）
+const GRATICULE_STEP = 15;
+// 沿大圆插值时每段的最大角度（度），使长线段贴合球面
+const MAX_SEGMENT_DEGREES = 2;
+
+// 内置图层的默认颜色
+export const GEO_OVERLAY_COLORS = {
+  graticule: '#8899aa',
+  tropics: '#ffaa33',
+  polarCircles: '#66ccff',
+  primeMeridian: '#ffff66'
+};
+
+const DEFAULT_LAYER_COLOR = '#ffffff';
+
+// 从GeoJSON中取出所有折线（[经度, 纬度]数组）；多边形的每个环按闭合折线处理，点要素被忽略
+export function extractGeoJSONLines(data) {
+  const lines = [];
+  const addGeometry = (geometry) => {
+    if (!geometry) return;
+    switch (geometry.type) {
+      case 'LineString':
+        lines.push(geometry.coordinates);
+        break;
+      case 'MultiLineString':
+      case 'Polygon':
+        lines.push(...geometry.coordinates);
+        break;
+      case 'MultiPolygon':
+        geometry.coordinates.forEach((polygon) => lines.push(...polygon));
+        break;
+      case 'GeometryCollection':
+        geometry.geometries.forEach(addGeometry);
+        break;
+      default:
+        break;
+    }
+  };
+
+  if (data.type === 'FeatureCollection') {
+    data.features.forEach((feature) => addGeometry(feature.geometry));
+  } else if (data.type === 'Feature') {
+    addGeometry(data.geometry);
+  } else {
+    addGeometry(data);
+  }
+  return lines.filter((line) => Array.isArray(line) && line.length >= 2);
+}
+
+export class GeoOverlays {
+  constructor(parent, radius) {
+    this.radius = radius;
+    this.group = new THREE.Group();
+    parent.add(this.group);
+
+    this.layers = new Map();
+    this.obliquity = null;
+
+    this.addLayer('graticule', this.createGraticulePositions(), GEO_OVERLAY_COLORS.graticule, 0.35);
+    this.addLayer('primeMeridian', this.createMeridianPositions(0), GEO_OVERLAY_COLORS.primeMeridian, 0.9);
+    this.addLayer('tropics', [], GEO_OVERLAY_COLORS.tropics, 0.9);
+    this.addLayer('polarCircles', [], GEO_OVERLAY_COLORS.polarCircles, 0.9);
+  }
+
+  addLayer(name, positions, color, opacity = 0.9) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    const material = new THREE.LineBasicMaterial({
+      color,
+      transparent: true,
+      opacity,
+      depthWrite: false
+    });
+
+    const lines = new THREE.LineSegments(geometry, material);
+    this.group.add(lines);
+    this.layers.set(name, lines);
+    return lines;
+  }
+
+  removeLayer(name) {
+    const lines = this.layers.get(name);
+    if (!lines) return;
+    this.group.remove(lines);
+    lines.geometry.dispose();
+    lines.material.dispose();
+    this.layers.delete(name);
+  }
+
+  hasLayer(name) {
+    return this.layers.has(name);
+  }
+
+  setLayerVisible(name, visible) {
+    const lines = this.layers.get(name);
+    if (lines) lines.visible = visible;
+  }
+
+  setLayerColor(name, color) {
+    const lines = this.layers.get(name);
+    if (lines) lines.material.color.set(color);
+  }
+
+  setLayerPositions(name, positions) {
+    const lines = this.layers.get(name);
+    if (!lines) return;
+    lines.geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    lines.geometry.computeBoundingSphere();
+  }
+
+  // 回归线和极圈的纬度由黄赤交角决定，深时模式下随纪元移动
+  setObliquity(obliquity) {
+    if (this.obliquity !== null && Math.abs(obliquity - this.obliquity) < 1e-5) return;
+    this.obliquity = obliquity;
+    const degrees = obliquity / DEG;
+    this.setLayerPositions('tropics', [
+      ...this.createParallelPositions(degrees),
+      ...this.createParallelPositions(-degrees)
+    ]);
+    this.setLayerPositions('polarCircles', [
+      ...this.createParallelPositions(90 - degrees),
+      ...this.createParallelPositions(degrees - 90)
+    ]);
+  }
+
+  // GeoJSON图层：返回读到的折线数
+  addGeoJSONLayer(name, data, color = DEFAULT_LAYER_COLOR) {
+    const lines = extractGeoJSONLines(data);
+    const positions = [];
+    lines.forEach((line) => this.appendPolyline(positions, line.map(([longitude, latitude]) => [latitude, longitude])));
+    this.removeLayer(name);
+    this.addLayer(name, positions, color, 0.8);
+    return lines.length;
+  }
+
+  createGraticulePositions() {
+    const positions = [];
+    for (let latitude = -90 + GRATICULE_STEP; latitude < 90; latitude += GRATICULE_STEP) {
+      positions.push(...this.createParallelPositions(latitude));
+    }
+    for (let longitude = -180; longitude < 180; longitude += GRATICULE_STEP) {
+      positions.push(...this.createMeridianPositions(longitude));
+    }
+    return positions;
+  }
+
+  createParallelPositions(latitude) {
+    const points = [];
+    for (let longitude = -180; longitude <= 180; longitude += MAX_SEGMENT_DEGREES) {
+      points.push([latitude, longitude]);
+    }
+    const positions = [];
+    this.appendPolyline(positions, points);
+    return positions;
+  }
+
+  createMeridianPositions(longitude) {
+    const positions = [];
+    this.appendPolyline(positions, [[-90, longitude], [0, longitude], [90, longitude]]);
+    return positions;
+  }
+
+  // points为[纬度, 经度]（度）；相邻两点之间沿大圆插值，按线段对写入positions
+  appendPolyline(positions, points) {
+    const start = new THREE.Vector3();
+    const end = new THREE.Vector3();
+    const previous = new THREE.Vector3();
+    const current = new THREE.Vector3();
+
+    for (let i = 1; i < points.length; i++) {
+      const [lat0, lon0] = points[i - 1];
+      const [lat1, lon1] = points[i];
+      if (![lat0, lon0, lat1, lon1].every(Number.isFinite)) continue;
+      latLonToLocal(lat0, lon0, 1, start);
+      latLonToLocal(lat1, lon1, 1, end);
+
+      const angle = start.angleTo(end);
+      const steps = Math.max(Math.ceil(angle / (MAX_SEGMENT_DEGREES * DEG)), 1);
+      previous.copy(start);
+      for (let step = 1; step <= steps; step++) {
+        slerpUnitVectors(start, end, angle, step / steps, current);
+        positions.push(
+          previous.x * this.radius, previous.y * this.radius, previous.z * this.radius,
+          current.x * this.radius, current.y * this.radius, current.z * this.radius
+        );
+        previous.copy(current);
+      }
+    }
+  }
+}
+
+// 单位向量之间的球面线性插值
+function slerpUnitVectors(start, end, angle, t, target) {
+  if (angle < 1e-6) return target.copy(start);
+  const sin = Math.sin(angle);
+  const a = Math.sin((1 - t) * angle) / sin;
+  const b = Math.sin(t * angle) / sin;
+  return target.set(
+    start.x * a + end.x * b,
+    start.y * a + end.y * b,
+    start.z * a + end.z * b
+  );
+}
@@ -0,0 +1,141 @@
+import { formatKey } from './input.js';
+import { t } from './i18n.js';
+
+// "?"帮助面板：列出当前的按键绑定，并可以点击修改
+export class HelpOverlay {
+  constructor(inputManager) {
+    this.input = inputManager;
+
+    this.element = document.createElement('div');
+    this.element.className = 'help-overlay';
+    this.element.style.display = 'none';
+    document.body.appendChild(this.element);
+
+    // 点击面板外的半透明背景时关闭
+    this.element.addEventListener('click', (event) => {
+      if (event.target === this.element) {
+        this.hide();
+      }
+    });
+
+    this.input.onBindingsChange(() => {
+      if (this.isVisible()) this.render();
+    });
+  }
+
+  isVisible() {
+    return this.element.style.display !== 'none';
+  }
+
+  show() {
+    this.render();
+    this.element.style.display = 'flex';
+  }
+
+  hide() {
+    this.input.cancelCapture();
+    this.element.style.display = 'none';
+  }
+
+  // 切换界面语言后重新生成正在显示的面板
+  updateTexts() {
+    if (this.isVisible()) this.render();
+  }
+
+  toggle() {
+    if (this.isVisible()) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  render() {
+    const panel = document.createElement('div');
+    panel.className = 'help-panel';
+
+    const title = document.createElement('h2');
+    title.textContent = t('help.title');
+    panel.appendChild(title);
+
+    // 按分组显示
+    const groups = new Map();
+    this.input.getBindings().forEach((binding) => {
+      if (!groups.has(binding.group)) groups.set(binding.group, []);
+      groups.get(binding.group).push(binding);
+    });
+
+    groups.forEach((bindings, group) => {
+      if (group) {
+        const groupTitle = document.createElement('h3');
+        groupTitle.textContent = group;
+        panel.appendChild(groupTitle);
+      }
+
+      const table = document.createElement('table');
+      bindings.forEach((binding) => {
+        table.appendChild(this.createRow(binding));
+      });
+      panel.appendChild(table);
+    });
+
+    const footer = document.createElement('div');
+    footer.className = 'help-footer';
+
+    const hint = document.createElement('span');
+    hint.textContent = t('help.hint');
+    footer.appendChild(hint);
+
+    const resetButton = document.createElement('button');
+    resetButton.textContent = t('help.reset');
+    resetButton.addEventListener('click', () => this.input.resetBindings());
+    footer.appendChild(resetButton);
+
+    const closeButton = document.createElement('button');
+    closeButton.textContent = t('help.close');
+    closeButton.addEventListener('click', () => this.hide());
+    footer.appendChild(closeButton);
+
+    panel.appendChild(footer);
+
+    this.element.replaceChildren(panel);
+  }
+
+  createRow(binding) {
+    const row = document.createElement('tr');
+
+    const description = document.createElement('td');
+    description.textContent = binding.description;
+    row.appendChild(description);
+
+    const keysCell = document.createElement('td');
+    binding.keys.forEach((key) => {
+      const kbd = document.createElement('kbd');
+      kbd.textContent = formatKey(key);
+      kbd.title = t('help.removeKey');
+      kbd.addEventListener('click', () => {
+        this.input.setKeys(binding.id, binding.keys.filter((k) => k !== key));
+      });
+      keysCell.appendChild(kbd);
+    });
+
+    const addButton = document.createElement('button');
+    addButton.className = 'help-bind';
+    addButton.textContent = '+';
+    addButton.title = t('help.addKey');
+    addButton.addEventListener('click', () => {
+      addButton.textContent = t('help.pressKey');
+      this.input.captureNextKey((key) => {
+        if (key) {
+          this.input.bindKey(binding.id, key);
+        } else {
+          this.render();
+        }
+      });
+    });
+    keysCell.appendChild(addButton);
+    row.appendChild(keysCell);
+
+    return row;
+  }
+}
@@ -0,0 +1,118 @@
+import zh from '../locales/zh.json';
+import en from '../locales/en.json';
+
+// 界面文字的本地化：各语言的文字按键名存放在 src/locales/<语言>.json 中，
+// t('gui.speed.title')取出当前语言的文字，{name}形式的占位符由params中的同名值替换；
+// 当前语言缺少某个键时使用中文，中文也没有时返回键名本身
+//
+// 语言的选择保存在localStorage中；没有保存过时按浏览器的语言选择，都不匹配时使用英文
+// 数字和日期按当前语言的习惯格式化，日期一律以UTC显示
+
+export const LOCALES = {
+  zh: { name: '中文', tag: 'zh-CN', messages: zh },
+  en: { name: 'English', tag: 'en', messages: en }
+};
+
+const FALLBACK_LOCALE = 'zh';
+const DEFAULT_LOCALE = 'en';
+const STORAGE_KEY = 'solar-system-locale';
+
+const missingKeys = new Set();
+const numberFormats = new Map();
+const dateFormats = new Map();
+
+let currentLocale = detectLocale();
+
+// 保存的选择 -> 浏览器语言列表中第一个支持的语言（按语言代码的主标签匹配，如zh-TW匹配zh）-> 英文
+export function detectLocale() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (LOCALES[saved]) return saved;
+  } catch (error) {
+    console.warn('读取语言设置失败:', error);
+  }
+  const languages = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : [];
+  for (const language of languages) {
+    const primary = String(language).toLowerCase().split('-')[0];
+    if (LOCALES[primary]) return primary;
+  }
+  return DEFAULT_LOCALE;
+}
+
+export function getLocale() {
+  return currentLocale;
+}
+
+export function setLocale(locale) {
+  if (!LOCALES[locale]) {
+    console.warn(`不支持的语言: ${locale}`);
+    return;
+  }
+  if (locale === currentLocale) return;
+  currentLocale = locale;
+  try {
+    localStorage.setItem(STORAGE_KEY, locale);
+  } catch (error) {
+    console.warn('保存语言设置失败:', error);
+  }
+  if (typeof document !== 'undefined') document.documentElement.lang = LOCALES[locale].tag;
+}
+
+function lookup(messages, key) {
+  return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), messages);
+}
+
+// 字符串替换占位符后返回；数组（如信息面板的各行）原样返回
+export function t(key, params = {}) {
+  let message = lookup(LOCALES[currentLocale].messages, key);
+  if (message === undefined) message = lookup(LOCALES[FALLBACK_LOCALE].messages, key);
+  if (message === undefined) {
+    if (!missingKeys.has(key)) {
+      missingKeys.add(key);
+      console.warn(`缺少界面文字: ${key}`);
+    }
+    return key;
+  }
+  if (typeof message !== 'string') return message;
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+// digits给出时固定保留的小数位数，否则按Intl.NumberFormat的默认规则
+export function formatNumber(value, digits = null) {
+  const key = `${currentLocale}|${digits}`;
+  if (!numberFormats.has(key)) {
+    const options = digits === null ? {} : { minimumFractionDigits: digits, maximumFractionDigits: digits };
+    numberFormats.set(key, new Intl.NumberFormat(LOCALES[currentLocale].tag, options));
+  }
+  return numberFormats.get(key).format(value);
+}
+
+// options为Intl.DateTimeFormat的选项，时区固定为UTC
+export function formatDate(date, options = { year: 'numeric', month: 'short', day: 'numeric' }) {
+  const key = `${currentLocale}|${JSON.stringify(options)}`;
+  if (!dateFormats.has(key)) {
+    dateFormats.set(key, new Intl.DateTimeFormat(LOCALES[currentLocale].tag, { ...options, timeZone: 'UTC' }));
+  }
+  return dateFormats.get(key).format(date);
+}
+
+// 日期和时刻，精确到分钟
+export function formatDateTime(date) {
+  return formatDate(date, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  });
+}
+
+// 页面中带data-i18n属性的元素换成当前语言的文字，页面标题取app.title
+export function translateDocument(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach((element) => {
+    element.textContent = t(element.dataset.i18n);
+  });
+  document.title = t('app.title');
+  document.documentElement.lang = LOCALES[currentLocale].tag;
+}
@@ -0,0 +1,194 @@
+// 键盘输入子系统
+// 每个动作有默认按键，用户可以重新绑定，绑定结果保存在localStorage中
+
+import { t } from './i18n.js';
+
+const STORAGE_KEY = 'solar-system-keymap';
+const STORAGE_VERSION = 1;
+
+// 按键的显示名称；函数表示随界面语言变化的名称
+const KEY_LABELS = {
+  Space: () => t('keys.Space'),
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  Escape: 'Esc',
+  Enter: () => t('keys.Enter'),
+  Tab: 'Tab'
+};
+
+function resolveText(text) {
+  return typeof text === 'function' ? text() : text;
+}
+
+// 把键盘事件转换为统一的按键字符串，例如 "R"、"Space"、"Shift+Tab"、"Ctrl+S"
+// 可打印字符本身已经体现了Shift（如"?"、"<"），因此只给功能键加Shift前缀
+export function normalizeKeyEvent(event) {
+  let key = event.key === ' ' ? 'Space' : event.key;
+  if (key.length === 1) {
+    key = key.toUpperCase();
+  }
+
+  const modifiers = [];
+  if (event.ctrlKey || event.metaKey) modifiers.push('Ctrl');
+  if (event.altKey) modifiers.push('Alt');
+  if (event.shiftKey && key.length > 1) modifiers.push('Shift');
+
+  return [...modifiers, key].join('+');
+}
+
+export function formatKey(key) {
+  return key.split('+').map((part) => resolveText(KEY_LABELS[part]) || part).join(' + ');
+}
+
+// 焦点在输入框中时不处理快捷键，避免和GUI中的文本输入冲突
+function isEditableTarget(target) {
+  if (!target || !target.tagName) return false;
+  const tagName = target.tagName.toLowerCase();
+  return tagName === 'input' || tagName === 'textarea' || tagName === 'select' || target.isContentEditable;
+}
+
+export class InputManager {
+  constructor(storageKey = STORAGE_KEY) {
+    this.storageKey = storageKey;
+    this.actions = new Map();
+    this.bindings = new Map();
+    this.savedBindings = this.loadBindings();
+    this.captureCallback = null;
+    this.listeners = [];
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+
+  // 注册动作：description为说明文字，keys为默认按键，repeat表示按住时是否连续触发
+  // description和group可以是返回文字的函数，在getBindings()时按当前语言取得
+  register(id, { description, group = '', keys = [], handler, repeat = false }) {
+    this.actions.set(id, { id, description, group, defaultKeys: keys, handler, repeat });
+    this.bindings.set(id, this.savedBindings[id] ? [...this.savedBindings[id]] : [...keys]);
+  }
+
+  attach(target = window) {
+    this.target = target;
+    target.addEventListener('keydown', this.handleKeyDown);
+  }
+
+  detach() {
+    if (this.target) {
+      this.target.removeEventListener('keydown', this.handleKeyDown);
+      this.target = null;
+    }
+  }
+
+  handleKeyDown(event) {
+    const key = normalizeKeyEvent(event);
+
+    // 重新绑定时，下一次按键作为新的绑定
+    if (this.captureCallback) {
+      // 单独按下修饰键时继续等待
+      if (['Shift', 'Control', 'Alt', 'Meta'].includes(event.key)) return;
+      event.preventDefault();
+      const callback = this.captureCallback;
+      this.captureCallback = null;
+      callback(key === 'Escape' ? null : key);
+      return;
+    }
+
+    if (isEditableTarget(event.target)) return;
+
+    const action = this.findAction(key);
+    if (!action) return;
+    if (event.repeat && !action.repeat) return;
+
+    event.preventDefault();
+    action.handler(event);
+  }
+
+  findAction(key) {
+    for (const [id, keys] of this.bindings) {
+      if (keys.includes(key)) {
+        return this.actions.get(id);
+      }
+    }
+    return null;
+  }
+
+  // 等待用户按下一个键，按Esc取消（回调参数为null）
+  captureNextKey(callback) {
+    this.captureCallback = callback;
+  }
+
+  cancelCapture() {
+    this.captureCallback = null;
+  }
+
+  // 把key绑定到动作上，同时从其他动作中移除该键，避免冲突
+  bindKey(id, key) {
+    this.bindings.forEach((keys, actionId) => {
+      if (actionId !== id && keys.includes(key)) {
+        this.bindings.set(actionId, keys.filter((k) => k !== key));
+      }
+    });
+    const keys = this.bindings.get(id) || [];
+    if (!keys.includes(key)) {
+      this.bindings.set(id, [...keys, key]);
+    }
+    this.saveBindings();
+  }
+
+  setKeys(id, keys) {
+    this.bindings.set(id, [...keys]);
+    this.saveBindings();
+  }
+
+  resetBindings() {
+    this.actions.forEach((action, id) => {
+      this.bindings.set(id, [...action.defaultKeys]);
+    });
+    this.saveBindings();
+  }
+
+  // 当前所有绑定：[{ id, description, group, keys }]
+  getBindings() {
+    return [...this.actions.values()].map(({ id, description, group }) => ({
+      id,
+      description: resolveText(description),
+      group: resolveText(group),
+      keys: this.bindings.get(id) || []
+    }));
+  }
+
+  onBindingsChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  loadBindings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey));
+      if (saved && saved.version === STORAGE_VERSION && saved.bindings) {
+        return saved.bindings;
+      }
+    } catch (error) {
+      console.warn('读取按键设置失败:', error);
+    }
+    return {};
+  }
+
+  saveBindings() {
+    // 只保存与默认值不同的绑定，这样新增的默认按键不会被旧设置覆盖
+    const bindings = {};
+    this.bindings.forEach((keys, id) => {
+      const action = this.actions.get(id);
+      if (action && keys.join() !== action.defaultKeys.join()) {
+        bindings[id] = keys;
+      }
+    });
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({ version: STORAGE_VERSION, bindings }));
+    } catch (error) {
+      console.warn('保存按键设置失败:', error);
+    }
+
+    this.listeners.forEach((listener) => listener(this.getBindings()));
+  }
+}
@@ -0,0 +1,84 @@
+// 日照计算：昼长、大气层顶的日平均日照和瞬时日照
+// 太阳位置由地球轨道参数（黄赤交角、离心率、近日点黄经）和日期决定，
+// 与animate()中摆放地球所用的轨道参数相同，深时模式下随纪元变化
+
+import { normalizeAngle, julianCenturies, EARTH_ORBITAL_ELEMENTS } from './ephemeris.js';
+import { meanToTrueAnomaly } from './kepler.js';
+import { SUN_HORIZON_ALTITUDE } from './observer.js';
+
+const DEG = Math.PI / 180;
+const DAY_MILLISECONDS = 86400000;
+
+// 太阳常数（W/m²）：日地平均距离处大气层顶的辐照度
+export const SOLAR_CONSTANT = 1361;
+
+// 日照着色的色阶：[比例, 颜色]，比例为日照强度与INSOLATION_COLOR_MAX之比
+export const INSOLATION_COLOR_MAX = 1400;
+export const INSOLATION_COLOR_STOPS = [
+  [0, '#0b0b3b'],
+  [0.2, '#1f4fbf'],
+  [0.4, '#1fb5a8'],
+  [0.6, '#9bd93c'],
+  [0.8, '#ffb020'],
+  [1, '#e8321e']
+];
+
+// 某一日期的太阳位置
+// longitude: 太阳视黄经；declination: 赤纬；distanceFactor: (a/r)²，日照与它成正比
+export function getSolarPosition(date, orbitState) {
+  const T = julianCenturies(date);
+  const meanLongitude = (EARTH_ORBITAL_ELEMENTS.L[0] + EARTH_ORBITAL_ELEMENTS.L[1] * T) * DEG;
+  const { eccentricity, perihelionLongitude, obliquity } = orbitState;
+
+  const trueAnomaly = meanToTrueAnomaly(normalizeAngle(meanLongitude - perihelionLongitude), eccentricity);
+  const longitude = normalizeAngle(trueAnomaly + perihelionLongitude + Math.PI);
+  const inverseDistance = (1 + eccentricity * Math.cos(trueAnomaly)) / (1 - eccentricity * eccentricity);
+
+  return {
+    longitude,
+    declination: Math.asin(Math.sin(obliquity) * Math.sin(longitude)),
+    distanceFactor: inverseDistance * inverseDistance
+  };
+}
+
+// 太阳中心到达高度altitude时的时角（弧度）；极昼返回π，极夜返回0
+function hourAngleAtAltitude(latitude, declination, altitude) {
+  const cosHourAngle = (Math.sin(altitude) - Math.sin(latitude) * Math.sin(declination)) /
+                       (Math.cos(latitude) * Math.cos(declination));
+  return Math.acos(Math.min(Math.max(cosHourAngle, -1), 1));
+}
+
+// 昼长（小时），与地面观测一样计入大气折射和太阳视半径
+export function getDayLength(latitude, declination) {
+  return hourAngleAtAltitude(latitude, declination, SUN_HORIZON_ALTITUDE) / Math.PI * 24;
+}
+
+// 大气层顶的日平均日照（W/m²）
+export function getDailyInsolation(latitude, declination, distanceFactor) {
+  const sunsetHourAngle = hourAngleAtAltitude(latitude, declination, 0);
+  return SOLAR_CONSTANT * distanceFactor / Math.PI * (
+    sunsetHourAngle * Math.sin(latitude) * Math.sin(declination) +
+    Math.cos(latitude) * Math.cos(declination) * Math.sin(sunsetHourAngle)
+  );
+}
+
+// year年每天（UTC正午）的太阳赤纬、昼长和日平均日照
+export function getAnnualInsolation(year, latitude, orbitState) {
+  const start = Date.UTC(year, 0, 1, 12);
+  const dayCount = Math.round((Date.UTC(year + 1, 0, 1) - Date.UTC(year, 0, 1)) / DAY_MILLISECONDS);
+  const days = [];
+  for (let day = 0; day < dayCount; day++) {
+    const sun = getSolarPosition(new Date(start + day * DAY_MILLISECONDS), orbitState);
+    days.push({
+      declination: sun.declination,
+      dayLength: getDayLength(latitude, sun.declination),
+      insolation: getDailyInsolation(latitude, sun.declination, sun.distanceFactor)
+    });
+  }
+  return days;
+}
+
+// date在其UTC年份中的序号（1月1日为0）
+export function getDayOfYear(date) {
+  return Math.floor((date.getTime() - Date.UTC(date.getUTCFullYear(), 0, 1)) / DAY_MILLISECONDS);
+}
@@ -0,0 +1,171 @@
+import { INSOLATION_COLOR_MAX, INSOLATION_COLOR_STOPS } from './insolation.js';
+import { t, formatDate } from './i18n.js';
+
+const INSOLATION_AXIS_MAX = 600;
+const DAY_LENGTH_COLOR = '#7fd1ff';
+const INSOLATION_COLOR = '#ffb347';
+
+// 日照分析面板：所选纬度一年中每天的昼长和大气层顶日平均日照，以及当天的读数
+export class InsolationPanel {
+  constructor(container) {
+    this.element = document.createElement('div');
+    this.element.className = 'insolation-panel';
+
+    this.titleElement = document.createElement('h3');
+    this.element.appendChild(this.titleElement);
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = 300;
+    this.canvas.height = 180;
+    this.element.appendChild(this.canvas);
+
+    this.textElement = document.createElement('div');
+    this.textElement.className = 'insolation-text';
+    this.element.appendChild(this.textElement);
+
+    // 日照分布图的色标，开启分布图时显示
+    this.legend = document.createElement('div');
+    this.legend.className = 'insolation-legend';
+    this.element.appendChild(this.legend);
+
+    container.prepend(this.element);
+
+    this.chartVisible = false;
+    this.legendVisible = false;
+    this.updateDisplay();
+
+    this.year = 0;
+    this.days = null;
+    this.lastDayIndex = null;
+    this.lastText = '';
+    this.updateTexts();
+  }
+
+  // 切换界面语言后更新标题和色标，曲线在下一次update()时重画
+  updateTexts() {
+    this.titleElement.textContent = t('insolation.title');
+    const gradient = INSOLATION_COLOR_STOPS.map(([position, color]) => `${color} ${position * 100}%`).join(', ');
+    this.legend.innerHTML = `<div class="insolation-legend-bar" style="background: linear-gradient(to right, ${gradient})"></div>` +
+      `<div class="insolation-legend-labels"><span>0</span><span>${t('insolation.legend')}</span>` +
+      `<span>${INSOLATION_COLOR_MAX}</span></div>`;
+    this.lastDayIndex = null;
+  }
+
+  // 曲线和色标可以分别显示；只开分布图时面板中只有色标
+  setVisible(visible) {
+    this.chartVisible = visible;
+    this.updateDisplay();
+  }
+
+  setLegendVisible(visible) {
+    this.legendVisible = visible;
+    this.updateDisplay();
+  }
+
+  updateDisplay() {
+    this.canvas.style.display = this.chartVisible ? 'block' : 'none';
+    this.textElement.style.display = this.chartVisible ? 'block' : 'none';
+    this.legend.style.display = this.legendVisible ? 'block' : 'none';
+    this.element.style.display = this.chartVisible || this.legendVisible ? 'block' : 'none';
+  }
+
+  // days为getAnnualInsolation()在year年的结果，更换纬度、年份或轨道参数后调用
+  setAnnualData(year, days) {
+    this.year = year;
+    this.days = days;
+    this.lastDayIndex = null;
+  }
+
+  // lines为面板下方的读数（HTML）
+  update(dayIndex, lines) {
+    if (!this.days) return;
+    if (dayIndex !== this.lastDayIndex) {
+      this.draw(dayIndex);
+      this.lastDayIndex = dayIndex;
+    }
+
+    const text = lines.join('<br>');
+    if (text !== this.lastText) {
+      this.textElement.innerHTML = text;
+      this.lastText = text;
+    }
+  }
+
+  draw(dayIndex) {
+    const context = this.canvas.getContext('2d');
+    const { width, height } = this.canvas;
+    const left = 28;
+    const right = width - 32;
+    const top = 16;
+    const bottom = height - 16;
+    const dayCount = this.days.length;
+    const toX = (day) => left + day / (dayCount - 1) * (right - left);
+
+    context.clearRect(0, 0, width, height);
+    context.font = '10px Arial';
+    context.lineWidth = 1;
+
+    // 网格和坐标轴：左侧为昼长（小时），右侧为日照（W/m²）
+    context.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    context.fillStyle = 'rgba(255, 255, 255, 0.7)';
+    context.textBaseline = 'middle';
+    for (let hours = 0; hours <= 24; hours += 6) {
+      const y = bottom - hours / 24 * (bottom - top);
+      context.beginPath();
+      context.moveTo(left, y);
+      context.lineTo(right, y);
+      context.stroke();
+      context.textAlign = 'right';
+      context.fillText(`${hours}h`, left - 3, y);
+      context.textAlign = 'left';
+      context.fillText(`${hours / 24 * INSOLATION_AXIS_MAX}`, right + 3, y);
+    }
+
+    // 月份刻度
+    context.textAlign = 'center';
+    context.textBaseline = 'top';
+    for (let month = 0; month < 12; month++) {
+      const monthStart = Date.UTC(this.year, month, 1);
+      const day = (monthStart - Date.UTC(this.year, 0, 1)) / 86400000;
+      const x = toX(day);
+      context.beginPath();
+      context.moveTo(x, top);
+      context.lineTo(x, bottom);
+      context.stroke();
+      if (month % 2 === 0) context.fillText(formatDate(new Date(monthStart), { month: 'short' }), x + 10, bottom + 3);
+    }
+
+    const drawCurve = (value, max, color) => {
+      context.strokeStyle = color;
+      context.lineWidth = 1.5;
+      context.beginPath();
+      this.days.forEach((day, i) => {
+        const y = bottom - Math.min(value(day) / max, 1) * (bottom - top);
+        if (i === 0) context.moveTo(toX(i), y);
+        else context.lineTo(toX(i), y);
+      });
+      context.stroke();
+      context.lineWidth = 1;
+    };
+    drawCurve((day) => day.dayLength, 24, DAY_LENGTH_COLOR);
+    drawCurve((day) => day.insolation, INSOLATION_AXIS_MAX, INSOLATION_COLOR);
+
+    // 图例
+    context.textAlign = 'left';
+    context.textBaseline = 'top';
+    context.fillStyle = DAY_LENGTH_COLOR;
+    const dayLengthLabel = t('insolation.dayLength');
+    context.fillText(dayLengthLabel, left, 2);
+    context.fillStyle = INSOLATION_COLOR;
+    context.fillText(t('insolation.dailyInsolation'), left + context.measureText(dayLengthLabel).width + 12, 2);
+
+    // 当天
+    if (dayIndex >= 0 && dayIndex < dayCount) {
+      context.strokeStyle = '#ffffff';
+      context.beginPath();
+      context.moveTo(toX(dayIndex), top);
+      context.lineTo(toX(dayIndex), bottom);
+      context.stroke();
+    }
+  }
+}
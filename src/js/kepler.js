@@ -0,0 +1,56 @@
+// 开普勒运动求解
+// 平近点角M随时间均匀增加，经开普勒方程得到偏近点角E，再换算为真近点角ν，
+// 这样天体在近日点附近运动更快，满足开普勒第二定律（相等时间扫过相等面积）
+
+const TWO_PI = Math.PI * 2;
+
+// 用牛顿迭代法解开普勒方程 M = E - e·sinE
+export function meanToEccentricAnomaly(meanAnomaly, eccentricity) {
+  // 离心率较大时从π开始迭代更稳定
+  let E = eccentricity < 0.8 ? meanAnomaly + eccentricity * Math.sin(meanAnomaly) : Math.PI;
+  for (let i = 0; i < 20; i++) {
+    const delta = (E - eccentricity * Math.sin(E) - meanAnomaly) / (1 - eccentricity * Math.cos(E));
+    E -= delta;
+    if (Math.abs(delta) < 1e-12) break;
+  }
+  return E;
+}
+
+// 偏近点角 -> 真近点角
+export function eccentricToTrueAnomaly(eccentricAnomaly, eccentricity) {
+  return 2 * Math.atan2(
+    Math.sqrt(1 + eccentricity) * Math.sin(eccentricAnomaly / 2),
+    Math.sqrt(1 - eccentricity) * Math.cos(eccentricAnomaly / 2)
+  );
+}
+
+// 真近点角 -> 偏近点角
+export function trueToEccentricAnomaly(trueAnomaly, eccentricity) {
+  return 2 * Math.atan2(
+    Math.sqrt(1 - eccentricity) * Math.sin(trueAnomaly / 2),
+    Math.sqrt(1 + eccentricity) * Math.cos(trueAnomaly / 2)
+  );
+}
+
+// 平近点角 -> 真近点角，结果与输入处于同一圈内（保持连续，不归一化）
+export function meanToTrueAnomaly(meanAnomaly, eccentricity) {
+  const turns = Math.floor(meanAnomaly / TWO_PI);
+  const M = meanAnomaly - turns * TWO_PI;
+  const E = meanToEccentricAnomaly(M, eccentricity);
+  const nu = eccentricToTrueAnomaly(E, eccentricity);
+  return (nu < 0 ? nu + TWO_PI : nu) + turns * TWO_PI;
+}
+
+// 真近点角 -> 平近点角
+export function trueToMeanAnomaly(trueAnomaly, eccentricity) {
+  const turns = Math.floor(trueAnomaly / TWO_PI);
+  const nu = trueAnomaly - turns * TWO_PI;
+  const E = trueToEccentricAnomaly(nu, eccentricity);
+  const M = E - eccentricity * Math.sin(E);
+  return (M < 0 ? M + TWO_PI : M) + turns * TWO_PI;
+}
+
+// 椭圆轨道上真近点角对应的向径长度
+export function orbitRadius(semiMajorAxis, eccentricity, trueAnomaly) {
+  return semiMajorAxis * (1 - eccentricity * eccentricity) / (1 + eccentricity * Math.cos(trueAnomaly));
+}
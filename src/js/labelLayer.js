@@ -0,0 +1,255 @@
+import * as THREE from 'three';
+
+// 屏幕空间的名称标签：每个标签是页面上的一个div，位置由场景中的锚点对象投影得到
+// 锚点是普通的THREE.Object3D，可以像其他物体一样加入场景、设置位置和visible；
+// 标签大小固定为CSS中设定的像素大小，按优先级避让重叠，按距离淡出，外观由style.css中的.scene-label控制
+// 导出图片时标签不在WebGL画布中，由drawToCanvas()按输出尺寸重新排布后画到导出画布上
+//
+// createLabel()的text可以是字符串，也可以是返回文字的函数：切换界面语言后refreshTexts()重新调用函数取得文字
+//
+// createLabel()的选项：
+//   group: 标签分组，用于整组显示/隐藏（如'body'、'marker'、'orbit'、'star'、'constellation'）
+//   priority: 避让时优先级高的标签先占位置，相同时近处的优先
+//   fade: [开始淡出的距离, 完全消失的距离]，省略则不随距离淡出
+//   radius: 锚点处物体的半径（锚点的局部单位，随父对象缩放），给出时标签放在物体投影圆的下方，否则放在锚点上方
+//   occluder: 球形物体（Mesh），锚点位于其背面时隐藏标签，用于地球表面的标记
+//   onClick: 点击标签时的回调，给出时标签可以点击
+
+const _position = new THREE.Vector3();
+const _cameraPosition = new THREE.Vector3();
+const _center = new THREE.Vector3();
+const _toAnchor = new THREE.Vector3();
+const _toCamera = new THREE.Vector3();
+const _scale = new THREE.Vector3();
+
+export class LabelLayer {
+  constructor(container) {
+    this.element = document.createElement('div');
+    this.element.className = 'label-layer';
+    container.appendChild(this.element);
+
+    this.labels = new Set();
+    this.hiddenGroups = new Set();
+    this.enabled = true;
+    this.declutter = true;
+    this.fade = true;
+    this.width = window.innerWidth;
+    this.height = window.innerHeight;
+  }
+
+  createLabel(text, { color, group = 'default', priority = 0, fade = null, radius = 0, occluder = null, onClick = null } = {}) {
+    const element = document.createElement('div');
+    element.className = `scene-label scene-label-${group}`;
+    element.textContent = typeof text === 'function' ? text() : text;
+    element.style.display = 'none';
+    if (color) element.style.setProperty('--label-color', color);
+    if (onClick) {
+      element.classList.add('scene-label-clickable');
+      element.addEventListener('click', (event) => {
+        event.stopPropagation();
+        onClick();
+      });
+    }
+    this.element.appendChild(element);
+
+    const anchor = new THREE.Object3D();
+    anchor.userData.label = {
+      anchor,
+      element,
+      group,
+      getText: typeof text === 'function' ? text : null,
+      priority,
+      fade,
+      radius,
+      occluder,
+      size: null,
+      shown: false
+    };
+    this.labels.add(anchor.userData.label);
+    return anchor;
+  }
+
+  setText(anchor, text) {
+    const label = anchor.userData.label;
+    label.getText = null;
+    if (label.element.textContent === text) return;
+    label.element.textContent = text;
+    label.size = null;
+  }
+
+  // 按当前语言重新取得以函数给出的标签文字
+  refreshTexts() {
+    this.labels.forEach((label) => {
+      if (!label.getText) return;
+      label.element.textContent = label.getText();
+      label.size = null;
+    });
+  }
+
+  setColor(anchor, color) {
+    anchor.userData.label.element.style.setProperty('--label-color', color);
+  }
+
+  removeLabel(anchor) {
+    const label = anchor.userData.label;
+    if (!label) return;
+    label.element.remove();
+    this.labels.delete(label);
+    if (anchor.parent) anchor.parent.remove(anchor);
+  }
+
+  setGroupVisible(group, visible) {
+    if (visible) {
+      this.hiddenGroups.delete(group);
+    } else {
+      this.hiddenGroups.add(group);
+    }
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.element.style.display = enabled ? '' : 'none';
+  }
+
+  setSize(width, height) {
+    this.width = width;
+    this.height = height;
+  }
+
+  // 锚点及其所有父对象都可见，且位于场景中
+  isAnchorVisible(anchor) {
+    let current = anchor;
+    for (; current.parent; current = current.parent) {
+      if (!current.visible) return false;
+    }
+    return current.isScene === true && current.visible;
+  }
+
+  isOccluded(label) {
+    const { occluder } = label;
+    if (!occluder) return false;
+    occluder.getWorldPosition(_center);
+    if (!occluder.geometry.boundingSphere) occluder.geometry.computeBoundingSphere();
+    const scale = occluder.getWorldScale(_toAnchor).x;
+    const radius = occluder.geometry.boundingSphere.radius * scale;
+    // 锚点的外法线背向摄像机，且视线穿过球体时被遮挡
+    _toAnchor.copy(_position).sub(_center);
+    const facing = _toAnchor.dot(_toCamera.copy(_cameraPosition).sub(_position));
+    return facing < 0 && _cameraPosition.distanceTo(_center) > radius;
+  }
+
+  update(camera) {
+    if (!this.enabled) return;
+    const placements = this.layout(camera, this.width, this.height);
+    this.labels.forEach((label) => {
+      const placement = placements.get(label);
+      if (!placement) {
+        this.hideLabel(label);
+        return;
+      }
+      label.element.style.display = '';
+      label.element.style.transform = `translate(${Math.round(placement.left)}px, ${Math.round(placement.top)}px)`;
+      label.element.style.opacity = placement.opacity.toFixed(2);
+      label.shown = true;
+    });
+  }
+
+  // 把当前显示的标签画到2D画布上（导出图片）：按画布的宽高比重新投影和避让，
+  // 标签占画面高度的比例与屏幕上相同；camera的宽高比应已设为画布的宽高比
+  drawToCanvas(context, camera) {
+    if (!this.enabled) return;
+    const { width, height } = context.canvas;
+    const scale = height / this.height;
+    const placements = this.layout(camera, width / scale, height / scale);
+
+    context.save();
+    context.scale(scale, scale);
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.shadowColor = '#000';
+    placements.forEach(({ left, top, opacity }, label) => {
+      const style = getComputedStyle(label.element);
+      context.font = `${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
+      context.letterSpacing = style.letterSpacing;
+      context.fillStyle = style.color;
+      context.globalAlpha = opacity;
+      // 与CSS中的两层text-shadow对应；阴影的模糊半径不受画布变换影响，需要乘上缩放比例
+      [3, 2].forEach((blur) => {
+        context.shadowBlur = blur * scale;
+        context.fillText(label.element.textContent, left + label.size.width / 2, top + label.size.height / 2);
+      });
+    });
+    context.restore();
+  }
+
+  // 按width × height（CSS像素）的视口计算各标签的位置，返回 Map<label, { left, top, opacity }>，不显示的标签不在其中
+  layout(camera, width, height) {
+    camera.getWorldPosition(_cameraPosition);
+    const pixelsPerUnit = height / 2 / Math.tan(camera.fov * Math.PI / 360);
+
+    const candidates = [];
+    this.labels.forEach((label) => {
+      const visible = !this.hiddenGroups.has(label.group) && this.isAnchorVisible(label.anchor);
+      if (!visible) return;
+
+      label.anchor.getWorldPosition(_position);
+      const distance = _position.distanceTo(_cameraPosition);
+      let opacity = 1;
+      if (this.fade && label.fade) {
+        const [near, far] = label.fade;
+        opacity = THREE.MathUtils.clamp((far - distance) / (far - near), 0, 1);
+      }
+      if (opacity <= 0 || this.isOccluded(label)) return;
+
+      const projected = _position.project(camera);
+      if (projected.z < -1 || projected.z > 1) return;
+
+      candidates.push({
+        label,
+        distance,
+        opacity,
+        x: (projected.x + 1) / 2 * width,
+        y: (1 - projected.y) / 2 * height,
+        offset: label.radius ? label.radius * label.anchor.getWorldScale(_scale).x / distance * pixelsPerUnit : 0
+      });
+    });
+
+    // 优先级高的先放；同优先级近处的先放
+    candidates.sort((a, b) => b.label.priority - a.label.priority || a.distance - b.distance);
+    const placed = [];
+    const placements = new Map();
+    candidates.forEach((candidate) => {
+      const { label } = candidate;
+      const size = this.measure(label);
+      // 有半径的标签放在物体下方，其余放在锚点上方
+      const left = candidate.x - size.width / 2;
+      const top = label.radius ? candidate.y + candidate.offset + 2 : candidate.y - size.height - 4;
+      const rect = { left, top, right: left + size.width, bottom: top + size.height };
+
+      if (this.declutter && placed.some((other) => rectsOverlap(rect, other))) return;
+      placed.push(rect);
+      placements.set(label, { left, top, opacity: candidate.opacity });
+    });
+    return placements;
+  }
+
+  // 标签尺寸只在文字变化后测量一次，避免每帧读取布局
+  measure(label) {
+    if (!label.size) {
+      label.element.style.display = '';
+      label.size = { width: label.element.offsetWidth, height: label.element.offsetHeight };
+      if (!label.shown) label.element.style.display = 'none';
+    }
+    return label.size;
+  }
+
+  hideLabel(label) {
+    if (!label.shown) return;
+    label.element.style.display = 'none';
+    label.shown = false;
+  }
+}
+
+function rectsOverlap(a, b) {
+  return a.left < b.right && a.right > b.left && a.top < b.bottom && a.bottom > b.top;
+}
@@ -0,0 +1,208 @@
+// 信息面板中随模拟时刻变化的量：日心距离、轨道速度、真近点角、到下次近日点和至点的天数、
+// 地月距离、光行时、从地球看到的视直径和太阳直射点纬度
+//
+// 地球的轨道量按当前的轨道参数（main.js中的earthOrbitState）计算，与场景中摆放地球和日照计算所用的相同，
+// 深时模式下随纪元变化；其他天体按星历或轨道根数计算。距离一律为千米，速度为千米/秒，角度为弧度
+
+import { AU_KM, EARTH_ORBITAL_ELEMENTS, heliocentricFromElements, julianCenturies, normalizeAngle } from './ephemeris.js';
+import { trueToMeanAnomaly } from './kepler.js';
+import { getSolarPosition } from './insolation.js';
+import { getBody } from './bodyCatalog.js';
+import { t, formatNumber } from './i18n.js';
+
+// 光速（千米/秒）
+export const LIGHT_SPEED_KM_S = 299792.458;
+
+// 太阳和地月系统的引力常数GM（千米³/秒²）
+const GM_SUN = 1.32712440018e11;
+const GM_EARTH_MOON = 403503.2;
+
+// 高斯引力常数：日心轨道的平均运动（弧度/天）为 k / a^1.5，a以AU为单位
+const GAUSSIAN_GRAVITATIONAL_CONSTANT = 0.01720209895;
+
+// 近点年和回归年（天）
+const ANOMALISTIC_YEAR_DAYS = 365.259636;
+const TROPICAL_YEAR_DAYS = 365.2422;
+
+const DAY_MILLISECONDS = 86400000;
+const DEG = Math.PI / 180;
+
+// 可选的单位：距离单位为每单位的千米数，速度单位为每单位的千米/秒数
+export const DISTANCE_UNITS = {
+  km: 1,
+  mi: 1.609344,
+  au: AU_KM
+};
+export const SPEED_UNITS = {
+  kmPerSecond: 1,
+  kmPerHour: 1 / 3600,
+  miPerSecond: 1.609344
+};
+export const ANGLE_UNITS = ['degrees', 'dms'];
+
+// 活力公式：距中心天体r处的轨道速度
+function visVivaSpeed(gm, distance, semiMajorAxis) {
+  return Math.sqrt(gm * (2 / distance - 1 / semiMajorAxis));
+}
+
+// 从距离distance处看半径为radius的球体的视直径
+function angularDiameter(radius, distance) {
+  return 2 * Math.asin(Math.min(radius / distance, 1));
+}
+
+function vectorDistance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+// 下一个至点：太阳视黄经到达90°（夏至）或270°（冬至）的时刻，按回归年的平均速度估计后迭代修正
+export function findNextSolstice(date, orbitState) {
+  const longitude = getSolarPosition(date, orbitState).longitude;
+  const target = (Math.floor((longitude - Math.PI / 2) / Math.PI) + 1) * Math.PI + Math.PI / 2;
+  let days = (target - longitude) / (Math.PI * 2) * TROPICAL_YEAR_DAYS;
+  for (let i = 0; i < 3; i++) {
+    const current = getSolarPosition(new Date(date.getTime() + days * DAY_MILLISECONDS), orbitState).longitude;
+    const difference = normalizeAngle(target - current + Math.PI) - Math.PI;
+    days += difference / (Math.PI * 2) * TROPICAL_YEAR_DAYS;
+  }
+  return {
+    id: normalizeAngle(target) < Math.PI ? 'summerSolstice' : 'winterSolstice',
+    days
+  };
+}
+
+// 地球的日心轨道量
+function getEarthInfo(ephemeris, orbitState) {
+  const { eccentricity, perihelionLongitude } = orbitState;
+  const solar = getSolarPosition(ephemeris.date, orbitState);
+  const trueAnomaly = normalizeAngle(solar.longitude - Math.PI - perihelionLongitude);
+  const meanAnomaly = trueToMeanAnomaly(trueAnomaly, eccentricity);
+  const semiMajorAxis = EARTH_ORBITAL_ELEMENTS.a[0] * AU_KM;
+  const sunDistance = semiMajorAxis * (1 - eccentricity * eccentricity) / (1 + eccentricity * Math.cos(trueAnomaly));
+  const moonDistance = ephemeris.moon.distance;
+
+  return {
+    sunDistance,
+    orbitalSpeed: visVivaSpeed(GM_SUN, sunDistance, semiMajorAxis),
+    trueAnomaly,
+    daysToPerihelion: (Math.PI * 2 - meanAnomaly) / (Math.PI * 2) * ANOMALISTIC_YEAR_DAYS,
+    nextSolstice: findNextSolstice(ephemeris.date, orbitState),
+    moonDistance,
+    sunAngularDiameter: angularDiameter(getBody('sun').radiusKm, sunDistance),
+    moonAngularDiameter: angularDiameter(getBody('moon').radiusKm, moonDistance),
+    subsolarLatitude: solar.declination
+  };
+}
+
+// 日心位置（千米，J2000黄道坐标）及轨道量；绕行星运行的卫星取所绕行星的位置
+function getHeliocentricInfo(body, ephemeris) {
+  if (body.orbit.type === 'elements') {
+    const position = heliocentricFromElements(body.orbit.elements, julianCenturies(ephemeris.date));
+    const semiMajorAxis = position.semiMajorAxis * AU_KM;
+    const sunDistance = position.distance * AU_KM;
+    return {
+      position: { x: position.x * AU_KM, y: position.y * AU_KM, z: position.z * AU_KM },
+      sunDistance,
+      orbitalSpeed: visVivaSpeed(GM_SUN, sunDistance, semiMajorAxis),
+      trueAnomaly: position.trueAnomaly,
+      daysToPerihelion: (Math.PI * 2 - position.meanAnomaly) /
+        (GAUSSIAN_GRAVITATIONAL_CONSTANT / Math.pow(position.semiMajorAxis, 1.5))
+    };
+  }
+  const parentInfo = getHeliocentricInfo(getBody(body.parent), ephemeris);
+  const { semiMajorAxisKm, periodDays } = body.orbit;
+  return {
+    position: parentInfo.position,
+    sunDistance: parentInfo.sunDistance,
+    parentDistance: semiMajorAxisKm,
+    orbitalSpeed: Math.PI * 2 * semiMajorAxisKm / (periodDays * 86400)
+  };
+}
+
+// 选中天体的实时信息；不适用的量不出现在返回值中
+export function getLiveBodyInfo(body, ephemeris, orbitState) {
+  const earth = ephemeris.earth;
+  const earthPosition = { x: earth.x * AU_KM, y: earth.y * AU_KM, z: earth.z * AU_KM };
+
+  if (body.id === 'earth') {
+    return getEarthInfo(ephemeris, orbitState);
+  }
+
+  if (body.id === 'sun') {
+    const earthDistance = earth.distance * AU_KM;
+    return {
+      earthDistance,
+      angularDiameter: angularDiameter(body.radiusKm, earthDistance),
+      subsolarLatitude: getSolarPosition(ephemeris.date, orbitState).declination
+    };
+  }
+
+  if (body.id === 'moon') {
+    const moon = ephemeris.moon;
+    const moonPosition = {
+      x: earthPosition.x + moon.x,
+      y: earthPosition.y + moon.y,
+      z: earthPosition.z + moon.z
+    };
+    return {
+      sunDistance: Math.hypot(moonPosition.x, moonPosition.y, moonPosition.z),
+      earthDistance: moon.distance,
+      orbitalSpeed: visVivaSpeed(GM_EARTH_MOON, moon.distance, body.orbit.semiMajorAxisKm),
+      angularDiameter: angularDiameter(body.radiusKm, moon.distance)
+    };
+  }
+
+  const { position, ...info } = getHeliocentricInfo(body, ephemeris);
+  const earthDistance = vectorDistance(position, earthPosition);
+  return {
+    ...info,
+    earthDistance,
+    angularDiameter: angularDiameter(body.radiusKm, earthDistance)
+  };
+}
+
+// 距离按所选单位格式化：千米和英里取整，AU的小数位数随大小变化，地月距离等也能看出变化
+export function formatDistance(kilometers, unit) {
+  const value = kilometers / DISTANCE_UNITS[unit];
+  const digits = unit === 'au' ? (value < 0.1 ? 6 : 4) : 0;
+  return t(`units.${unit}`, { value: formatNumber(value, digits) });
+}
+
+export function formatSpeed(kilometersPerSecond, unit) {
+  const value = kilometersPerSecond / SPEED_UNITS[unit];
+  return t(`units.${unit}`, { value: formatNumber(value, unit === 'kmPerHour' ? 0 : 2) });
+}
+
+// 十进制度，或度分秒（省略为零的高位，行星的视直径只有几角秒）
+export function formatAngle(radians, unit) {
+  const degrees = radians / DEG;
+  if (unit === 'degrees') return `${formatNumber(degrees, 3)}°`;
+
+  const sign = degrees < 0 ? '-' : '';
+  const totalSeconds = Math.abs(degrees) * 3600;
+  const wholeDegrees = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds - wholeDegrees * 3600) / 60);
+  const seconds = totalSeconds - wholeDegrees * 3600 - minutes * 60;
+  if (wholeDegrees > 0) return `${sign}${wholeDegrees}°${minutes}′${Math.floor(seconds)}″`;
+  if (minutes > 0) return `${sign}${minutes}′${formatNumber(seconds, 1)}″`;
+  return `${sign}${formatNumber(seconds, 2)}″`;
+}
+
+// 光行时：不到1分钟时显示秒，不到1小时时显示分和秒，否则显示小时和分
+export function formatLightTime(kilometers) {
+  const totalSeconds = kilometers / LIGHT_SPEED_KM_S;
+  if (totalSeconds < 60) return t('units.seconds', { value: formatNumber(totalSeconds, 2) });
+  if (totalSeconds < 3600) {
+    return t('units.minutesSeconds', {
+      minutes: Math.floor(totalSeconds / 60),
+      seconds: Math.floor(totalSeconds % 60)
+    });
+  }
+  return t('units.hoursMinutes', {
+    hours: Math.floor(totalSeconds / 3600),
+    minutes: Math.floor(totalSeconds % 3600 / 60)
+  });
+}
+
+export function formatDays(days) {
+  return t('units.days', { value: formatNumber(days, 1) });
+}
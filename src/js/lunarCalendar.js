@@ -0,0 +1,157 @@
+import { getMoonPhase, findPrincipalPhases } from './moonPhase.js';
+import { drawMoonPhase } from './moonPhasePanel.js';
+import { t, formatDate, formatDateTime } from './i18n.js';
+
+// 2023年1月1日为星期日，用来取得当前语言的星期名称
+const FIRST_SUNDAY = Date.UTC(2023, 0, 1);
+
+// 月历：按UTC日期列出一个月每天正午的月相，标出朔、上弦、望、下弦的时刻
+// 点击某天时回调onSelect(date)：有主要月相的日子跳到该月相的时刻，其余日子跳到当天正午
+export class LunarCalendar {
+  constructor(onSelect) {
+    this.onSelect = onSelect;
+    this.year = 0;
+    this.month = 0;
+
+    this.element = document.createElement('div');
+    this.element.className = 'help-overlay lunar-calendar-overlay';
+    this.element.style.display = 'none';
+    document.body.appendChild(this.element);
+
+    // 点击面板外的半透明背景时关闭
+    this.element.addEventListener('click', (event) => {
+      if (event.target === this.element) {
+        this.hide();
+      }
+    });
+  }
+
+  isVisible() {
+    return this.element.style.display !== 'none';
+  }
+
+  // 打开并显示date所在的月份
+  show(date) {
+    this.year = date.getUTCFullYear();
+    this.month = date.getUTCMonth();
+    this.render();
+    this.element.style.display = 'flex';
+  }
+
+  hide() {
+    this.element.style.display = 'none';
+  }
+
+  toggle(date) {
+    if (this.isVisible()) {
+      this.hide();
+    } else {
+      this.show(date);
+    }
+  }
+
+  // 切换界面语言后重新生成正在显示的月历
+  updateTexts() {
+    if (this.isVisible()) this.render();
+  }
+
+  changeMonth(delta) {
+    const date = new Date(Date.UTC(this.year, this.month + delta, 1));
+    this.year = date.getUTCFullYear();
+    this.month = date.getUTCMonth();
+    this.render();
+  }
+
+  render() {
+    const monthStart = new Date(Date.UTC(this.year, this.month, 1));
+    const monthEnd = new Date(Date.UTC(this.year, this.month + 1, 1));
+    const dayCount = Math.round((monthEnd - monthStart) / 86400000);
+
+    // 每天的主要月相（最多一个）
+    const principalByDay = new Map();
+    findPrincipalPhases(monthStart, monthEnd).forEach((phase) => {
+      principalByDay.set(phase.date.getUTCDate(), phase);
+    });
+
+    const panel = document.createElement('div');
+    panel.className = 'help-panel lunar-calendar';
+
+    const header = document.createElement('div');
+    header.className = 'lunar-calendar-header';
+    const previousButton = document.createElement('button');
+    previousButton.textContent = '‹';
+    previousButton.addEventListener('click', () => this.changeMonth(-1));
+    const title = document.createElement('h2');
+    title.textContent = t('lunarCalendar.title', { month: formatDate(monthStart, { year: 'numeric', month: 'long' }) });
+    const nextButton = document.createElement('button');
+    nextButton.textContent = '›';
+    nextButton.addEventListener('click', () => this.changeMonth(1));
+    header.append(previousButton, title, nextButton);
+    panel.appendChild(header);
+
+    const grid = document.createElement('div');
+    grid.className = 'lunar-calendar-grid';
+    for (let weekday = 0; weekday < 7; weekday++) {
+      const cell = document.createElement('div');
+      cell.className = 'lunar-calendar-weekday';
+      cell.textContent = formatDate(new Date(FIRST_SUNDAY + weekday * 86400000), { weekday: 'narrow' });
+      grid.appendChild(cell);
+    }
+
+    // 月初之前的空格
+    for (let i = 0; i < monthStart.getUTCDay(); i++) {
+      grid.appendChild(document.createElement('div'));
+    }
+
+    for (let day = 1; day <= dayCount; day++) {
+      const noon = new Date(Date.UTC(this.year, this.month, day, 12));
+      const principal = principalByDay.get(day);
+      grid.appendChild(this.createDayCell(day, noon, principal));
+    }
+    panel.appendChild(grid);
+
+    const footer = document.createElement('div');
+    footer.className = 'help-footer';
+    const hint = document.createElement('span');
+    hint.textContent = t('lunarCalendar.hint');
+    footer.appendChild(hint);
+    const closeButton = document.createElement('button');
+    closeButton.textContent = t('lunarCalendar.close');
+    closeButton.addEventListener('click', () => this.hide());
+    footer.appendChild(closeButton);
+    panel.appendChild(footer);
+
+    this.element.replaceChildren(panel);
+  }
+
+  createDayCell(day, noon, principal) {
+    const cell = document.createElement('div');
+    cell.className = principal ? 'lunar-calendar-day principal' : 'lunar-calendar-day';
+
+    const label = document.createElement('div');
+    label.textContent = day;
+    cell.appendChild(label);
+
+    const phase = getMoonPhase(noon);
+    const canvas = document.createElement('canvas');
+    canvas.width = 32;
+    canvas.height = 32;
+    drawMoonPhase(canvas.getContext('2d'), 16, 16, 14, phase.illuminatedFraction, phase.waxing);
+    cell.appendChild(canvas);
+
+    const caption = document.createElement('div');
+    caption.className = 'lunar-calendar-caption';
+    const time = principal && formatDate(principal.date, { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+    caption.textContent = principal ? `${principal.name} ${time}` : '';
+    cell.appendChild(caption);
+
+    const target = principal ? principal.date : noon;
+    cell.title = t('lunarCalendar.jumpTo', { date: formatDateTime(target) });
+    cell.addEventListener('click', () => {
+      this.onSelect(target);
+      this.hide();
+    });
+
+    return cell;
+  }
+}
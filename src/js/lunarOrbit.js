@@ -0,0 +1,52 @@
+// 月球轨道的几何量：轨道面内的位置、近地点方向和光学天平动
+// 输入为ephemeris.getMoonGeocentric()的结果，角度均为弧度
+
+import { normalizeAngle } from './ephemeris.js';
+
+const DEG = Math.PI / 180;
+
+// 白道对黄道的平均倾角
+export const MOON_ORBIT_INCLINATION = 5.145 * DEG;
+// 月球轨道的平均离心率
+export const MOON_ORBIT_ECCENTRICITY = 0.0549;
+// 月球赤道对黄道的倾角（Meeus第53章）
+export const MOON_EQUATOR_INCLINATION = 1.54242 * DEG;
+// 交点退行和近地点进动的周期（年）
+export const NODAL_PERIOD_YEARS = 18.61;
+export const APSIDAL_PERIOD_YEARS = 8.85;
+
+// 月球在白道面内的位置
+// argumentOfLatitude: 从升交点量起的角距；argumentOfPerigee: 近地点幅角；trueAnomaly: 从近地点量起的真近点角
+export function getMoonOrbitAngles(moon) {
+  const W = moon.longitude - moon.ascendingNode;
+  // 把地心方向转到以交点线为x轴、白道面为xy平面的坐标系
+  const inPlaneY = Math.sin(W) * Math.cos(moon.latitude) * Math.cos(MOON_ORBIT_INCLINATION) +
+                   Math.sin(moon.latitude) * Math.sin(MOON_ORBIT_INCLINATION);
+  const argumentOfLatitude = normalizeAngle(Math.atan2(inPlaneY, Math.cos(W) * Math.cos(moon.latitude)));
+  const argumentOfPerigee = normalizeAngle(moon.perigee - moon.ascendingNode);
+  return {
+    argumentOfLatitude,
+    argumentOfPerigee,
+    trueAnomaly: normalizeAngle(argumentOfLatitude - argumentOfPerigee)
+  };
+}
+
+// 光学天平动（Meeus 53.1）：地心方向在月面上的经度l和纬度b
+// l > 0时月面东缘转向地球一侧，b > 0时月面北极转向地球一侧
+export function getOpticalLibration(moon) {
+  const W = moon.longitude - moon.ascendingNode;
+  const cosLatitude = Math.cos(moon.latitude);
+  const sinLatitude = Math.sin(moon.latitude);
+  const cosI = Math.cos(MOON_EQUATOR_INCLINATION);
+  const sinI = Math.sin(MOON_EQUATOR_INCLINATION);
+
+  const A = Math.atan2(
+    Math.sin(W) * cosLatitude * cosI - sinLatitude * sinI,
+    Math.cos(W) * cosLatitude
+  );
+  let longitude = normalizeAngle(A - moon.argumentOfLatitude);
+  if (longitude > Math.PI) longitude -= Math.PI * 2;
+  const latitude = Math.asin(-Math.sin(W) * cosLatitude * sinI - sinLatitude * cosI);
+
+  return { longitude, latitude };
+}
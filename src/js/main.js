@@ -6,10 +6,90 @@ import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPa
 import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
 import { GUI } from 'lil-gui';
 import { gsap } from 'gsap';
+import { getEphemeris, normalizeAngle, julianCenturies, EARTH_ORBITAL_ELEMENTS, OBLIQUITY_J2000, AU_KM } from './ephemeris.js';
+import { eclipticToScene, eclipticLongitudeToSceneAngle, SCENE_PERIHELION_LONGITUDE } from './coordinates.js';
+import { meanToTrueAnomaly, trueToMeanAnomaly, orbitRadius } from './kepler.js';
+import {
+  SimulationClock,
+  parseUTCDate,
+  SECONDS_PER_HOUR,
+  SECONDS_PER_DAY,
+  SIDEREAL_MONTH_SECONDS
+} from './simClock.js';
+import {
+  bodies,
+  getBody,
+  getBodyName,
+  getBodyFacts,
+  getSatellites,
+  getTextureFiles,
+  getHeliocentricScenePosition,
+  getHeliocentricScenePath,
+  getHeliocentricSceneScale,
+  getCircularOrbitAngle,
+  getRotationAngle
+} from './bodyCatalog.js';
+import { InputManager } from './input.js';
+import { HelpOverlay } from './helpOverlay.js';
+import { CameraRig } from './cameraRig.js';
+import { latLonToLocal, localToLatLon } from './geo.js';
+import { getRiseSetTimes, getLocalDayRange } from './observer.js';
+import { ObserverView } from './observerView.js';
+import { createEarthMaterial, updateEarthMaterial } from './earthMaterial.js';
+import { findEclipses, findNextEclipse, getEclipseName } from './eclipses.js';
+import { applyEarthShadow } from './eclipseShading.js';
+import { ShadowCones } from './shadowCones.js';
+import { getMoonPhase } from './moonPhase.js';
+import { MoonPhasePanel } from './moonPhasePanel.js';
+import { LunarCalendar } from './lunarCalendar.js';
+import { getOrbitalCycles } from './milankovitch.js';
+import { MilankovitchPanel } from './milankovitchPanel.js';
+import { getSolarPosition, getAnnualInsolation, getDayLength, getDailyInsolation, getDayOfYear, SOLAR_CONSTANT } from './insolation.js';
+import { InsolationPanel } from './insolationPanel.js';
+import { FrameExporter, WebMRecorder, PNGSequenceRecorder, canvasToBlob, downloadBlob } from './exporter.js';
+import { getLiveBodyInfo, formatDistance, formatSpeed, formatAngle, formatLightTime, formatDays, DISTANCE_UNITS, SPEED_UNITS, ANGLE_UNITS } from './liveInfo.js';
+import {
+  getMoonOrbitAngles,
+  getOpticalLibration,
+  NODAL_PERIOD_YEARS,
+  APSIDAL_PERIOD_YEARS,
+  MOON_ORBIT_ECCENTRICITY
+} from './lunarOrbit.js';
+import { MarkerStore, parseMarkersFile } from './markers.js';
+import { GeoOverlays, GEO_OVERLAY_COLORS } from './geoOverlays.js';
+import { Starfield } from './starfield.js';
+import { SkyGrids, SKY_GRID_COLORS } from './skyGrids.js';
+import { LabelLayer } from './labelLayer.js';
+import { SceneScale, SCALE_MODES } from './sceneScale.js';
+import { OrbitTrails, TRAIL_FRAMES } from './orbitTrails.js';
+import { encodePermalink, decodePermalink } from './permalink.js';
+import { SettingsStore, BUILTIN_PRESETS } from './settingsStore.js';
+import { LOCALES, t, getLocale, setLocale, formatNumber, formatDate, formatDateTime, translateDocument } from './i18n.js';
+
+// 地球自转速度为1时每真实秒自转1弧度，对应的模拟秒数
+const SIM_SECONDS_PER_ROTATION_RADIAN = SECONDS_PER_DAY / (Math.PI * 2);
+
+// 深时模式中纪元的可调范围（相对J2000的年数）
+const DEEP_TIME_RANGE_YEARS = [-250000, 50000];
+
+// 摄像机的裁剪面和可缩放范围；近裁剪面和远裁剪面每帧按场景调整（见updateCameraClipping()）
+const CAMERA_NEAR = 0.1;
+const CAMERA_MIN_NEAR = 1e-7;
+const CAMERA_FAR = 2000;
+const CAMERA_MAX_DISTANCE = 500;
+
+// 永久链接写入地址栏的最短间隔（秒）
+const PERMALINK_INTERVAL = 1;
+
+// 示意比例下地球轨道管的半径，随地球大小缩放
+const EARTH_ORBIT_TUBE_RADIUS = 0.05;
 
 // 导入自定义着色器
 // 这里使用直接定义着色器代码的方式，避免导入错误
 const atmosphereVertexShader = `
+#include <common>
+#include <logdepthbuf_pars_vertex>
+
 uniform vec3 sunPosition;
 varying vec3 vNormal;
 varying vec3 vWorldPosition;
@@ -27,10 +107,13 @@ void main() {
     vSunIntensity = max(0.0, dot(worldNormal, sunDir));
     
     gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    #include <logdepthbuf_vertex>
 }
 `;
 
 const atmosphereFragmentShader = `
+#include <logdepthbuf_pars_fragment>
+
 uniform vec3 glowColor;
 uniform float atmosphereIntensity;
 uniform vec3 sunPosition;
@@ -46,6 +129,8 @@ vec3 rayleighScattering(float cosTheta) {
 }
 
 void main() {
+    #include <logdepthbuf_fragment>
+    
     // 视线方向
     vec3 viewDirection = normalize(cameraPosition - vWorldPosition);
     
@@ -81,6 +166,9 @@ class SolarSystemApp {
     this.infoPanel = document.querySelector('.info-panel');
     this.planetNameEl = document.getElementById('planet-name');
     this.planetInfoEl = document.getElementById('planet-info');
+    this.hudElement = document.querySelector('.hud-right');
+    // 页面中固定的文字换成当前语言
+    translateDocument();
     
     this.scene = new THREE.Scene();
     this.textureLoader = new THREE.TextureLoader();
@@ -96,16 +184,104 @@ class SolarSystemApp {
     this.clock = new THREE.Clock();
     this.elapsedTime = 0;
     
+    // 模拟时钟从当前真实时刻开始，所有天体都从它读取时间
+    this.simClock = new SimulationClock({
+      startDate: new Date(),
+      rate: SIM_SECONDS_PER_ROTATION_RADIAN
+    });
+    this.simulationDate = this.simClock.getDate();
+    
+    // 比例模式：示意比例、真实大小、真实距离或全部真实，见sceneScale.js
+    this.sceneScale = new SceneScale(getBody('sun'));
+    
+    // 示意地球轨道：离心率从0.0167放大到0.12，使椭圆和速度变化更明显；真实距离下恢复真实离心率
+    const earthOrbit = getBody('earth').orbit;
+    this.earthOrbitParams = {
+      semiMajorAxis: earthOrbit.sceneSemiMajorAxis,
+      eccentricity: earthOrbit.displayEccentricity,
+      // 真实离心率到示意离心率的放大倍数，深时模式中离心率变化时沿用
+      eccentricityScale: earthOrbit.displayEccentricity / EARTH_ORBITAL_ELEMENTS.e[0],
+      tubeRadius: EARTH_ORBIT_TUBE_RADIUS
+    };
+    
+    // 深时模式：按米兰科维奇循环改变黄赤交角、轨道离心率和近日点相对春分点的方位
+    // epochYears为相对J2000的年数，与模拟日期分开；地球仍按模拟日期在一年中运行
+    this.deepTimeSettings = {
+      enabled: false,
+      epochYears: 0,
+      playing: false,
+      yearsPerSecond: 2000
+    };
+    this.earthOrbitState = this.getEarthOrbitState();
+    
+    // 日照分析：曲线所用的纬度默认为北京，分布图叠加在地球表面
+    this.insolationSettings = {
+      showPanel: false,
+      latitude: 39.9,
+      showOverlay: false,
+      overlayOpacity: 0.7
+    };
+    
+    // 信息面板中实时量的单位（见liveInfo.js）
+    this.infoPanelSettings = {
+      distanceUnit: 'km',
+      speedUnit: 'kmPerSecond',
+      angleUnit: 'degrees'
+    };
+    
+    // 截图和延时录制：输出分辨率与窗口无关；录制时每帧推进 模拟时钟速率 ÷ 帧率 的模拟时间
+    this.exportSettings = {
+      width: 3840,
+      height: 2160,
+      transparent: false,
+      labels: true,
+      format: 'webm',
+      fps: 30,
+      duration: 10
+    };
+    // 正在录制时为 { stopped }，animate()不再按真实时间推进
+    this.recording = null;
+    
+    // 地面观测者的位置，默认为北京
+    this.observerSettings = {
+      enabled: false,
+      latitude: 39.9,
+      longitude: 116.3
+    };
+    
+    // 日食和月食阴影：真实的太阳、月球地心位置（千米，方向已换算到场景坐标系），地球和月球材质共用
+    this.eclipseUniforms = {
+      eclipseSunVector: { value: new THREE.Vector3(AU_KM, 0, 0) },
+      eclipseMoonVector: { value: new THREE.Vector3(-384400, 0, 0) }
+    };
+    
+    // 已创建的天体：id -> { body, root, mesh, sizeRoot, orbitLine }
+    // sizeRoot是按比例模式缩放的对象，天体网格和附属的轴、云层、行星环等都在它下面
+    this.bodyObjects = new Map();
+    
+    // lil-gui只能设置一个onFinishChange回调，设置保存和永久链接都要监听，由createGUI()中的回调分发
+    this.guiFinishChangeListeners = [];
+    // 重建GUI（切换语言）前要执行的清理：取消GUI对时钟、摄像机等的监听，移除GUI创建的文件输入框
+    this.guiCleanups = [];
+    
     this.camera = this.createCamera();
     this.renderer = this.createRenderer();
     this.controls = this.createControls();
+    this.cameraRig = new CameraRig(this.camera, this.controls);
     this.composer = this.createComposer();
+    // 天体、标记和星座的名称标签，叠在画布之上
+    this.labelLayer = new LabelLayer(document.body);
+    this.labelLayer.setSize(this.sizes.width, this.sizes.height);
+    this.frameExporter = new FrameExporter(this.renderer);
     
     // 加载贴图
     this.loadTextures().then(() => {
       this.createSolarSystem();
       this.addEventListeners();
       this.createGUI();
+      this.createInput();
+      this.createSettings();
+      this.createPermalink();
       this.hideLoading();
       this.animate();
     });
@@ -113,27 +289,18 @@ class SolarSystemApp {
   
   loadTextures() {
     console.log('开始加载贴图...');
-    const texturePromises = [
-      this.loadTexture('2k_stars_milky_way.jpg'),
-      this.loadTexture('2k_sun.jpg'),
-      this.loadTexture('2k_earth_daymap.jpg'),
-      this.loadTexture('2k_earth_normal_map.jpg'),
-      this.loadTexture('2k_earth_specular_map.jpg'),
-      this.loadTexture('2k_earth_clouds.jpg'),
-      this.loadTexture('2k_moon.jpg')
-    ];
+    // 贴图都由天体目录给出；星空改由星表绘制，不再使用贴图
+    const textureFiles = getTextureFiles();
+    const texturePromises = textureFiles.map(({ bodyId, file }) => this.loadTexture(file, getBody(bodyId).color));
     
     return Promise.all(texturePromises).then(textures => {
       console.log('所有贴图加载完成!');
-      this.textures = {
-        stars: textures[0],
-        sun: textures[1],
-        earthDay: textures[2],
-        earthNormal: textures[3],
-        earthSpecular: textures[4],
-        earthClouds: textures[5],
-        moon: textures[6]
-      };
+      // 按天体id和贴图用途存放，例如 this.textures.earth.cloudMap
+      this.textures = {};
+      textureFiles.forEach(({ bodyId, slot }, index) => {
+        this.textures[bodyId] = this.textures[bodyId] || {};
+        this.textures[bodyId][slot] = textures[index];
+      });
     }).catch(error => {
       console.error('贴图加载失败:', error);
       // 即使贴图加载失败也继续初始化
@@ -141,12 +308,20 @@ class SolarSystemApp {
       this.createSolarSystem();
       this.addEventListeners();
       this.createGUI();
+      this.createInput();
+      this.createSettings();
+      this.createPermalink();
       this.hideLoading();
       this.animate();
     });
   }
   
-  loadTexture(name) {
+  getBodyTexture(bodyId, slot) {
+    const bodyTextures = this.textures[bodyId];
+    return bodyTextures && bodyTextures[slot] ? bodyTextures[slot] : null;
+  }
+  
+  loadTexture(name, fallbackColor) {
     console.log(`尝试加载贴图: ${name}`);
     return new Promise((resolve, reject) => {
       this.textureLoader.load(
@@ -168,6 +343,10 @@ class SolarSystemApp {
               // 创建太阳替代纹理
               ctx.fillStyle = '#FDB813';
               ctx.fillRect(0, 0, canvas.width, canvas.height);
+            } else if (name.includes('night')) {
+              // 夜间灯光贴图缺失时保持全黑，夜面不显示灯光
+              ctx.fillStyle = '#000000';
+              ctx.fillRect(0, 0, canvas.width, canvas.height);
             } else if (name.includes('earth')) {
               // 创建地球替代纹理
               ctx.fillStyle = '#2C5D9C';
@@ -189,19 +368,10 @@ class SolarSystemApp {
               // 创建月球替代纹理
               ctx.fillStyle = '#CCCCCC';
               ctx.fillRect(0, 0, canvas.width, canvas.height);
-            } else if (name.includes('stars')) {
-              // 创建星空替代纹理
-              ctx.fillStyle = '#000000';
+            } else if (fallbackColor) {
+              // 其他天体使用目录中的颜色
+              ctx.fillStyle = fallbackColor;
               ctx.fillRect(0, 0, canvas.width, canvas.height);
-              ctx.fillStyle = '#FFFFFF';
-              for (let i = 0; i < 1000; i++) {
-                const x = Math.random() * canvas.width;
-                const y = Math.random() * canvas.height;
-                const r = Math.random() * 2;
-                ctx.beginPath();
-                ctx.arc(x, y, r, 0, Math.PI * 2);
-                ctx.fill();
-              }
             }
             
             const texture = new THREE.CanvasTexture(canvas);
@@ -216,8 +386,11 @@ class SolarSystemApp {
   }
   
   createCamera() {
-    const camera = new THREE.PerspectiveCamera(45, this.sizes.width / this.sizes.height, 0.1, 2000);
-    camera.position.set(0, 15, 30);
+    const camera = new THREE.PerspectiveCamera(45, this.sizes.width / this.sizes.height, CAMERA_NEAR, CAMERA_FAR);
+    // 默认视角，重置视角时回到这里
+    this.defaultCameraPosition = new THREE.Vector3(0, 15, 30);
+    this.defaultCameraTarget = new THREE.Vector3(0, 0, 0);
+    camera.position.copy(this.defaultCameraPosition);
     return camera;
   }
   
@@ -225,7 +398,9 @@ class SolarSystemApp {
     const renderer = new THREE.WebGLRenderer({
       canvas: this.canvas,
       antialias: true,
-      alpha: true
+      alpha: true,
+      // 真实比例下近处的天体只有几千分之一个单位，远处的行星在上千个单位之外，普通深度缓冲的精度不够
+      logarithmicDepthBuffer: true
     });
     
     renderer.setSize(this.sizes.width, this.sizes.height);
@@ -242,7 +417,7 @@ class SolarSystemApp {
     controls.enableDamping = true;
     controls.dampingFactor = 0.05;
     controls.minDistance = 5;
-    controls.maxDistance = 100;
+    controls.maxDistance = CAMERA_MAX_DISTANCE;
     
     return controls;
   }
@@ -260,37 +435,375 @@ class SolarSystemApp {
     // 创建星空背景
     this.createStarfield();
     
-    // 创建太阳
-    this.createSun();
-    
     // 创建水平的黄道面（不再倾斜）
     this.eclipticGroup = new THREE.Group();
     // 黄道面现在完全水平
     this.scene.add(this.eclipticGroup);
     
-    // 在水平黄道面上创建地球轨道
-    this.createEarth();
+    // 按天体目录逐层创建：先创建天体本身，再创建绕它运行的天体
+    // 太阳、地球和月球有专门的构建方法，其余天体使用通用构建方法
+    const builders = {
+      sun: () => this.createSun(),
+      earth: () => this.createEarth(),
+      moon: () => this.createMoon()
+    };
+    const build = (body) => {
+      const builder = builders[body.id];
+      if (builder) {
+        builder();
+      } else {
+        this.createCatalogBody(body);
+      }
+      getSatellites(body.id).forEach(build);
+    };
+    bodies.filter((body) => !body.parent).forEach(build);
+    
+    this.createObserver();
+    this.createOrbitTrails();
+    this.createGeoMarkers();
+    this.createBodyLabels();
+    this.applySceneScale();
+    
+    // 本影锥和半影锥示意，默认隐藏
+    this.shadowCones = new ShadowCones(this.eclipticGroup);
+    this.shadowCones.setVisible(false);
+    
+    // 信息面板旁的月相小窗和月历
+    this.lunarCalendar = new LunarCalendar((date) => {
+      this.simClock.jumpTo(date);
+      this.simClock.setPaused(true);
+    });
+    this.moonPhasePanel = new MoonPhasePanel(this.hudElement, () => this.lunarCalendar.toggle(this.simulationDate));
     
-    // 创建月球
-    this.createMoon();
+    // 深时模式的米兰科维奇循环曲线，开启深时模式时显示
+    this.milankovitchPanel = new MilankovitchPanel(this.hudElement);
+    
+    // 日照曲线和日照分布图的色标
+    this.insolationPanel = new InsolationPanel(this.hudElement);
   }
   
-  createStarfield() {
-    const geometry = new THREE.SphereGeometry(1000, 64, 64);
-    const material = new THREE.MeshBasicMaterial({
-      map: this.textures.stars,
-      side: THREE.BackSide
+  // 星历中的黄道坐标 -> 场景坐标系中的方向，并按示意轨道的方位差旋转，与场景中日地月的方向一致
+  eclipticToSceneAligned(x, y, z, target) {
+    return eclipticToScene(x, y, z, target)
+      .applyAxisAngle(new THREE.Vector3(0, 1, 0), this.schematicOrbitOffset || 0);
+  }
+  
+  updateEclipseShadows() {
+    const { sun, moon } = this.ephemeris;
+    this.eclipticToSceneAligned(sun.x * AU_KM, sun.y * AU_KM, sun.z * AU_KM, this.eclipseUniforms.eclipseSunVector.value);
+    this.eclipticToSceneAligned(moon.x, moon.y, moon.z, this.eclipseUniforms.eclipseMoonVector.value);
+    
+    const earthRadius = this.getBodyRadius('earth');
+    const moonDistance = this.moonOrbitRadius * this.moonDistanceScale;
+    this.shadowCones.update(
+      this.getBodyRadius('sun'),
+      this.earthGroup.position,
+      earthRadius,
+      moonDistance * 1.5,
+      this.moon.getWorldPosition(new THREE.Vector3()),
+      this.getBodyRadius('moon'),
+      moonDistance + earthRadius
+    );
+  }
+  
+  // 跳转到某次食的食甚时刻并暂停，摄像机飞到能看到阴影的天体：日食看地球，月食看月球
+  jumpToEclipse(eclipse) {
+    if (!eclipse) return;
+    this.simClock.jumpTo(eclipse.date);
+    this.simClock.setPaused(true);
+    this.selectBody(eclipse.kind === 'solar' ? 'earth' : 'moon');
+  }
+  
+  formatEclipse(eclipse) {
+    return `${formatDateTime(eclipse.date)} ${getEclipseName(eclipse)}`;
+  }
+  
+  // 地面观测：地球表面的观测点标记和独立的观测视角
+  createObserver() {
+    this.observerMarker = this.createSurfaceMarker(
+      this.observerSettings.latitude,
+      this.observerSettings.longitude,
+      0x00ff88
+    );
+    this.earth.add(this.observerMarker);
+    
+    this.observerView = new ObserverView(this.canvas, this.getBodyTexture('moon', 'map'));
+    this.observerView.setSize(this.sizes.width, this.sizes.height);
+  }
+  
+  setObserverMode(enabled) {
+    this.observerSettings.enabled = enabled;
+    this.controls.enabled = !enabled;
+    // 地面观测视图不显示太阳系场景中的名称标签
+    this.labelLayer.setEnabled(!enabled);
+    if (enabled) {
+      this.observerView.activate();
+    } else {
+      this.observerView.deactivate();
+    }
+    if (this.observerModeUI) {
+      this.observerModeUI.updateDisplay();
+    }
+  }
+  
+  setObserverLocation(latitude, longitude) {
+    this.observerSettings.latitude = latitude;
+    this.observerSettings.longitude = longitude;
+    this.placeSurfaceMarker(this.observerMarker, latitude, longitude);
+    if (this.observerControllers) {
+      this.observerControllers.forEach((controller) => controller.updateDisplay());
+    }
+  }
+  
+  // 观测地的时区按经度取整估算
+  getObserverUTCOffset() {
+    return Math.round(this.observerSettings.longitude / 15);
+  }
+  
+  // 地理标记：标记数据由MarkerStore管理并保存，这里只负责地球表面的标记和名称
+  createGeoMarkers() {
+    this.markerSettings = {
+      visible: true,
+      showLabels: true,
+      addOnClick: false
+    };
+    this.markerObjects = new Map();
+    this.markerGroup = new THREE.Group();
+    this.earth.add(this.markerGroup);
+    
+    this.markerStore = new MarkerStore();
+    this.markerStore.onChange(() => this.syncGeoMarkers());
+    this.syncGeoMarkers();
+  }
+  
+  syncGeoMarkers() {
+    const markers = this.markerStore.getMarkers();
+    const ids = new Set(markers.map((marker) => marker.id));
+    
+    this.markerObjects.forEach((entry, id) => {
+      if (ids.has(id)) return;
+      this.markerGroup.remove(entry.object);
+      this.disposeGeoMarker(entry);
+      this.markerObjects.delete(id);
+      this.orbitTrails.removeTrail(`marker-${id}`);
+    });
+    
+    markers.forEach((marker) => {
+      let entry = this.markerObjects.get(marker.id);
+      if (!entry) {
+        entry = { object: this.createSurfaceMarker(marker.latitude, marker.longitude, marker.color) };
+        this.markerGroup.add(entry.object);
+        this.markerObjects.set(marker.id, entry);
+        this.orbitTrails.addTrail(`marker-${marker.id}`, entry.object, marker.color);
+        this.orbitTrails.setTrailEnabled(`marker-${marker.id}`, this.trailSettings.markers);
+      }
+      
+      this.placeSurfaceMarker(entry.object, marker.latitude, marker.longitude);
+      entry.object.material.color.set(marker.color);
+      this.orbitTrails.setTrailColor(`marker-${marker.id}`, marker.color);
+      
+      // 名称标签在地球背面时隐藏，点击标签选中地球
+      if (!entry.label) {
+        entry.label = this.createLabel(marker.name, new THREE.Vector3(0, 0.2, 0), marker.color, {
+          group: 'marker',
+          priority: 2,
+          fade: [30, 60],
+          occluder: this.earth,
+          onClick: () => this.selectBody('earth')
+        });
+        entry.object.add(entry.label);
+      }
+      this.labelLayer.setText(entry.label, marker.name);
+      this.labelLayer.setColor(entry.label, marker.color);
+      entry.label.visible = this.markerSettings.showLabels;
+    });
+  }
+  
+  disposeGeoMarker(entry) {
+    this.labelLayer.removeLabel(entry.label);
+    entry.object.traverse((child) => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+  }
+  
+  setGeoMarkerLabelsVisible(visible) {
+    this.markerSettings.showLabels = visible;
+    this.markerObjects.forEach((entry) => {
+      entry.label.visible = visible;
+    });
+  }
+  
+  // 地球、月球和地理标记的轨迹，默认都不显示；地理标记的轨迹在syncGeoMarkers()中随标记增删
+  createOrbitTrails() {
+    this.trailSettings = {
+      frame: 'heliocentric',
+      lengthDays: 30,
+      earth: false,
+      moon: false,
+      markers: false
+    };
+    this.orbitTrails = new OrbitTrails(this.scene, this.earthGroup, this.earth);
+    this.orbitTrails.addTrail('earth', this.earthGroup, '#4a90e2');
+    this.orbitTrails.addTrail('moon', this.moon, '#d0d0d0');
+    this.orbitTrails.setTrailEnabled('earth', this.trailSettings.earth);
+    this.orbitTrails.setTrailEnabled('moon', this.trailSettings.moon);
+  }
+  
+  setMarkerTrailsEnabled(enabled) {
+    this.trailSettings.markers = enabled;
+    this.markerObjects.forEach((entry, id) => this.orbitTrails.setTrailEnabled(`marker-${id}`, enabled));
+  }
+  
+  // 点击地球表面：射线交点换回地球网格的局部坐标，再换算为经纬度
+  pickEarthLocation(point) {
+    const location = localToLatLon(this.earth.worldToLocal(point.clone()));
+    this.pickedLocation = location;
+    if (this.onEarthLocationPicked) {
+      this.onEarthLocationPicked(location);
+    }
+    if (this.markerSettings.addOnClick) {
+      this.markerStore.add({
+        name: t('markers.defaultName', { index: this.markerStore.getMarkers().length + 1 }),
+        latitude: Math.round(location.latitude * 100) / 100,
+        longitude: Math.round(location.longitude * 100) / 100
+      });
+    }
+    return location;
+  }
+  
+  formatLatLon({ latitude, longitude }) {
+    const lat = `${formatNumber(Math.abs(latitude), 2)}°${latitude >= 0 ? 'N' : 'S'}`;
+    const lon = `${formatNumber(Math.abs(longitude), 2)}°${longitude >= 0 ? 'E' : 'W'}`;
+    return `${lat} ${lon}`;
+  }
+  
+  formatObserverTime(date) {
+    if (!date) return '--:--';
+    const offset = this.getObserverUTCOffset();
+    return new Date(date.getTime() + offset * 3600000).toISOString().slice(11, 16);
+  }
+  
+  // 时长（分钟）显示为“x小时y分”
+  formatDuration(minutes) {
+    return t('units.hoursMinutes', { hours: Math.floor(minutes / 60), minutes: minutes % 60 });
+  }
+  
+  // GUI中的面板及其所有上级文件夹都展开时才可见
+  isFolderOpen(folder) {
+    for (let current = folder; current; current = current.parent) {
+      if (current._closed) return false;
+    }
+    return true;
+  }
+  
+  // 更新观测视角；showReadouts为true时同时更新GUI中的读数。
+  // 升落时刻只在读数可见时计算，面板收起期间当地日期或地点变化了，展开时再重新计算
+  updateObserver(showReadouts) {
+    const { latitude, longitude } = this.observerSettings;
+    const { sun, moon } = this.observerView.update(this.simulationDate, latitude, longitude);
+    
+    if (!showReadouts || !this.observerInfoControls) return;
+    
+    const offset = this.getObserverUTCOffset();
+    const { start } = getLocalDayRange(this.simulationDate, offset);
+    const cacheKey = `${start.getTime()}|${latitude}|${longitude}`;
+    if (this.riseSetCacheKey !== cacheKey) {
+      this.riseSetCacheKey = cacheKey;
+      this.riseSetTimes = getRiseSetTimes(this.simulationDate, latitude, longitude, offset);
+    }
+    
+    const toDegrees = THREE.MathUtils.radToDeg;
+    const times = this.riseSetTimes;
+    const info = this.observerInfoControls;
+    const formatHorizontal = ({ altitude, azimuth }) => t('gui.observer.altitudeAzimuth', {
+      altitude: formatNumber(toDegrees(altitude), 1),
+      azimuth: formatNumber(toDegrees(azimuth), 1)
     });
+    info.sun = formatHorizontal(sun);
+    info.moon = formatHorizontal(moon);
+    info.sunRiseSet = `${this.formatObserverTime(times.sunrise)} / ${this.formatObserverTime(times.sunset)}`;
+    info.moonRiseSet = `${this.formatObserverTime(times.moonrise)} / ${this.formatObserverTime(times.moonset)}`;
+    if (times.polarDay) {
+      info.dayLength = t('gui.observer.polarDay');
+    } else if (times.polarNight) {
+      info.dayLength = t('gui.observer.polarNight');
+    } else {
+      info.dayLength = this.formatDuration(Math.round(times.dayLength / 60000));
+    }
+    info.timeZone = t('gui.observer.utcOffset', { offset: `${offset >= 0 ? '+' : ''}${offset}` });
+    this.observerInfoUI.forEach((controller) => controller.updateDisplay());
+  }
+  
+  // 日照分析：按animate()所用的轨道参数计算太阳位置；全年曲线只在年份、纬度或轨道参数变化时重新计算
+  updateInsolation() {
+    const settings = this.insolationSettings;
+    const orbitState = this.earthOrbitState;
+    const sun = getSolarPosition(this.simulationDate, orbitState);
+    
+    // 分布图的瞬时日照按真实日地距离计算，而不是示意轨道上的距离
+    const uniforms = this.earth.material.uniforms;
+    uniforms.insolationFlux.value = SOLAR_CONSTANT * sun.distanceFactor;
+    uniforms.insolationOverlay.value = settings.showOverlay ? settings.overlayOpacity : 0;
+    
+    if (!settings.showPanel) return;
+    
+    const year = this.simulationDate.getUTCFullYear();
+    const latitude = THREE.MathUtils.degToRad(settings.latitude);
+    const cacheKey = [year, settings.latitude, orbitState.obliquity, orbitState.eccentricity,
+      orbitState.perihelionLongitude].join('|');
+    if (this.insolationCacheKey !== cacheKey) {
+      this.insolationCacheKey = cacheKey;
+      this.insolationPanel.setAnnualData(year, getAnnualInsolation(year, latitude, orbitState));
+    }
     
-    const starfield = new THREE.Mesh(geometry, material);
-    this.scene.add(starfield);
+    const toDegrees = THREE.MathUtils.radToDeg;
+    const dayLength = Math.round(getDayLength(latitude, sun.declination) * 60);
+    const noonAltitude = 90 - Math.abs(settings.latitude - toDegrees(sun.declination));
+    const hemisphere = t(settings.latitude >= 0 ? 'insolation.latitudeNorth' : 'insolation.latitudeSouth', {
+      value: formatNumber(Math.abs(settings.latitude), 1)
+    });
+    const dailyInsolation = getDailyInsolation(latitude, sun.declination, sun.distanceFactor);
+    this.insolationPanel.update(getDayOfYear(this.simulationDate), [
+      `<strong>${hemisphere} · ${formatDate(this.simulationDate)}</strong>`,
+      t('insolation.declination', { value: formatNumber(toDegrees(sun.declination), 2) }),
+      t('insolation.dayLengthValue', { value: this.formatDuration(dayLength) }),
+      t('insolation.noonAltitude', { value: formatNumber(noonAltitude, 1) }),
+      t('insolation.dailyMean', { value: formatNumber(dailyInsolation, 0) }),
+      t('insolation.sunDistance', { value: formatNumber(1 / Math.sqrt(sun.distanceFactor), 4) })
+    ]);
+  }
+  
+  // 星空：按J2000黄道坐标摆放的亮星和星座，北天极与地球自转轴对齐
+  createStarfield() {
+    this.starfield = new Starfield(this.scene, (text, position, color, options) => this.createLabel(text, position, color, options));
+    this.starfield.setConstellationsVisible(false);
+    this.starfield.setConstellationNamesVisible(false);
+    this.starfield.setStarNamesVisible(false);
+    
+    // 黄道坐标网和赤道坐标网，默认隐藏
+    this.skyGrids = new SkyGrids(this.scene);
+    this.skyGrids.setEclipticVisible(false);
+    this.skyGrids.setEquatorialVisible(false);
+  }
+  
+  // 地球自转轴在惯性空间中指向冬至点方向；星空绕黄道北极转动，使当时的北天极
+  // （J2000黄经90°−岁差处）与之同向，深时模式中北天极随岁差在恒星间移动
+  updateStarfieldOrientation() {
+    const precession = this.earthOrbitState.precession || 0;
+    const angle = this.winterSolsticeAngle - eclipticLongitudeToSceneAngle(Math.PI / 2 - precession);
+    this.starfield.setOrientation(angle);
+    // 坐标网以当时的春分点为零点，天赤道按当时的黄赤交角倾斜
+    this.skyGrids.setOrientation(angle - precession);
+    this.skyGrids.setObliquity(this.earthOrbitState.obliquity);
   }
   
   createSun() {
     // 创建太阳球体
-    const sunGeometry = new THREE.SphereGeometry(5, 64, 64);
+    const sunBody = getBody('sun');
+    const sunGeometry = new THREE.SphereGeometry(sunBody.radius, 64, 64);
     const sunMaterial = new THREE.MeshBasicMaterial({
-      map: this.textures.sun,
+      map: this.getBodyTexture('sun', 'map'),
       color: 0xffff00
     });
     
@@ -298,13 +811,13 @@ class SolarSystemApp {
     this.sun.name = 'sun';
     this.scene.add(this.sun);
     
-    // 添加太阳光源 - 显著增强光照强度
-    this.sunLight = new THREE.PointLight(0xffffff, 5.0, 1000);
+    // 太阳光源：示意模型中距离不按真实比例，因此光照不随距离衰减，各天体亮度一致
+    this.sunLight = new THREE.PointLight(0xffffff, 3.5, 0, 0);
     this.sunLight.position.set(0, 0, 0);
     this.scene.add(this.sunLight);
     
     // 添加光晕效果
-    const sunGlowGeometry = new THREE.SphereGeometry(5.2, 32, 32);
+    const sunGlowGeometry = new THREE.SphereGeometry(sunBody.radius * 1.04, 32, 32);
     const sunGlowMaterial = new THREE.ShaderMaterial({
       uniforms: {
         glowColor: { value: new THREE.Color(0xffff00) },
@@ -321,6 +834,8 @@ class SolarSystemApp {
     
     const sunGlow = new THREE.Mesh(sunGlowGeometry, sunGlowMaterial);
     this.sun.add(sunGlow);
+    
+    this.bodyObjects.set('sun', { body: sunBody, root: this.sun, mesh: this.sun, sizeRoot: this.sun });
   }
   
   createEarth() {
@@ -329,25 +844,6 @@ class SolarSystemApp {
     this.eclipticGroup.add(this.earthGroup);
     
     // 创建地球轨道 - 现在使用椭圆而不是圆形
-    const earthOrbitRadius = 20;
-    const earthOrbitEccentricity = 0.25; // 增大离心率，从0.0167增加到0.25，使椭圆更明显
-    const earthOrbitSemiMinorAxis = earthOrbitRadius * Math.sqrt(1 - earthOrbitEccentricity * earthOrbitEccentricity);
-    
-    // 创建自定义轨道点集合
-    const orbitPoints = [];
-    for (let i = 0; i <= 360; i++) {
-      const angle = i * Math.PI / 180;
-      const r = (earthOrbitRadius * (1 - earthOrbitEccentricity * earthOrbitEccentricity)) / (1 + earthOrbitEccentricity * Math.cos(angle));
-      // 翻转x轴方向，对换近日点和远日点位置
-      const x = -r * Math.cos(angle);
-      const z = r * Math.sin(angle);
-      orbitPoints.push(new THREE.Vector3(x, 0, z));
-    }
-    
-    // 创建椭圆轨道曲线
-    const orbitCurve = new THREE.CatmullRomCurve3(orbitPoints);
-    const orbitGeometry = new THREE.TubeGeometry(orbitCurve, 200, 0.05, 8, true);
-    
     const earthOrbitMaterial = new THREE.MeshBasicMaterial({ 
       color: 0x4488aa, 
       transparent: true, 
@@ -355,157 +851,57 @@ class SolarSystemApp {
       side: THREE.DoubleSide
     });
     
-    this.earthOrbit = new THREE.Mesh(orbitGeometry, earthOrbitMaterial);
+    this.earthOrbit = new THREE.Mesh(new THREE.BufferGeometry(), earthOrbitMaterial);
     this.eclipticGroup.add(this.earthOrbit);
+    // 与轨道管重合的细线：真实大小下轨道管随地球变得很细，仍能看到轨道
+    this.earthOrbitLine = new THREE.LineLoop(new THREE.BufferGeometry(), new THREE.LineBasicMaterial({
+      color: 0x4488aa,
+      transparent: true,
+      opacity: 0.6
+    }));
+    this.earthOrbitLine.visible = false;
+    this.earthOrbit.add(this.earthOrbitLine);
+    this.updateEarthOrbitGeometry();
     
-    // 计算太阳焦点偏移量
-    const sunOffset = earthOrbitRadius * earthOrbitEccentricity;
-    
-    // 添加近日点和远日点标记 - 对换位置
-    const perihelionPosition = new THREE.Vector3(
-      -earthOrbitRadius * (1 - earthOrbitEccentricity), 
-      0, 
-      0
-    );
-    
-    const aphelionPosition = new THREE.Vector3(
-      earthOrbitRadius * (1 + earthOrbitEccentricity), 
-      0, 
-      0
-    );
-    
-    // 更正冬至点和夏至点的位置
-    // 当北半球面向太阳时为夏至(对于现代地球，夏至点接近远日点)
-    // 当北半球背向太阳时为冬至(对于现代地球，冬至点接近近日点)
-    
-    // 计算椭圆轨道上的具体点
-    const calcOrbitPoint = (angle) => {
-      const r = (earthOrbitRadius * (1 - earthOrbitEccentricity * earthOrbitEccentricity)) / 
-                (1 + earthOrbitEccentricity * Math.cos(angle));
-      return new THREE.Vector3(
-        -r * Math.cos(angle), 
-        0, 
-        r * Math.sin(angle)
-      );
-    };
-    
-    // 冬至点位于近日点附近，大约12月21日，比近日点(1月3日)提前约13天
-    // 一年365天，差13天约为13/365 = 0.036的轨道角度，约为0.036 * 2π = 0.226弧度
-    const winterSolsticeAngle = 0 + 0.226; // 近日点角度0加上偏移
-    const winterSolsticePosition = calcOrbitPoint(winterSolsticeAngle);
-    
-    // 夏至点位于远日点附近，大约6月21日，比远日点(7月4日)提前约13天
-    // 远日点角度为π，减去相同的偏移
-    const summerSolsticeAngle = Math.PI - 0.226;
-    const summerSolsticePosition = calcOrbitPoint(summerSolsticeAngle);
-    
-    // 创建近日点标记
+    // 近日点、远日点、二分点和二至点标记；位置由updateEarthOrbitMarkers()按轨道参数计算
     const markerGeometry = new THREE.SphereGeometry(0.3, 16, 16);
-    const perihelionMaterial = new THREE.MeshBasicMaterial({ color: 0xff0000 });
-    this.perihelionMarker = new THREE.Mesh(markerGeometry, perihelionMaterial);
-    this.perihelionMarker.position.copy(perihelionPosition);
-    this.eclipticGroup.add(this.perihelionMarker);
-    
-    // 创建近日点标签
-    const createTextSprite = (text, position, color) => {
-      const canvas = document.createElement('canvas');
-      canvas.width = 256;
-      canvas.height = 128;
-      const context = canvas.getContext('2d');
-      context.fillStyle = 'rgba(0, 0, 0, 0)';
-      context.fillRect(0, 0, canvas.width, canvas.height);
-      
-      context.font = 'Bold 32px Arial';
-      context.fillStyle = color;
-      context.textAlign = 'center';
-      context.textBaseline = 'middle';
-      context.fillText(text, 128, 64);
-      
-      const texture = new THREE.CanvasTexture(canvas);
-      texture.needsUpdate = true;
-      
-      const spriteMaterial = new THREE.SpriteMaterial({ 
-        map: texture,
-        transparent: true
-      });
-      
-      const sprite = new THREE.Sprite(spriteMaterial);
-      sprite.position.copy(position);
-      sprite.scale.set(4, 2, 1);
-      
-      return sprite;
+    const createMarker = (id, color) => {
+      const marker = new THREE.Mesh(markerGeometry, new THREE.MeshBasicMaterial({ color }));
+      const label = this.createLabel(() => t(`orbitMarkers.${id}`), new THREE.Vector3(), `#${color.toString(16).padStart(6, '0')}`,
+        { group: 'orbit', priority: 1 });
+      this.eclipticGroup.add(marker, label);
+      return [marker, label];
     };
-    
-    // 添加近日点标签
-    this.perihelionLabel = createTextSprite('近日点', new THREE.Vector3(
-      perihelionPosition.x,
-      perihelionPosition.y + 1.5,
-      perihelionPosition.z
-    ), '#ff0000');
-    this.eclipticGroup.add(this.perihelionLabel);
-    
-    // 创建远日点标记
-    const aphelionMaterial = new THREE.MeshBasicMaterial({ color: 0x00aaff });
-    this.aphelionMarker = new THREE.Mesh(markerGeometry, aphelionMaterial);
-    this.aphelionMarker.position.copy(aphelionPosition);
-    this.eclipticGroup.add(this.aphelionMarker);
-    
-    // 添加远日点标签
-    this.aphelionLabel = createTextSprite('远日点', new THREE.Vector3(
-      aphelionPosition.x,
-      aphelionPosition.y + 1.5,
-      aphelionPosition.z
-    ), '#00aaff');
-    this.eclipticGroup.add(this.aphelionLabel);
-    
-    // 创建夏至点标记
-    const summerSolsticeMaterial = new THREE.MeshBasicMaterial({ color: 0xff9900 });
-    this.summerSolsticeMarker = new THREE.Mesh(markerGeometry, summerSolsticeMaterial);
-    this.summerSolsticeMarker.position.copy(summerSolsticePosition);
-    this.eclipticGroup.add(this.summerSolsticeMarker);
-    
-    // 添加夏至点标签
-    this.summerSolsticeLabel = createTextSprite('夏至点', new THREE.Vector3(
-      summerSolsticePosition.x,
-      summerSolsticePosition.y + 1.5,
-      summerSolsticePosition.z
-    ), '#ff9900');
-    this.eclipticGroup.add(this.summerSolsticeLabel);
-    
-    // 创建冬至点标记
-    const winterSolsticeMaterial = new THREE.MeshBasicMaterial({ color: 0x00ffff });
-    this.winterSolsticeMarker = new THREE.Mesh(markerGeometry, winterSolsticeMaterial);
-    this.winterSolsticeMarker.position.copy(winterSolsticePosition);
-    this.eclipticGroup.add(this.winterSolsticeMarker);
-    
-    // 添加冬至点标签
-    this.winterSolsticeLabel = createTextSprite('冬至点', new THREE.Vector3(
-      winterSolsticePosition.x,
-      winterSolsticePosition.y + 1.5,
-      winterSolsticePosition.z
-    ), '#00ffff');
-    this.eclipticGroup.add(this.winterSolsticeLabel);
+    [this.perihelionMarker, this.perihelionLabel] = createMarker('perihelion', 0xff0000);
+    [this.aphelionMarker, this.aphelionLabel] = createMarker('aphelion', 0x00aaff);
+    [this.summerSolsticeMarker, this.summerSolsticeLabel] = createMarker('summerSolstice', 0xff9900);
+    [this.winterSolsticeMarker, this.winterSolsticeLabel] = createMarker('winterSolstice', 0x00ffff);
+    [this.vernalEquinoxMarker, this.vernalEquinoxLabel] = createMarker('vernalEquinox', 0x66ff99);
+    [this.autumnalEquinoxMarker, this.autumnalEquinoxLabel] = createMarker('autumnalEquinox', 0xff66cc);
+    
+    // 春分点方向（白羊宫第一点）：从太阳指向黄经0°，即秋分时地球所在的方向
+    this.ariesArrow = new THREE.ArrowHelper(new THREE.Vector3(-1, 0, 0), new THREE.Vector3(),
+      this.earthOrbitParams.semiMajorAxis * 1.5, 0x66ff99, 1.5, 0.8);
+    this.ariesLabel = this.createLabel(() => t('orbitMarkers.ariesDirection'), new THREE.Vector3(), '#66ff99',
+      { group: 'orbit', priority: 1 });
+    this.eclipticGroup.add(this.ariesArrow, this.ariesLabel);
+    this.updateEarthOrbitMarkers();
     
     // 创建地球
-    const earthGeometry = new THREE.SphereGeometry(2, 64, 64);
+    const earthBody = getBody('earth');
+    const earthRadius = earthBody.radius;
+    this.earthRadius = earthRadius;
+    const earthGeometry = new THREE.SphereGeometry(earthRadius, 64, 64);
     
-    // 调整地球材质使亮暗对比更明显
-    const earthMaterial = new THREE.MeshStandardMaterial({
-      map: this.textures.earthDay,
-      normalMap: this.textures.earthNormal,
-      roughnessMap: this.textures.earthSpecular,
-      roughness: 0.5,     // 降低粗糙度，增加反光
-      metalness: 0.2,     // 增加金属感，增强高光
-      normalScale: new THREE.Vector2(0.85, 0.85),
-      envMapIntensity: 1.2 // 增强环境反射
-    });
+    // 地球使用自定义着色器：昼夜过渡、城市灯光、海洋高光和云影都在着色器中计算
+    const earthMaterial = createEarthMaterial(this.textures.earth || {}, this.sunLight.position, this.eclipseUniforms);
     
     this.earth = new THREE.Mesh(earthGeometry, earthMaterial);
     this.earth.name = 'earth';
     this.earthGroup.add(this.earth);
     
     // 添加地球赤道可视化
-    const equatorRadius = 2.1; // 略大于地球半径，便于观察
+    const equatorRadius = earthRadius * 1.05; // 略大于地球半径，便于观察
     const equatorGeometry = new THREE.TorusGeometry(equatorRadius, 0.02, 16, 100);
     const equatorMaterial = new THREE.MeshBasicMaterial({ 
       color: 0xff3333, 
@@ -518,9 +914,19 @@ class SolarSystemApp {
     this.equator.rotation.x = Math.PI / 2;
     this.earth.add(this.equator);
     
+    // 经纬网、回归线、极圈等地理图层，默认隐藏
+    this.geoOverlays = new GeoOverlays(this.earth, earthRadius * 1.03);
+    // 导入的GeoJSON图层：[{ name, title }]，重建GUI时按此恢复各图层的子文件夹
+    this.geoJSONLayers = [];
+    this.geoJSONLayerCount = 0;
+    this.geoOverlays.setObliquity(this.earthOrbitState.obliquity);
+    ['graticule', 'tropics', 'polarCircles', 'primeMeridian'].forEach((name) => {
+      this.geoOverlays.setLayerVisible(name, false);
+    });
+    
     // 添加地球自转轴可视化
     // 创建一个圆柱体作为自转轴
-    const axisGeometry = new THREE.CylinderGeometry(0.03, 0.03, 5.5, 16);
+    const axisGeometry = new THREE.CylinderGeometry(0.03, 0.03, earthRadius * 2.75, 16);
     const axisMaterial = new THREE.MeshBasicMaterial({ 
       color: 0x00ff00, 
       transparent: true, 
@@ -542,26 +948,28 @@ class SolarSystemApp {
     this.southPole = new THREE.Mesh(poleGeometry, southPoleMaterial);
     
     // 位置调整，北极在轴的顶端，南极在轴的底端
-    this.northPole.position.set(0, 2.75, 0);
-    this.southPole.position.set(0, -2.75, 0);
+    this.northPole.position.set(0, earthRadius * 1.375, 0);
+    this.southPole.position.set(0, -earthRadius * 1.375, 0);
     
     this.earthAxis.add(this.northPole);
     this.earthAxis.add(this.southPole);
     
     // 添加云层
-    const cloudGeometry = new THREE.SphereGeometry(2.05, 64, 64);
+    const cloudGeometry = new THREE.SphereGeometry(earthRadius * 1.025, 64, 64);
+    // 云层贴图没有透明通道，用它本身作为透明度贴图，无云处完全透明
     const cloudMaterial = new THREE.MeshStandardMaterial({
-      map: this.textures.earthClouds,
+      map: this.getBodyTexture('earth', 'cloudMap'),
+      alphaMap: this.getBodyTexture('earth', 'cloudMap'),
       transparent: true,
       opacity: 0.8,
-      alphaTest: 0.1
+      depthWrite: false
     });
     
     this.clouds = new THREE.Mesh(cloudGeometry, cloudMaterial);
     this.earthGroup.add(this.clouds);
     
     // 添加大气层
-    const atmosphereGeometry = new THREE.SphereGeometry(2.15, 64, 64);
+    const atmosphereGeometry = new THREE.SphereGeometry(earthRadius * 1.075, 64, 64);
     const atmosphereMaterial = new THREE.ShaderMaterial({
       uniforms: {
         glowColor: { value: new THREE.Color(0x93cfef) },
@@ -583,101 +991,298 @@ class SolarSystemApp {
     this.ambientLight = new THREE.AmbientLight(0x444444, 0.2);
     this.scene.add(this.ambientLight);
     
-    // 显著增强平行光强度，让亮面更亮
-    this.sunDirectionalLight = new THREE.DirectionalLight(0xffffff, 4.0);
-    this.sunDirectionalLight.position.set(0, 0, 0);
-    this.scene.add(this.sunDirectionalLight);
-    
-    // 添加第二个定向光源，强化照亮阳光面
-    this.secondDirectionalLight = new THREE.DirectionalLight(0xffffcc, 3.0);
-    this.secondDirectionalLight.position.set(0, 0, 0);
-    this.scene.add(this.secondDirectionalLight);
-    
-    // 减弱半球光强度，加强明暗对比
-    this.hemisphereLight = new THREE.HemisphereLight(
-      0xffffff, // 天空色
-      0x111122, // 地面色更暗
-      0.3 // 降低强度
-    );
-    this.scene.add(this.hemisphereLight);
+    this.bodyObjects.set('earth', {
+      body: earthBody,
+      root: this.earthGroup,
+      mesh: this.earth,
+      sizeRoot: this.earthGroup,
+      orbitLine: this.earthOrbit
+    });
     
-    // 添加北京标记
-    const createBeijingMarker = () => {
-      // 北京坐标：北纬39.9度，东经116.3度
-      const latitude = 39.9 * (Math.PI / 180); // 转换为弧度
-      const longitude = 116.3 * (Math.PI / 180); // 转换为弧度
-      
-      // 将经纬度转换为球面坐标（r=地球半径）
-      const radius = 2.05; // 略大于地球半径，使其位于表面上方
-      const x = radius * Math.cos(latitude) * Math.cos(longitude);
-      const y = radius * Math.sin(latitude);
-      const z = radius * Math.cos(latitude) * Math.sin(longitude);
-      
-      // 创建一个醒目的标记 - 使用红色圆锥体
-      const markerGeometry = new THREE.ConeGeometry(0.15, 0.3, 16);
-      const markerMaterial = new THREE.MeshBasicMaterial({
-        color: 0xff0000,
-        transparent: false,
-        opacity: 1.0
+    // 开普勒第二定律的等面积扫掠演示
+    this.createKeplerSweep(12);
+  }
+  
+  // 地表标记：圆锥尖端沿径向指向外侧，坐标为地球网格的局部坐标
+  createSurfaceMarker(latitude, longitude, color) {
+    // 创建一个醒目的标记 - 使用圆锥体
+    const markerGeometry = new THREE.ConeGeometry(0.15, 0.3, 16);
+    const markerMaterial = new THREE.MeshBasicMaterial({ color });
+    
+    const marker = new THREE.Mesh(markerGeometry, markerMaterial);
+    this.placeSurfaceMarker(marker, latitude, longitude);
+    
+    // 添加光环效果，让标记更显眼
+    const ringGeometry = new THREE.TorusGeometry(0.08, 0.02, 16, 32);
+    const ringMaterial = new THREE.MeshBasicMaterial({
+      color: 0xffff00,
+      transparent: true,
+      opacity: 0.8
+    });
+    
+    const ring = new THREE.Mesh(ringGeometry, ringMaterial);
+    ring.position.set(0, 0.1, 0); // 将环放在圆锥顶部附近
+    ring.rotation.x = Math.PI / 2; // 使环水平放置
+    
+    marker.add(ring);
+    
+    return marker;
+  }
+  
+  placeSurfaceMarker(marker, latitude, longitude) {
+    // 略大于地球半径，使其位于表面上方
+    latLonToLocal(latitude, longitude, this.earthRadius * 1.025, marker.position);
+    marker.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), marker.position.clone().normalize());
+  }
+  
+  // 示意地球轨道：按平近点角等间隔取点，相邻两点之间的用时相同
+  updateEarthOrbitGeometry() {
+    const orbitPoints = [];
+    for (let i = 0; i <= 360; i++) {
+      const trueAnomaly = meanToTrueAnomaly(i * Math.PI / 180, this.earthOrbitParams.eccentricity);
+      orbitPoints.push(this.calcOrbitPoint(trueAnomaly));
+    }
+    
+    // 创建椭圆轨道曲线
+    const orbitCurve = new THREE.CatmullRomCurve3(orbitPoints);
+    this.earthOrbit.geometry.dispose();
+    this.earthOrbit.geometry = new THREE.TubeGeometry(orbitCurve, 200, this.earthOrbitParams.tubeRadius, 8, true);
+    this.earthOrbitLine.geometry.dispose();
+    this.earthOrbitLine.geometry = new THREE.BufferGeometry().setFromPoints(orbitPoints.slice(0, -1));
+  }
+  
+  // 按当前的示意离心率和近日点方位放置轨道标记
+  updateEarthOrbitMarkers() {
+    // 近日点固定在-x轴，远日点在+x轴
+    const perihelionPosition = this.calcOrbitPoint(0);
+    const aphelionPosition = this.calcOrbitPoint(Math.PI);
+    
+    // 更正冬至点和夏至点的位置
+    // 当北半球面向太阳时为夏至(对于现代地球，夏至点接近远日点)
+    // 当北半球背向太阳时为冬至(对于现代地球，冬至点接近近日点)
+    
+    // 冬至时太阳黄经270°，即地球日心黄经90°；约在12月21日，比近日点(1月3日)提前约13天
+    // 按日期而不是方向放置，使夸张的示意轨道上冬至仍然出现在12月21日前后
+    this.winterSolsticeAngle = this.schematicTrueAnomalyAtLongitude(Math.PI / 2);
+    const winterSolsticePosition = this.calcOrbitPoint(this.winterSolsticeAngle);
+    
+    // 夏至时地球日心黄经270°，约在6月21日，比远日点(7月4日)提前约13天
+    const summerSolsticeAngle = this.schematicTrueAnomalyAtLongitude(Math.PI * 1.5);
+    const summerSolsticePosition = this.calcOrbitPoint(summerSolsticeAngle);
+    
+    // 春分时太阳黄经0°，地球日心黄经180°；秋分时地球日心黄经0°
+    const vernalEquinoxPosition = this.calcOrbitPoint(this.schematicTrueAnomalyAtLongitude(Math.PI));
+    const autumnalEquinoxPosition = this.calcOrbitPoint(this.schematicTrueAnomalyAtLongitude(0));
+    const markerScale = this.getBodySizeFactor('earth');
+    
+    [
+      [this.perihelionMarker, this.perihelionLabel, perihelionPosition],
+      [this.aphelionMarker, this.aphelionLabel, aphelionPosition],
+      [this.summerSolsticeMarker, this.summerSolsticeLabel, summerSolsticePosition],
+      [this.winterSolsticeMarker, this.winterSolsticeLabel, winterSolsticePosition],
+      [this.vernalEquinoxMarker, this.vernalEquinoxLabel, vernalEquinoxPosition],
+      [this.autumnalEquinoxMarker, this.autumnalEquinoxLabel, autumnalEquinoxPosition]
+    ].forEach(([marker, label, position]) => {
+      marker.position.copy(position);
+      // 标记随地球缩放，真实大小下不会比地球大得多
+      marker.scale.setScalar(markerScale);
+      label.position.set(position.x, position.y + 1.5 * markerScale, position.z);
+    });
+    
+    // 春分点方向与星空一致：北天极倾向冬至点方向，黄经0°比它落后90°
+    const ariesDirection = new THREE.Vector3(-1, 0, 0)
+      .applyAxisAngle(new THREE.Vector3(0, 1, 0), this.winterSolsticeAngle - Math.PI / 2);
+    this.ariesArrow.setDirection(ariesDirection);
+    this.ariesLabel.position.copy(ariesDirection).multiplyScalar(this.earthOrbitParams.semiMajorAxis * 1.5 + 2);
+    
+    this.updateStarfieldOrientation();
+  }
+  
+  // 当前使用的真实地球轨道参数（角度为弧度）
+  // 普通模式取J2000的值；深时模式取纪元对应的米兰科维奇循环，近日点黄经相对当时的春分点
+  getEarthOrbitState() {
+    if (this.deepTimeSettings.enabled) {
+      return getOrbitalCycles(this.deepTimeSettings.epochYears);
+    }
+    return {
+      obliquity: OBLIQUITY_J2000,
+      eccentricity: EARTH_ORBITAL_ELEMENTS.e[0],
+      perihelionLongitude: SCENE_PERIHELION_LONGITUDE
+    };
+  }
+  
+  // 应用新的轨道参数：示意轨道的近日点始终在-x轴，离心率按同一比例放大（真实距离下不放大）；
+  // 春分点相对近日点的方位变化表现为冬至点、夏至点沿轨道移动
+  // forceRebuild: 比例模式过渡结束时按最终的离心率和轨道管粗细重建
+  applyEarthOrbitState(state, forceRebuild = false) {
+    this.earthOrbitState = state;
+    const params = this.earthOrbitParams;
+    const eccentricityScale = THREE.MathUtils.lerp(params.eccentricityScale, 1, this.sceneScale.trueDistance);
+    const eccentricity = Math.min(state.eccentricity * eccentricityScale, 0.7);
+    const tubeRadius = EARTH_ORBIT_TUBE_RADIUS * this.getBodySizeFactor('earth');
+    
+    // 离心率或轨道管粗细变化明显时才重建轨道和扫掠扇形
+    if (forceRebuild || Math.abs(eccentricity - params.eccentricity) > 0.001 ||
+        Math.abs(tubeRadius / params.tubeRadius - 1) > 0.1) {
+      params.eccentricity = eccentricity;
+      params.tubeRadius = tubeRadius;
+      this.updateEarthOrbitGeometry();
+      this.createKeplerSweep(this.keplerSectors.length);
+    }
+    this.updateEarthOrbitMarkers();
+    this.geoOverlays.setObliquity(state.obliquity);
+  }
+  
+  // 深时模式：纪元可自动推进，变化后更新轨道和循环曲线
+  updateDeepTime(delta) {
+    const settings = this.deepTimeSettings;
+    if (!settings.enabled) return;
+    
+    if (settings.playing) {
+      settings.epochYears = Math.min(Math.max(settings.epochYears + delta * settings.yearsPerSecond,
+        DEEP_TIME_RANGE_YEARS[0]), DEEP_TIME_RANGE_YEARS[1]);
+      if (this.deepTimeEpochUI) this.deepTimeEpochUI.updateDisplay();
+    }
+    
+    if (settings.epochYears !== this.earthOrbitState.years) {
+      this.applyEarthOrbitState(this.getEarthOrbitState());
+    }
+    this.milankovitchPanel.update(this.earthOrbitState);
+  }
+  
+  setDeepTimeMode(enabled) {
+    this.deepTimeSettings.enabled = enabled;
+    this.applyEarthOrbitState(this.getEarthOrbitState());
+    this.milankovitchPanel.setVisible(enabled);
+  }
+  
+  // 计算示意椭圆轨道上真近点角对应的点（近日点位于-x轴）
+  calcOrbitPoint(trueAnomaly) {
+    const { semiMajorAxis, eccentricity } = this.earthOrbitParams;
+    const r = orbitRadius(semiMajorAxis, eccentricity, trueAnomaly);
+    return new THREE.Vector3(
+      -r * Math.cos(trueAnomaly), 
+      0, 
+      r * Math.sin(trueAnomaly)
+    );
+  }
+  
+  // 真实地球到达日心黄经longitude时，示意轨道上对应的真近点角
+  // 两条轨道的平近点角（即时间）相同，只是离心率不同
+  schematicTrueAnomalyAtLongitude(longitude) {
+    const { perihelionLongitude, eccentricity } = this.earthOrbitState;
+    const realTrueAnomaly = normalizeAngle(longitude - perihelionLongitude);
+    const meanAnomaly = trueToMeanAnomaly(realTrueAnomaly, eccentricity);
+    return meanToTrueAnomaly(meanAnomaly, this.earthOrbitParams.eccentricity);
+  }
+  
+  createKeplerSweep(sectorCount) {
+    // 重新生成时先清理旧的扇形
+    const wasVisible = this.keplerSweepGroup ? this.keplerSweepGroup.visible : false;
+    if (this.keplerSweepGroup) {
+      this.keplerSweepGroup.traverse((child) => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
       });
+      this.eclipticGroup.remove(this.keplerSweepGroup);
+    }
+    
+    this.keplerSweepGroup = new THREE.Group();
+    this.keplerSweepGroup.visible = wasVisible;
+    this.keplerSectors = [];
+    
+    // 每个扇形对应相同的平近点角跨度，也就是相同的时间
+    const eccentricity = this.earthOrbitParams.eccentricity;
+    const sectorSpan = Math.PI * 2 / sectorCount;
+    const segments = 32;
+    
+    for (let i = 0; i < sectorCount; i++) {
+      // 以太阳（焦点）为顶点的三角扇
+      const positions = [];
+      for (let j = 0; j < segments; j++) {
+        const start = this.calcOrbitPoint(meanToTrueAnomaly((i + j / segments) * sectorSpan, eccentricity));
+        const end = this.calcOrbitPoint(meanToTrueAnomaly((i + (j + 1) / segments) * sectorSpan, eccentricity));
+        positions.push(0, 0, 0, start.x, start.y, start.z, end.x, end.y, end.z);
+      }
       
-      const marker = new THREE.Mesh(markerGeometry, markerMaterial);
-      marker.position.set(x, y, z);
-      
-      // 调整标记朝向，使其垂直于地球表面
-      marker.lookAt(0, 0, 0);
-      marker.rotateX(Math.PI); // 让圆锥尖端指向外部
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
       
-      // 添加光环效果，让标记更显眼
-      const ringGeometry = new THREE.TorusGeometry(0.08, 0.02, 16, 32);
-      const ringMaterial = new THREE.MeshBasicMaterial({
-        color: 0xffff00,
+      const material = new THREE.MeshBasicMaterial({
+        color: i % 2 === 0 ? 0xffcc33 : 0x33ccff,
         transparent: true,
-        opacity: 0.8
+        opacity: 0.15,
+        side: THREE.DoubleSide,
+        depthWrite: false
       });
       
-      const ring = new THREE.Mesh(ringGeometry, ringMaterial);
-      ring.position.set(0, 0.1, 0); // 将环放在圆锥顶部附近
-      ring.rotation.x = Math.PI / 2; // 使环水平放置
-      
-      marker.add(ring);
-      
-      return marker;
-    };
+      const sector = new THREE.Mesh(geometry, material);
+      this.keplerSectors.push(sector);
+      this.keplerSweepGroup.add(sector);
+    }
+    
+    // 从太阳指向地球的向径
+    const radiusGeometry = new THREE.BufferGeometry().setFromPoints([
+      new THREE.Vector3(0, 0, 0),
+      new THREE.Vector3(0, 0, 0)
+    ]);
+    const radiusMaterial = new THREE.LineBasicMaterial({ color: 0xffffff });
+    this.keplerRadiusLine = new THREE.Line(radiusGeometry, radiusMaterial);
+    this.keplerSweepGroup.add(this.keplerRadiusLine);
     
-    this.beijingMarker = createBeijingMarker();
-    this.earth.add(this.beijingMarker);
+    this.eclipticGroup.add(this.keplerSweepGroup);
+  }
+  
+  // 名称标签：返回锚点对象，加入场景后由labelLayer按锚点位置显示；options见labelLayer.js
+  createLabel(text, position, color, options = {}) {
+    const label = this.labelLayer.createLabel(text, { color, ...options });
+    label.position.copy(position);
+    return label;
   }
   
   createMoon() {
     // 创建月球组
     this.moonGroup = new THREE.Group();
     
-    // 添加5.1度的倾角，这是月球轨道相对于黄道的倾角
-    this.moonGroup.rotateX(5.1 * Math.PI / 180);
-    
-    this.earthGroup.add(this.moonGroup);
+    // 月球组只跟随地球平移，不继承地轴倾斜；轨道面的朝向在animate()中按星历设置
+    this.eclipticGroup.add(this.moonGroup);
     
     // 创建月球
-    const moonGeometry = new THREE.SphereGeometry(0.5, 32, 32);
+    const moonBody = getBody('moon');
+    const moonRadius = moonBody.radius;
+    this.moonOrbitRadius = moonBody.orbit.sceneSemiMajorAxis;
+    // 白道的示意参数：倾角可在控制面板中调节，离心率按示意比例放大，天平动可放大以便观察
+    this.moonOrbitSettings = {
+      inclination: moonBody.orbit.inclination,
+      eccentricity: moonBody.orbit.displayEccentricity,
+      librationScale: 1
+    };
+    // 白道和月球位置按示意半长轴计算，再按比例模式整体缩放；真实大小下离心率过渡到真实值
+    this.moonDistanceScale = 1;
+    this.moonOrbitEccentricity = this.moonOrbitSettings.eccentricity;
+    const moonGeometry = new THREE.SphereGeometry(moonRadius, 32, 32);
+    // 贴图中央是月面经度0°（正面中心）；转到+z方向，使+z轴朝向地球时露出正面，+x为月面东方
+    moonGeometry.rotateY(-Math.PI / 2);
     
     // 使用MeshStandardMaterial代替MeshPhongMaterial
     const moonMaterial = new THREE.MeshStandardMaterial({
-      map: this.textures.moon,
+      map: this.getBodyTexture('moon', 'map'),
       roughness: 0.8,
       metalness: 0.0,
-      bumpMap: this.textures.moon,
+      bumpMap: this.getBodyTexture('moon', 'map'),
       bumpScale: 0.05
     });
+    // 月食时地影落在月面上
+    applyEarthShadow(moonMaterial, this.eclipseUniforms);
     
     this.moon = new THREE.Mesh(moonGeometry, moonMaterial);
     this.moon.name = 'moon';
-    this.moon.position.set(5, 0, 0);
+    this.moon.position.set(this.moonOrbitRadius, 0, 0);
     this.moonGroup.add(this.moon);
     
     // 添加月球自转轴可视化
     // 创建一个细长的圆柱体作为自转轴
-    const moonAxisGeometry = new THREE.CylinderGeometry(0.015, 0.015, 1.3, 16);
+    const moonAxisGeometry = new THREE.CylinderGeometry(0.015, 0.015, moonRadius * 2.6, 16);
     const moonAxisMaterial = new THREE.MeshBasicMaterial({ 
       color: 0x00ffff, 
       transparent: true, 
@@ -688,13 +1293,50 @@ class SolarSystemApp {
     // 添加到月球，保持自转轴与月球一起旋转
     this.moon.add(this.moonAxis);
     
-    // 添加月球轨道可视化
-    const moonOrbitGeometry = new THREE.TorusGeometry(5, 0.02, 16, 100);
+    // 添加月球轨道可视化：椭圆的近地点在moonApsidesGroup的局部-x方向，
+    // moonApsidesGroup在白道面内转过近地点幅角
+    this.moonApsidesGroup = new THREE.Group();
+    this.moonGroup.add(this.moonApsidesGroup);
     const moonOrbitMaterial = new THREE.MeshBasicMaterial({ color: 0x888888, transparent: true, opacity: 0.3 });
-    this.moonOrbit = new THREE.Mesh(moonOrbitGeometry, moonOrbitMaterial);
-    // 旋转环使其水平放置
-    this.moonOrbit.rotation.x = Math.PI / 2;
-    this.moonGroup.add(this.moonOrbit);
+    this.moonOrbit = new THREE.Mesh(this.createMoonOrbitGeometry(), moonOrbitMaterial);
+    this.moonApsidesGroup.add(this.moonOrbit);
+    
+    // 近地点和远地点标记
+    this.moonApsisMarkers = new THREE.Group();
+    this.moonApsidesGroup.add(this.moonApsisMarkers);
+    const apsisGeometry = new THREE.SphereGeometry(0.08, 12, 12);
+    this.moonPerigeeMarker = new THREE.Mesh(apsisGeometry, new THREE.MeshBasicMaterial({ color: 0xff6666 }));
+    this.moonApogeeMarker = new THREE.Mesh(apsisGeometry, new THREE.MeshBasicMaterial({ color: 0x66aaff }));
+    // 月球轨道的标记只在摄像机靠近时显示名称
+    const moonOrbitLabelOptions = { group: 'orbit', fade: [40, 80] };
+    this.moonPerigeeLabel = this.createLabel(() => t('orbitMarkers.perigee'), new THREE.Vector3(), '#ff6666',
+      moonOrbitLabelOptions);
+    this.moonApogeeLabel = this.createLabel(() => t('orbitMarkers.apogee'), new THREE.Vector3(), '#66aaff',
+      moonOrbitLabelOptions);
+    this.moonApsisMarkers.add(this.moonPerigeeMarker, this.moonApogeeMarker, this.moonPerigeeLabel, this.moonApogeeLabel);
+    this.updateMoonApsisMarkers();
+    
+    // 升交点、降交点标记和交点线；交点到地球的距离随近地点方向变化，在animate()中更新
+    this.moonNodeMarkers = new THREE.Group();
+    this.moonGroup.add(this.moonNodeMarkers);
+    const nodeGeometry = new THREE.OctahedronGeometry(0.1);
+    this.moonAscendingNodeMarker = new THREE.Mesh(nodeGeometry, new THREE.MeshBasicMaterial({ color: 0x66ff66 }));
+    this.moonDescendingNodeMarker = new THREE.Mesh(nodeGeometry, new THREE.MeshBasicMaterial({ color: 0xffcc44 }));
+    this.moonAscendingNodeLabel = this.createLabel(() => t('orbitMarkers.ascendingNode'), new THREE.Vector3(), '#66ff66',
+      moonOrbitLabelOptions);
+    this.moonDescendingNodeLabel = this.createLabel(() => t('orbitMarkers.descendingNode'), new THREE.Vector3(), '#ffcc44',
+      moonOrbitLabelOptions);
+    const nodeLineGeometry = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]);
+    this.moonNodeLine = new THREE.Line(nodeLineGeometry, new THREE.LineBasicMaterial({
+      color: 0xaaaaaa,
+      transparent: true,
+      opacity: 0.5
+    }));
+    this.moonNodeMarkers.add(
+      this.moonAscendingNodeMarker, this.moonDescendingNodeMarker,
+      this.moonAscendingNodeLabel, this.moonDescendingNodeLabel, this.moonNodeLine
+    );
+    this.updateMoonNodeMarkers(0);
     
     // 添加月球朝向标记 - 使用锥体形状更明显地表示方向
     const moonFaceGeometry = new THREE.ConeGeometry(0.12, 0.25, 16);
@@ -705,8 +1347,9 @@ class SolarSystemApp {
     });
     this.moonFaceMark = new THREE.Mesh(moonFaceGeometry, moonFaceMaterial);
     
-    // 将标记初始位置设置在月球表面朝向地球的方向
-    this.moonFaceMark.position.set(0, 0, 0.6);
+    // 将标记放在月面正面中心（+z方向），锥体尖端朝外；天平动使它相对地心方向来回摆动
+    this.moonFaceMark.position.set(0, 0, moonRadius * 1.2);
+    this.moonFaceMark.rotation.x = Math.PI / 2;
     this.moon.add(this.moonFaceMark);
     
     // 添加连接线，从月球中心到朝向标记
@@ -724,141 +1367,773 @@ class SolarSystemApp {
     
     this.moonFaceLine = new THREE.Line(lineGeometry, lineMaterial);
     this.moon.add(this.moonFaceLine);
-  }
-  
-  addEventListeners() {
-    // 处理窗口大小变化
-    window.addEventListener('resize', () => {
-      this.sizes.width = window.innerWidth;
-      this.sizes.height = window.innerHeight;
-      
-      this.camera.aspect = this.sizes.width / this.sizes.height;
-      this.camera.updateProjectionMatrix();
-      
-      this.renderer.setSize(this.sizes.width, this.sizes.height);
-      this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-      
-      this.composer.setSize(this.sizes.width, this.sizes.height);
-    });
-    
-    // 鼠标移动
-    window.addEventListener('mousemove', (event) => {
-      this.mouse.x = (event.clientX / this.sizes.width) * 2 - 1;
-      this.mouse.y = - (event.clientY / this.sizes.height) * 2 + 1;
-    });
     
-    // 鼠标点击
-    window.addEventListener('click', () => {
-      this.raycaster.setFromCamera(this.mouse, this.camera);
-      const intersects = this.raycaster.intersectObjects([this.earth, this.moon, this.sun], false);
-      
-      if (intersects.length > 0) {
-        const object = intersects[0].object;
-        this.updateInfoPanel(object.name);
-        
-        // 动画到被点击的天体
-        gsap.to(this.camera.position, {
-          duration: 2,
-          x: object.position.x * 1.5,
-          y: object.position.y + 3,
-          z: object.position.z + 8,
-          onUpdate: () => {
-            this.camera.lookAt(object.position);
-          }
-        });
-      }
+    this.bodyObjects.set('moon', {
+      body: moonBody,
+      root: this.moon,
+      mesh: this.moon,
+      sizeRoot: this.moon,
+      orbitLine: this.moonOrbit
     });
   }
   
-  updateInfoPanel(objectName) {
-    let name = '';
-    let info = '';
-    
-    switch(objectName) {
-      case 'sun':
-        name = '太阳';
-        info = '直径: 1,392,684 km<br>质量: 1.989 × 10^30 kg<br>表面温度: 5,500°C';
-        break;
-      case 'earth':
-        name = '地球';
-        info = '直径: 12,742 km<br>质量: 5.972 × 10^24 kg<br>公转周期: 365.25天<br>自转周期: 24小时';
-        break;
-      case 'moon':
-        name = '月球';
-        info = '直径: 3,474 km<br>质量: 7.342 × 10^22 kg<br>公转周期: 27.3天<br>距地球: 384,400 km';
-        break;
-      default:
-        return;
-    }
-    
-    this.planetNameEl.textContent = name;
-    this.planetInfoEl.innerHTML = info;
+  // 白道上的一点（月球组坐标）：angle为从升交点量起的角距，trueAnomaly为对应的真近点角
+  // 在moonApsidesGroup内使用时两者相同
+  moonOrbitPoint(angle, trueAnomaly, target = new THREE.Vector3()) {
+    const radius = orbitRadius(this.moonOrbitRadius, this.moonOrbitEccentricity, trueAnomaly);
+    return target.set(-radius * Math.cos(angle), 0, radius * Math.sin(angle));
+  }
+  
+  // 白道椭圆，地球位于焦点；按平近点角均匀取点，使近地点附近更密
+  createMoonOrbitGeometry() {
+    const orbitPoints = [];
+    for (let i = 0; i < 360; i += 2) {
+      const trueAnomaly = meanToTrueAnomaly(i * Math.PI / 180, this.moonOrbitEccentricity);
+      orbitPoints.push(this.moonOrbitPoint(trueAnomaly, trueAnomaly));
+    }
+    const orbitCurve = new THREE.CatmullRomCurve3(orbitPoints, true);
+    return new THREE.TubeGeometry(orbitCurve, 200, 0.02, 8, true);
+  }
+  
+  // 修改示意离心率后重建轨道和近地点、远地点标记
+  setMoonOrbitEccentricity(eccentricity) {
+    this.moonOrbitSettings.eccentricity = eccentricity;
+    this.updateMoonOrbitShape(true);
+  }
+  
+  // 实际使用的离心率在示意值和真实值之间按比例模式过渡，变化明显时才重建轨道
+  updateMoonOrbitShape(forceRebuild = false) {
+    const eccentricity = THREE.MathUtils.lerp(this.moonOrbitSettings.eccentricity, MOON_ORBIT_ECCENTRICITY,
+      this.sceneScale.trueSize);
+    if (!forceRebuild && Math.abs(eccentricity - this.moonOrbitEccentricity) <= 0.001) return;
+    this.moonOrbitEccentricity = eccentricity;
+    this.moonOrbit.geometry.dispose();
+    this.moonOrbit.geometry = this.createMoonOrbitGeometry();
+    this.updateMoonApsisMarkers();
+  }
+  
+  updateMoonApsisMarkers() {
+    this.moonOrbitPoint(0, 0, this.moonPerigeeMarker.position);
+    this.moonOrbitPoint(Math.PI, Math.PI, this.moonApogeeMarker.position);
+    this.moonPerigeeLabel.position.copy(this.moonPerigeeMarker.position).y += 0.4;
+    this.moonApogeeLabel.position.copy(this.moonApogeeMarker.position).y += 0.4;
+  }
+  
+  // 升交点在月球组的局部-x方向，降交点在+x方向
+  updateMoonNodeMarkers(argumentOfPerigee) {
+    this.moonOrbitPoint(0, -argumentOfPerigee, this.moonAscendingNodeMarker.position);
+    this.moonOrbitPoint(Math.PI, Math.PI - argumentOfPerigee, this.moonDescendingNodeMarker.position);
+    this.moonAscendingNodeLabel.position.copy(this.moonAscendingNodeMarker.position).y += 0.4;
+    this.moonDescendingNodeLabel.position.copy(this.moonDescendingNodeMarker.position).y += 0.4;
+    
+    const linePositions = this.moonNodeLine.geometry.attributes.position;
+    linePositions.setXYZ(0, this.moonAscendingNodeMarker.position.x, 0, 0);
+    linePositions.setXYZ(1, this.moonDescendingNodeMarker.position.x, 0, 0);
+    linePositions.needsUpdate = true;
+    this.moonNodeLine.geometry.computeBoundingSphere();
+  }
+  
+  // 月球姿态：先让+z轴朝向地球、北极大致指向黄道北，再按天平动转动，
+  // 使地心方向落在月面经度l、纬度b处
+  updateMoonOrientation(libration) {
+    const scale = this.moonOrbitSettings.librationScale;
+    const toEarth = this.moon.position.clone().negate().normalize();
+    const eclipticNorth = new THREE.Vector3(0, 1, 0).applyQuaternion(this.moonGroup.quaternion.clone().invert());
+    const facing = new THREE.Matrix4().lookAt(toEarth, new THREE.Vector3(), eclipticNorth);
+    const librationRotation = new THREE.Quaternion().setFromEuler(
+      new THREE.Euler(libration.latitude * scale, -libration.longitude * scale, 0, 'XYZ')
+    );
+    this.moon.quaternion.setFromRotationMatrix(facing).multiply(librationRotation);
+  }
+  
+  // 按天体目录通用地创建天体：球体、贴图或颜色、轨道线、自转轴倾角和可选的行星环
+  createCatalogBody(body) {
+    // 轨道容器只负责平移；倾斜组负责自转轴倾角；网格本身负责自转
+    const root = new THREE.Group();
+    const tiltGroup = new THREE.Group();
+    tiltGroup.rotation.z = body.axialTilt * Math.PI / 180;
+    root.add(tiltGroup);
+    
+    const map = this.getBodyTexture(body.id, 'map');
+    const material = new THREE.MeshStandardMaterial({
+      map,
+      color: map ? 0xffffff : body.color,
+      roughness: 0.9,
+      metalness: 0.0
+    });
+    const mesh = new THREE.Mesh(new THREE.SphereGeometry(body.radius, 48, 48), material);
+    mesh.name = body.id;
+    tiltGroup.add(mesh);
+    
+    // 行星环位于赤道面内
+    if (body.rings) {
+      const ringGeometry = new THREE.RingGeometry(body.rings.innerRadius, body.rings.outerRadius, 96);
+      const ringMaterial = new THREE.MeshStandardMaterial({
+        color: body.rings.color,
+        transparent: true,
+        opacity: body.rings.opacity,
+        side: THREE.DoubleSide,
+        depthWrite: false
+      });
+      const rings = new THREE.Mesh(ringGeometry, ringMaterial);
+      rings.rotation.x = Math.PI / 2;
+      tiltGroup.add(rings);
+    }
+    
+    const orbitMaterial = new THREE.LineBasicMaterial({
+      color: body.color,
+      transparent: true,
+      opacity: 0.4
+    });
+    
+    let orbitLine;
+    let orbitPlane = null;
+    
+    if (body.orbit.type === 'elements') {
+      // 日心轨道：直接放在黄道面上
+      const T = julianCenturies(this.simClock.getDate());
+      const orbitGeometry = new THREE.BufferGeometry().setFromPoints(getHeliocentricScenePath(body, T));
+      orbitLine = new THREE.LineLoop(orbitGeometry, orbitMaterial);
+      this.eclipticGroup.add(orbitLine);
+      this.eclipticGroup.add(root);
+    } else {
+      // 卫星：轨道面跟随父天体平移，升交点在局部-x轴，绕交点线倾斜
+      const parent = this.bodyObjects.get(body.parent);
+      orbitPlane = new THREE.Group();
+      orbitPlane.rotation.x = -body.orbit.inclination * Math.PI / 180;
+      parent.root.add(orbitPlane);
+      
+      const orbitPoints = [];
+      for (let i = 0; i < 128; i++) {
+        const angle = i / 128 * Math.PI * 2;
+        orbitPoints.push(new THREE.Vector3(
+          -body.orbit.sceneRadius * Math.cos(angle),
+          0,
+          body.orbit.sceneRadius * Math.sin(angle)
+        ));
+      }
+      orbitLine = new THREE.LineLoop(new THREE.BufferGeometry().setFromPoints(orbitPoints), orbitMaterial);
+      orbitPlane.add(orbitLine);
+      orbitPlane.add(root);
+    }
+    
+    this.bodyObjects.set(body.id, { body, root, mesh, sizeRoot: tiltGroup, orbitLine, orbitPlane });
+  }
+  
+  // 天体名称：标签挂在天体网格上，放在天体下方；卫星的名称只在摄像机靠近时显示
+  createBodyLabels() {
+    const priorities = { star: 4, planet: 3, dwarf: 2, moon: 1 };
+    this.bodyObjects.forEach(({ body, mesh }, id) => {
+      const label = this.createLabel(() => getBodyName(body.id), new THREE.Vector3(), body.color, {
+        group: 'body',
+        priority: priorities[body.type] ?? 0,
+        fade: body.type === 'moon' ? [60, 150] : null,
+        radius: body.radius,
+        onClick: () => this.selectBody(id)
+      });
+      mesh.add(label);
+    });
+  }
+  
+  // 更新通用天体的位置和自转
+  updateCatalogBodies(T, daysSinceJ2000) {
+    this.bodyObjects.forEach(({ body, root, mesh }) => {
+      if (!body.orbit || body.orbit.type === 'ephemeris') return;
+      
+      if (body.orbit.type === 'elements') {
+        getHeliocentricScenePosition(body, T, root.position, this.sceneScale.trueDistance);
+      } else {
+        const angle = getCircularOrbitAngle(body, daysSinceJ2000);
+        const distance = this.sceneScale.getSatelliteDistance(body.orbit.sceneRadius, body.orbit.semiMajorAxisKm);
+        root.position.set(
+          -distance * Math.cos(angle),
+          0,
+          distance * Math.sin(angle)
+        );
+      }
+      
+      mesh.rotation.y = getRotationAngle(body, daysSinceJ2000);
+    });
+  }
+  
+  setBodyVisible(bodyId, visible) {
+    const bodyObject = this.bodyObjects.get(bodyId);
+    if (!bodyObject) return;
+    bodyObject.root.visible = visible;
+    if (bodyObject.orbitLine) {
+      bodyObject.orbitLine.visible = visible;
+    }
+  }
+  
+  // 天体在当前比例模式下的半径，以及相对示意半径的缩放倍数
+  getBodyRadius(bodyId) {
+    return this.sceneScale.getBodyRadius(getBody(bodyId));
+  }
+  
+  getBodySizeFactor(bodyId) {
+    return this.getBodyRadius(bodyId) / getBody(bodyId).radius;
+  }
+  
+  setScaleMode(mode, animate = true) {
+    this.sceneScale.setMode(mode, animate);
+    if (!animate) {
+      this.applySceneScale();
+    }
+    if (this.scaleModeUI) {
+      this.scaleModeUI.updateDisplay();
+    }
+  }
+  
+  // 按当前的比例缩放天体、轨道线和月球轨道，并调整地球和月球轨道的离心率；比例模式过渡期间每帧调用
+  applySceneScale() {
+    const { trueDistance } = this.sceneScale;
+    const T = julianCenturies(this.simulationDate);
+    
+    this.bodyObjects.forEach(({ body, sizeRoot, orbitLine }) => {
+      sizeRoot.scale.setScalar(this.getBodySizeFactor(body.id));
+      // 轨道线按示意尺度创建，整体缩放到当前尺度
+      if (body.orbit && body.orbit.type === 'elements') {
+        orbitLine.scale.setScalar(getHeliocentricSceneScale(body, T, trueDistance) / getHeliocentricSceneScale(body, T));
+      } else if (body.orbit && body.orbit.type === 'circular') {
+        const { sceneRadius, semiMajorAxisKm } = body.orbit;
+        orbitLine.scale.setScalar(this.sceneScale.getSatelliteDistance(sceneRadius, semiMajorAxisKm) / sceneRadius);
+      }
+    });
+    
+    // 白道、近地点和交点标记随月球距离一起缩放
+    const moonOrbit = getBody('moon').orbit;
+    this.moonDistanceScale = this.sceneScale.getSatelliteDistance(this.moonOrbitRadius, moonOrbit.semiMajorAxisKm) /
+      this.moonOrbitRadius;
+    this.moonApsidesGroup.scale.setScalar(this.moonDistanceScale);
+    this.moonNodeMarkers.scale.setScalar(this.moonDistanceScale);
+    
+    const settled = !this.sceneScale.isTransitioning();
+    this.updateMoonOrbitShape(settled);
+    this.applyEarthOrbitState(this.earthOrbitState, settled);
+    this.earthOrbitLine.visible = this.sceneScale.trueSize > 0;
+    
+    // 最远天体远日点的距离，决定摄像机的可缩放范围和远裁剪面
+    this.sceneExtent = Math.max(...bodies
+      .filter((body) => body.orbit && body.orbit.type === 'elements')
+      .map((body) => getHeliocentricSceneScale(body, T, trueDistance) * body.orbit.elements.a[0] * (1 + body.orbit.elements.e[0])));
+    this.controls.maxDistance = Math.max(CAMERA_MAX_DISTANCE, this.sceneExtent * 2);
+    
+    // 已记录的轨迹按旧的比例记录，重新开始
+    if (this.orbitTrails) {
+      this.orbitTrails.clear();
+    }
+    
+    // 正在跟随的天体大小变化时，摄像机同步靠近或远离
+    if (this.cameraRig.target) {
+      this.cameraRig.setTargetRadius(this.getBodyRadius(this.cameraRig.target.name));
+    }
+  }
+  
+  // 近裁剪面随摄像机到最近天体表面的距离调整，真实比例下贴近很小的天体时不会被裁掉；
+  // 远裁剪面包住整个太阳系和跟随摄像机的星空球
+  updateCameraClipping() {
+    const cameraPosition = this.camera.position;
+    const bodyPosition = new THREE.Vector3();
+    let nearestSurface = Infinity;
+    this.bodyObjects.forEach(({ body, mesh }) => {
+      if (!this.isObjectVisible(mesh)) return;
+      // 行星环和大气层超出天体半径
+      const extent = body.rings ? body.rings.outerRadius / body.radius : 1.1;
+      const distance = mesh.getWorldPosition(bodyPosition).distanceTo(cameraPosition) - this.getBodyRadius(body.id) * extent;
+      nearestSurface = Math.min(nearestSurface, distance);
+    });
+    
+    const near = THREE.MathUtils.clamp(nearestSurface * 0.5, CAMERA_MIN_NEAR, CAMERA_NEAR);
+    const far = Math.max(CAMERA_FAR, (cameraPosition.length() + this.sceneExtent) * 1.1);
+    if (near !== this.camera.near || far !== this.camera.far) {
+      this.camera.near = near;
+      this.camera.far = far;
+      this.camera.updateProjectionMatrix();
+    }
+  }
+  
+  addEventListeners() {
+    // 处理窗口大小变化
+    window.addEventListener('resize', () => {
+      this.sizes.width = window.innerWidth;
+      this.sizes.height = window.innerHeight;
+      
+      this.camera.aspect = this.sizes.width / this.sizes.height;
+      this.camera.updateProjectionMatrix();
+      
+      this.renderer.setSize(this.sizes.width, this.sizes.height);
+      this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+      
+      this.composer.setSize(this.sizes.width, this.sizes.height);
+      this.labelLayer.setSize(this.sizes.width, this.sizes.height);
+      
+      if (this.observerView) {
+        this.observerView.setSize(this.sizes.width, this.sizes.height);
+      }
+    });
+    
+    // 鼠标移动
+    window.addEventListener('mousemove', (event) => {
+      this.mouse.x = (event.clientX / this.sizes.width) * 2 - 1;
+      this.mouse.y = - (event.clientY / this.sizes.height) * 2 + 1;
+    });
+    
+    // 鼠标点击
+    window.addEventListener('click', (event) => {
+      // 点击GUI、月历等页面元素时不做点选
+      if (event.target !== this.canvas) return;
+      // 地面观测视角中看不到示意模型，不做点选
+      if (this.observerSettings.enabled) return;
+      
+      this.raycaster.setFromCamera(this.mouse, this.camera);
+      // 可点选的天体列表来自天体目录，跳过被隐藏的天体
+      const pickable = [...this.bodyObjects.values()]
+        .map(({ mesh }) => mesh)
+        .filter((mesh) => this.isObjectVisible(mesh));
+      const intersects = this.raycaster.intersectObjects(pickable, false);
+      
+      if (intersects.length > 0) {
+        const hit = intersects[0];
+        // 点中地球时读出经纬度；开启“点击地球添加标记”时只添加标记，不切换视角
+        if (hit.object === this.earth) {
+          this.pickEarthLocation(hit.point);
+          if (this.markerSettings.addOnClick) return;
+        }
+        this.selectBody(hit.object.name);
+      }
+    });
+    
+    // 双击重置视角
+    this.canvas.addEventListener('dblclick', () => {
+      this.resetCamera();
+    });
+  }
+  
+  createInput() {
+    // 贴图加载出错后会重新初始化，先移除旧实例的键盘监听和帮助面板
+    if (this.input) {
+      this.input.detach();
+      this.helpOverlay.element.remove();
+    }
+    this.input = new InputManager();
+    this.helpOverlay = new HelpOverlay(this.input);
+    
+    // 分组名称和说明文字随界面语言变化，注册时传入取得文字的函数
+    const viewGroup = () => t('input.groups.view');
+    const timeGroup = () => t('input.groups.time');
+    const bodiesGroup = () => t('input.groups.bodies');
+    const helpGroup = () => t('input.groups.help');
+    
+    // 视角：方向键旋转，+/-缩放，R重置
+    const orbitStep = 5 * Math.PI / 180;
+    this.input.register('orbitLeft', {
+      group: viewGroup, description: () => t('input.actions.orbitLeft'), keys: ['ArrowLeft'], repeat: true,
+      handler: () => this.orbitCamera(-orbitStep, 0)
+    });
+    this.input.register('orbitRight', {
+      group: viewGroup, description: () => t('input.actions.orbitRight'), keys: ['ArrowRight'], repeat: true,
+      handler: () => this.orbitCamera(orbitStep, 0)
+    });
+    this.input.register('orbitUp', {
+      group: viewGroup, description: () => t('input.actions.orbitUp'), keys: ['ArrowUp'], repeat: true,
+      handler: () => this.orbitCamera(0, -orbitStep)
+    });
+    this.input.register('orbitDown', {
+      group: viewGroup, description: () => t('input.actions.orbitDown'), keys: ['ArrowDown'], repeat: true,
+      handler: () => this.orbitCamera(0, orbitStep)
+    });
+    this.input.register('zoomIn', {
+      group: viewGroup, description: () => t('input.actions.zoomIn'), keys: ['+', '='], repeat: true,
+      handler: () => this.zoomCamera(0.9)
+    });
+    this.input.register('zoomOut', {
+      group: viewGroup, description: () => t('input.actions.zoomOut'), keys: ['-', '_'], repeat: true,
+      handler: () => this.zoomCamera(1 / 0.9)
+    });
+    this.input.register('resetCamera', {
+      group: viewGroup, description: () => t('input.actions.resetCamera'), keys: ['R'],
+      handler: () => this.resetCamera()
+    });
+    this.input.register('followBody', {
+      group: viewGroup, description: () => t('input.actions.followBody'), keys: ['F'],
+      handler: () => this.selectBody(this.selectedBodyId || 'earth')
+    });
+    this.input.register('chaseBody', {
+      group: viewGroup, description: () => t('input.actions.chaseBody'), keys: ['C'],
+      handler: () => this.chaseSelectedBody()
+    });
+    this.input.register('toggleObserver', {
+      group: viewGroup, description: () => t('input.actions.toggleObserver'), keys: ['O'],
+      handler: () => this.setObserverMode(!this.observerSettings.enabled)
+    });
+    
+    // 时间控制
+    const maxRate = 200 * SIM_SECONDS_PER_ROTATION_RADIAN;
+    const minRate = 0.1 * SIM_SECONDS_PER_ROTATION_RADIAN;
+    this.input.register('togglePause', {
+      group: timeGroup, description: () => t('input.actions.togglePause'), keys: ['Space'],
+      handler: () => this.simClock.togglePaused()
+    });
+    this.input.register('toggleReverse', {
+      group: timeGroup, description: () => t('input.actions.toggleReverse'), keys: ['B'],
+      handler: () => this.simClock.setReversed(!this.simClock.reversed)
+    });
+    this.input.register('slowDown', {
+      group: timeGroup, description: () => t('input.actions.slowDown'), keys: ['['],
+      handler: () => this.simClock.setRate(Math.max(this.simClock.rate / 2, minRate))
+    });
+    this.input.register('speedUp', {
+      group: timeGroup, description: () => t('input.actions.speedUp'), keys: [']'],
+      handler: () => this.simClock.setRate(Math.min(Math.max(this.simClock.rate * 2, minRate), maxRate))
+    });
+    this.input.register('stepBackHour', {
+      group: timeGroup, description: () => t('input.actions.stepBackHour'), keys: [','], repeat: true,
+      handler: () => this.simClock.step(-SECONDS_PER_HOUR)
+    });
+    this.input.register('stepForwardHour', {
+      group: timeGroup, description: () => t('input.actions.stepForwardHour'), keys: ['.'], repeat: true,
+      handler: () => this.simClock.step(SECONDS_PER_HOUR)
+    });
+    this.input.register('stepBackDay', {
+      group: timeGroup, description: () => t('input.actions.stepBackDay'), keys: ['<'], repeat: true,
+      handler: () => this.simClock.step(-SECONDS_PER_DAY)
+    });
+    this.input.register('stepForwardDay', {
+      group: timeGroup, description: () => t('input.actions.stepForwardDay'), keys: ['>'], repeat: true,
+      handler: () => this.simClock.step(SECONDS_PER_DAY)
+    });
+    this.input.register('jumpToNow', {
+      group: timeGroup, description: () => t('input.actions.jumpToNow'), keys: ['N'],
+      handler: () => this.simClock.jumpTo(new Date())
+    });
+    
+    // 天体选择：J和K依次切换，数字键直接选择太阳和八大行星
+    // 不用Tab，Tab要留给浏览器在GUI的按钮和输入框之间移动焦点
+    this.input.register('selectNextBody', {
+      group: bodiesGroup, description: () => t('input.actions.selectNextBody'), keys: ['J'],
+      handler: () => this.selectAdjacentBody(1)
+    });
+    this.input.register('selectPreviousBody', {
+      group: bodiesGroup, description: () => t('input.actions.selectPreviousBody'), keys: ['K'],
+      handler: () => this.selectAdjacentBody(-1)
+    });
+    bodies
+      .filter((body) => body.type === 'star' || body.type === 'planet')
+      .slice(0, 10)
+      .forEach((body, index) => {
+        this.input.register(`select-${body.id}`, {
+          group: bodiesGroup,
+          description: () => t('input.actions.selectBody', { name: getBodyName(body.id) }),
+          keys: [String(index)],
+          handler: () => this.selectBody(body.id)
+        });
+      });
+    
+    this.input.register('toggleLunarCalendar', {
+      group: timeGroup, description: () => t('input.actions.toggleLunarCalendar'), keys: ['M'],
+      handler: () => this.lunarCalendar.toggle(this.simulationDate)
+    });
+    
+    // 帮助
+    this.input.register('toggleHelp', {
+      group: helpGroup, description: () => t('input.actions.toggleHelp'), keys: ['?'],
+      handler: () => this.helpOverlay.toggle()
+    });
+    this.input.register('closeHelp', {
+      group: helpGroup, description: () => t('input.actions.closeHelp'), keys: ['Escape'],
+      handler: () => {
+        this.helpOverlay.hide();
+        this.lunarCalendar.hide();
+      }
+    });
+    
+    this.input.attach(window);
+  }
+  
+  // 围绕当前观察目标旋转摄像机
+  orbitCamera(deltaAzimuth, deltaPolar) {
+    // 地面观测视角中改为环顾四周
+    if (this.observerSettings.enabled) {
+      this.observerView.look(deltaAzimuth, -deltaPolar);
+      return;
+    }
+    
+    const offset = this.camera.position.clone().sub(this.controls.target);
+    const spherical = new THREE.Spherical().setFromVector3(offset);
+    spherical.theta += deltaAzimuth;
+    spherical.phi = THREE.MathUtils.clamp(spherical.phi + deltaPolar, 0.01, Math.PI - 0.01);
+    this.camera.position.copy(this.controls.target).add(offset.setFromSpherical(spherical));
+    this.controls.update();
+  }
+  
+  // 调整摄像机到观察目标的距离，factor小于1为放大
+  zoomCamera(factor) {
+    if (this.observerSettings.enabled) {
+      this.observerView.zoom(factor);
+      return;
+    }
+    
+    const offset = this.camera.position.clone().sub(this.controls.target);
+    const distance = THREE.MathUtils.clamp(
+      offset.length() * factor,
+      this.controls.minDistance,
+      this.controls.maxDistance
+    );
+    this.camera.position.copy(this.controls.target).add(offset.setLength(distance));
+    this.controls.update();
+  }
+  
+  // 退出跟随，平滑返回以太阳为中心的默认视角
+  resetCamera() {
+    if (this.observerSettings.enabled) {
+      this.setObserverMode(false);
+    }
+    this.cameraRig.exitToFree(this.defaultCameraPosition, this.defaultCameraTarget);
+  }
+  
+  // 选中天体并让摄像机飞过去跟随它
+  selectBody(bodyId) {
+    const bodyObject = this.bodyObjects.get(bodyId);
+    if (!bodyObject || !this.isObjectVisible(bodyObject.mesh)) return;
+    
+    this.selectedBodyId = bodyId;
+    this.updateInfoPanel(bodyId);
+    this.cameraRig.follow(bodyObject.mesh, this.getBodyRadius(bodyId));
+  }
+  
+  // 对选中的天体切换追尾视角
+  chaseSelectedBody() {
+    const bodyObject = this.bodyObjects.get(this.selectedBodyId || 'earth');
+    if (!bodyObject) return;
+    
+    this.selectedBodyId = bodyObject.body.id;
+    this.updateInfoPanel(bodyObject.body.id);
+    this.cameraRig.chase(bodyObject.mesh, this.getBodyRadius(bodyObject.body.id));
+  }
+  
+  // 按天体目录顺序选择上一个/下一个可见天体
+  selectAdjacentBody(direction) {
+    const ids = [...this.bodyObjects.keys()].filter((id) => this.isObjectVisible(this.bodyObjects.get(id).mesh));
+    if (ids.length === 0) return;
+    const currentIndex = ids.indexOf(this.selectedBodyId);
+    const nextIndex = currentIndex === -1
+      ? (direction > 0 ? 0 : ids.length - 1)
+      : (currentIndex + direction + ids.length) % ids.length;
+    this.selectBody(ids[nextIndex]);
+  }
+  
+  // 信息面板：天体的名称、固定的介绍和随模拟时刻变化的量；animate()中每帧调用，内容不变时不改动页面
+  updateInfoPanel(objectName) {
+    const body = getBody(objectName);
+    if (!body) return;
+    
+    const ephemeris = this.ephemeris || getEphemeris(this.simulationDate);
+    const name = getBodyName(body.id);
+    const facts = [...getBodyFacts(body.id), ...this.getLiveInfoLines(body, ephemeris)];
+    if (body.id === 'moon') {
+      const phase = this.moonPhase || getMoonPhase(this.simulationDate);
+      facts.push(t('infoPanel.moonPhase', { phase: phase.name, percent: formatNumber(phase.illuminatedFraction * 100, 0) }));
+      const moonEphemeris = ephemeris.moon;
+      const libration = getOpticalLibration(moonEphemeris);
+      const toDegrees = (angle) => formatNumber(angle * 180 / Math.PI, 1);
+      facts.push(t('infoPanel.ascendingNode', {
+        longitude: toDegrees(moonEphemeris.ascendingNode),
+        years: formatNumber(NODAL_PERIOD_YEARS)
+      }));
+      facts.push(t('infoPanel.perigee', {
+        longitude: toDegrees(moonEphemeris.perigee),
+        years: formatNumber(APSIDAL_PERIOD_YEARS)
+      }));
+      facts.push(t('infoPanel.libration', {
+        longitude: toDegrees(libration.longitude),
+        latitude: toDegrees(libration.latitude)
+      }));
+    }
+    
+    if (name !== this.infoPanelName) {
+      this.infoPanelName = name;
+      this.planetNameEl.textContent = name;
+    }
+    const html = facts.join('<br>');
+    if (html !== this.infoPanelHTML) {
+      this.infoPanelHTML = html;
+      this.planetInfoEl.innerHTML = html;
+    }
+  }
+  
+  // 信息面板中的实时量，按GUI中选择的单位显示；不适用于该天体的量不显示
+  getLiveInfoLines(body, ephemeris) {
+    const info = getLiveBodyInfo(body, ephemeris, this.earthOrbitState);
+    const { distanceUnit, speedUnit, angleUnit } = this.infoPanelSettings;
+    const distance = (value) => formatDistance(value, distanceUnit);
+    const angle = (value) => formatAngle(value, angleUnit);
+    
+    const lines = [];
+    const add = (key, value, format, params = {}) => {
+      if (value !== undefined) lines.push(t(`infoPanel.${key}`, { ...params, value: format(value) }));
+    };
+    add('sunDistance', info.sunDistance, distance);
+    add('earthDistance', info.earthDistance, distance);
+    add('parentDistance', info.parentDistance, distance, { parent: body.parent && getBodyName(body.parent) });
+    add('moonDistance', info.moonDistance, distance);
+    add('orbitalSpeed', info.orbitalSpeed, (value) => formatSpeed(value, speedUnit));
+    add('trueAnomaly', info.trueAnomaly, angle);
+    add('nextPerihelion', info.daysToPerihelion, formatDays);
+    if (info.nextSolstice) {
+      add('nextSolstice', info.nextSolstice.days, formatDays, {
+        name: t(`infoPanel.solstices.${info.nextSolstice.id}`)
+      });
+    }
+    add('lightTimeSun', info.sunDistance, formatLightTime);
+    add('lightTimeEarth', info.earthDistance, formatLightTime);
+    add('sunApparentSize', info.sunAngularDiameter, angle);
+    add('moonApparentSize', info.moonAngularDiameter, angle);
+    add('apparentSize', info.angularDiameter, angle);
+    add('subsolarLatitude', info.subsolarLatitude, angle);
+    return lines;
+  }
+  
+  // 对象及其所有父级都可见时才算可见
+  isObjectVisible(object) {
+    for (let current = object; current; current = current.parent) {
+      if (!current.visible) return false;
+    }
+    return true;
   }
   
   createGUI() {
     const gui = new GUI();
+    this.gui = gui;
+    gui.onFinishChange((event) => this.guiFinishChangeListeners.forEach((listener) => listener(event)));
+    
+    // 界面语言
+    const languageControls = { locale: getLocale() };
+    const languageOptions = Object.fromEntries(Object.entries(LOCALES).map(([id, { name }]) => [name, id]));
+    gui.add(languageControls, 'locale', languageOptions)
+      .name(t('gui.language'))
+      .onChange((locale) => this.setLanguage(locale));
     
     // 速度控制
-    const speedFolder = gui.addFolder('速度控制');
+    const speedFolder = gui.addFolder(t('gui.speed.title'));
     
     // 创建速度控制对象
     this.speedControls = {
       earthRotationSpeed: 1, // 默认值设为1，而不是73.05
       pauseAnimation: false,
+      reversePlayback: false,
       resetSpeeds: () => {
         this.speedControls.earthRotationSpeed = 1;
         speedRotationControl.updateDisplay();
+        this.simClock.setRate(SIM_SECONDS_PER_ROTATION_RADIAN);
       }
     };
     
-    // 添加地球自转速度控制滑块
+    // 添加地球自转速度控制滑块，只改变时间流逝的速率，不会让天体跳变
     const speedRotationControl = speedFolder.add(this.speedControls, 'earthRotationSpeed', 0, 200, 0.1)
-      .name('地球自转速度');
+      .name(t('gui.speed.earthRotationSpeed'))
+      .onChange((value) => {
+        this.simClock.setRate(value * SIM_SECONDS_PER_ROTATION_RADIAN);
+      });
     
     // 添加暂停/继续动画的控制
-    speedFolder.add(this.speedControls, 'pauseAnimation')
-      .name('暂停动画')
+    const pauseControl = speedFolder.add(this.speedControls, 'pauseAnimation')
+      .name(t('gui.speed.pause'))
       .onChange((value) => {
-        if (value) {
-          this.clock.stop();
-        } else {
-          this.clock.start();
-        }
+        this.simClock.setPaused(value);
+      });
+    
+    // 倒放
+    const reverseControl = speedFolder.add(this.speedControls, 'reversePlayback')
+      .name(t('gui.speed.reverse'))
+      .onChange((value) => {
+        this.simClock.setReversed(value);
       });
     
     // 添加重置速度的按钮
     speedFolder.add(this.speedControls, 'resetSpeeds')
-      .name('重置到默认速度');
+      .name(t('gui.speed.reset'));
+    
+    // 键盘等其他途径改变时钟状态时，同步GUI显示
+    this.guiCleanups.push(this.simClock.onChange((clock) => {
+      this.speedControls.pauseAnimation = clock.paused;
+      this.speedControls.reversePlayback = clock.reversed;
+      this.speedControls.earthRotationSpeed = clock.rate / SIM_SECONDS_PER_ROTATION_RADIAN;
+      pauseControl.updateDisplay();
+      reverseControl.updateDisplay();
+      speedRotationControl.updateDisplay();
+    }));
+    
+    // 时间控制：单步和跳转
+    const timeFolder = gui.addFolder(t('gui.time.title'));
+    this.timeControls = {
+      stepBackHour: () => this.simClock.step(-SECONDS_PER_HOUR),
+      stepForwardHour: () => this.simClock.step(SECONDS_PER_HOUR),
+      stepBackDay: () => this.simClock.step(-SECONDS_PER_DAY),
+      stepForwardDay: () => this.simClock.step(SECONDS_PER_DAY),
+      stepBackMonth: () => this.simClock.step(-SIDEREAL_MONTH_SECONDS),
+      stepForwardMonth: () => this.simClock.step(SIDEREAL_MONTH_SECONDS),
+      targetDate: this.formatSimulationDate(),
+      jumpToDate: () => {
+        const date = parseUTCDate(this.timeControls.targetDate);
+        if (date) {
+          this.simClock.jumpTo(date);
+          this.timeControls.dateStatus = t('gui.time.dateFormat');
+        } else {
+          this.timeControls.dateStatus = t('gui.time.invalidDate', { text: this.timeControls.targetDate });
+        }
+        dateStatusUI.updateDisplay();
+      },
+      jumpToNow: () => {
+        this.simClock.jumpTo(new Date());
+      },
+      // 跳转失败时在这里显示原因
+      dateStatus: t('gui.time.dateFormat')
+    };
+    
+    timeFolder.add(this.timeControls, 'stepBackHour').name(t('gui.time.stepBackHour'));
+    timeFolder.add(this.timeControls, 'stepForwardHour').name(t('gui.time.stepForwardHour'));
+    timeFolder.add(this.timeControls, 'stepBackDay').name(t('gui.time.stepBackDay'));
+    timeFolder.add(this.timeControls, 'stepForwardDay').name(t('gui.time.stepForwardDay'));
+    timeFolder.add(this.timeControls, 'stepBackMonth').name(t('gui.time.stepBackMonth'));
+    timeFolder.add(this.timeControls, 'stepForwardMonth').name(t('gui.time.stepForwardMonth'));
+    timeFolder.add(this.timeControls, 'targetDate').name(t('gui.time.targetDate'));
+    timeFolder.add(this.timeControls, 'jumpToDate').name(t('gui.time.jumpToDate'));
+    const dateStatusUI = timeFolder.add(this.timeControls, 'dateStatus').name(t('gui.time.status')).disable();
+    timeFolder.add(this.timeControls, 'jumpToNow').name(t('gui.time.jumpToNow'));
     
     // 大气层控制
-    const atmosphereFolder = gui.addFolder('大气层');
-    atmosphereFolder.add(this.atmosphere.material.uniforms.atmosphereIntensity, 'value', 0, 1.5, 0.1).name('强度');
+    const atmosphereFolder = gui.addFolder(t('gui.atmosphere.title'));
+    atmosphereFolder.add(this.atmosphere.material.uniforms.atmosphereIntensity, 'value', 0, 1.5, 0.1).name(t('gui.atmosphere.intensity'));
+    
+    // 地球表面着色
+    const earthSurfaceFolder = gui.addFolder(t('gui.earthSurface.title'));
+    const earthUniforms = this.earth.material.uniforms;
+    earthSurfaceFolder.add(earthUniforms.sunIntensity, 'value', 0.5, 3, 0.1).name(t('gui.earthSurface.sunIntensity'));
+    earthSurfaceFolder.add(earthUniforms.terminatorSoftness, 'value', 0.01, 0.3, 0.01).name(t('gui.earthSurface.terminatorSoftness'));
+    earthSurfaceFolder.add(earthUniforms.nightLightsIntensity, 'value', 0, 3, 0.1).name(t('gui.earthSurface.nightLights'));
+    earthSurfaceFolder.add(earthUniforms.specularStrength, 'value', 0, 2, 0.1).name(t('gui.earthSurface.specular'));
+    earthSurfaceFolder.add(earthUniforms.twilightStrength, 'value', 0, 1, 0.05).name(t('gui.earthSurface.twilightStrength'));
+    earthSurfaceFolder.addColor({ color: '#' + earthUniforms.twilightColor.value.getHexString() }, 'color')
+      .name(t('gui.earthSurface.twilightColor'))
+      .onChange((value) => earthUniforms.twilightColor.value.set(value));
+    earthSurfaceFolder.add(earthUniforms.cloudShadowStrength, 'value', 0, 1, 0.05).name(t('gui.earthSurface.cloudShadow'));
     
     // 轨道参数控制
-    const orbitFolder = gui.addFolder('轨道参数');
+    const orbitFolder = gui.addFolder(t('gui.orbit.title'));
     
-    // 月球轨道倾角控制
-    const moonOrbitControls = {
-      moonOrbitInclination: 5.1
-    };
+    // 月球轨道的示意参数，animate()每帧按这些值摆放白道和月球
+    orbitFolder.add(this.moonOrbitSettings, 'inclination', 0, 10, 0.01)
+      .name(t('gui.orbit.moonInclination'));
     
-    orbitFolder.add(moonOrbitControls, 'moonOrbitInclination', 0, 10, 0.1)
-      .name('月球轨道倾角')
-      .onChange((value) => {
-        if (this.moonGroup) {
-          // 重置月球组的旋转
-          this.moonGroup.rotation.set(0, 0, 0);
-          // 计算当前的公转角度
-          const earthOrbitSpeed = 0.2;
-          const moonOrbitSpeed = earthOrbitSpeed * (365.25 / 27.32);
-          this.moonGroup.rotateY(this.elapsedTime * moonOrbitSpeed);
-          // 重新应用当前的月球轨道倾角
-          this.moonGroup.rotateX(value * Math.PI / 180);
-        }
-      });
+    orbitFolder.add(this.moonOrbitSettings, 'eccentricity', 0, 0.3, 0.005)
+      .name(t('gui.orbit.moonEccentricity'))
+      .onChange((value) => this.setMoonOrbitEccentricity(value));
+    
+    orbitFolder.add(this.moonOrbitSettings, 'librationScale', 1, 5, 0.5)
+      .name(t('gui.orbit.librationScale'));
     
     // 轨道可视化控制
-    const orbitVisualsControls = {
+    this.orbitVisualsControls = {
       showEarthOrbit: true,
       showMoonOrbit: true,
       showEarthEquator: true,
@@ -866,10 +2141,14 @@ class SolarSystemApp {
       showMoonAxis: true,
       showMoonFace: true,
       showMoonFaceLine: true,
+      showMoonNodes: true,
+      showMoonApsides: true,
       showPerihelion: true,
       showAphelion: true,
       showSummerSolstice: true,
       showWinterSolstice: true,
+      showEquinoxes: true,
+      showAriesDirection: true,
       earthOrbitColor: '#4488aa',
       moonOrbitColor: '#888888',
       equatorColor: '#ff3333',
@@ -878,32 +2157,32 @@ class SolarSystemApp {
       moonFaceColor: '#ff00ff'
     };
     
-    orbitFolder.add(orbitVisualsControls, 'showEarthOrbit')
-      .name('显示地球轨道')
+    orbitFolder.add(this.orbitVisualsControls, 'showEarthOrbit')
+      .name(t('gui.orbit.showEarthOrbit'))
       .onChange((value) => {
         if (this.earthOrbit) {
           this.earthOrbit.visible = value;
         }
       });
     
-    orbitFolder.add(orbitVisualsControls, 'showMoonOrbit')
-      .name('显示月球轨道')
+    orbitFolder.add(this.orbitVisualsControls, 'showMoonOrbit')
+      .name(t('gui.orbit.showMoonOrbit'))
       .onChange((value) => {
         if (this.moonOrbit) {
           this.moonOrbit.visible = value;
         }
       });
     
-    orbitFolder.add(orbitVisualsControls, 'showEarthEquator')
-      .name('显示地球赤道')
+    orbitFolder.add(this.orbitVisualsControls, 'showEarthEquator')
+      .name(t('gui.orbit.showEarthEquator'))
       .onChange((value) => {
         if (this.equator) {
           this.equator.visible = value;
         }
       });
     
-    orbitFolder.add(orbitVisualsControls, 'showEarthAxis')
-      .name('显示地球自转轴')
+    orbitFolder.add(this.orbitVisualsControls, 'showEarthAxis')
+      .name(t('gui.orbit.showEarthAxis'))
       .onChange((value) => {
         if (this.earthAxis) {
           this.earthAxis.visible = value;
@@ -912,32 +2191,48 @@ class SolarSystemApp {
         }
       });
     
-    orbitFolder.add(orbitVisualsControls, 'showMoonAxis')
-      .name('显示月球自转轴')
+    orbitFolder.add(this.orbitVisualsControls, 'showMoonAxis')
+      .name(t('gui.orbit.showMoonAxis'))
       .onChange((value) => {
         if (this.moonAxis) {
           this.moonAxis.visible = value;
         }
       });
     
-    orbitFolder.add(orbitVisualsControls, 'showMoonFace')
-      .name('显示月球朝向')
+    orbitFolder.add(this.orbitVisualsControls, 'showMoonFace')
+      .name(t('gui.orbit.showMoonFace'))
       .onChange((value) => {
         if (this.moonFaceMark) {
           this.moonFaceMark.visible = value;
         }
       });
     
-    orbitFolder.add(orbitVisualsControls, 'showMoonFaceLine')
-      .name('显示朝向连接线')
+    orbitFolder.add(this.orbitVisualsControls, 'showMoonFaceLine')
+      .name(t('gui.orbit.showMoonFaceLine'))
       .onChange((value) => {
         if (this.moonFaceLine) {
           this.moonFaceLine.visible = value;
         }
       });
     
-    orbitFolder.add(orbitVisualsControls, 'showPerihelion')
-      .name('显示近日点')
+    orbitFolder.add(this.orbitVisualsControls, 'showMoonNodes')
+      .name(t('gui.orbit.showMoonNodes'))
+      .onChange((value) => {
+        if (this.moonNodeMarkers) {
+          this.moonNodeMarkers.visible = value;
+        }
+      });
+    
+    orbitFolder.add(this.orbitVisualsControls, 'showMoonApsides')
+      .name(t('gui.orbit.showMoonApsides'))
+      .onChange((value) => {
+        if (this.moonApsisMarkers) {
+          this.moonApsisMarkers.visible = value;
+        }
+      });
+    
+    orbitFolder.add(this.orbitVisualsControls, 'showPerihelion')
+      .name(t('gui.orbit.showPerihelion'))
       .onChange((value) => {
         if (this.perihelionMarker) {
           this.perihelionMarker.visible = value;
@@ -945,8 +2240,8 @@ class SolarSystemApp {
         }
       });
     
-    orbitFolder.add(orbitVisualsControls, 'showAphelion')
-      .name('显示远日点')
+    orbitFolder.add(this.orbitVisualsControls, 'showAphelion')
+      .name(t('gui.orbit.showAphelion'))
       .onChange((value) => {
         if (this.aphelionMarker) {
           this.aphelionMarker.visible = value;
@@ -954,8 +2249,8 @@ class SolarSystemApp {
         }
       });
     
-    orbitFolder.add(orbitVisualsControls, 'showSummerSolstice')
-      .name('显示夏至点')
+    orbitFolder.add(this.orbitVisualsControls, 'showSummerSolstice')
+      .name(t('gui.orbit.showSummerSolstice'))
       .onChange((value) => {
         if (this.summerSolsticeMarker) {
           this.summerSolsticeMarker.visible = value;
@@ -963,8 +2258,8 @@ class SolarSystemApp {
         }
       });
     
-    orbitFolder.add(orbitVisualsControls, 'showWinterSolstice')
-      .name('显示冬至点')
+    orbitFolder.add(this.orbitVisualsControls, 'showWinterSolstice')
+      .name(t('gui.orbit.showWinterSolstice'))
       .onChange((value) => {
         if (this.winterSolsticeMarker) {
           this.winterSolsticeMarker.visible = value;
@@ -972,48 +2267,69 @@ class SolarSystemApp {
         }
       });
     
-    orbitFolder.addColor(orbitVisualsControls, 'earthOrbitColor')
-      .name('地球轨道颜色')
+    orbitFolder.add(this.orbitVisualsControls, 'showEquinoxes')
+      .name(t('gui.orbit.showEquinoxes'))
+      .onChange((value) => {
+        if (this.vernalEquinoxMarker) {
+          this.vernalEquinoxMarker.visible = value;
+          this.vernalEquinoxLabel.visible = value;
+          this.autumnalEquinoxMarker.visible = value;
+          this.autumnalEquinoxLabel.visible = value;
+        }
+      });
+    
+    orbitFolder.add(this.orbitVisualsControls, 'showAriesDirection')
+      .name(t('gui.orbit.showAriesDirection'))
+      .onChange((value) => {
+        if (this.ariesArrow) {
+          this.ariesArrow.visible = value;
+          this.ariesLabel.visible = value;
+        }
+      });
+    
+    orbitFolder.addColor(this.orbitVisualsControls, 'earthOrbitColor')
+      .name(t('gui.orbit.earthOrbitColor'))
       .onChange((value) => {
         if (this.earthOrbit && this.earthOrbit.material) {
           this.earthOrbit.material.color.set(value);
+          this.earthOrbitLine.material.color.set(value);
         }
       });
     
-    orbitFolder.addColor(orbitVisualsControls, 'moonOrbitColor')
-      .name('月球轨道颜色')
+    orbitFolder.addColor(this.orbitVisualsControls, 'moonOrbitColor')
+      .name(t('gui.orbit.moonOrbitColor'))
       .onChange((value) => {
         if (this.moonOrbit && this.moonOrbit.material) {
           this.moonOrbit.material.color.set(value);
         }
       });
     
-    orbitFolder.addColor(orbitVisualsControls, 'equatorColor')
-      .name('赤道颜色')
+    orbitFolder.addColor(this.orbitVisualsControls, 'equatorColor')
+      .name(t('gui.orbit.equatorColor'))
       .onChange((value) => {
         if (this.equator && this.equator.material) {
           this.equator.material.color.set(value);
         }
       });
     
-    orbitFolder.addColor(orbitVisualsControls, 'axisColor')
-      .name('自转轴颜色')
+    orbitFolder.addColor(this.orbitVisualsControls, 'axisColor')
+      .name(t('gui.orbit.axisColor'))
       .onChange((value) => {
         if (this.earthAxis && this.earthAxis.material) {
           this.earthAxis.material.color.set(value);
         }
       });
     
-    orbitFolder.addColor(orbitVisualsControls, 'moonAxisColor')
-      .name('月球轴颜色')
+    orbitFolder.addColor(this.orbitVisualsControls, 'moonAxisColor')
+      .name(t('gui.orbit.moonAxisColor'))
       .onChange((value) => {
         if (this.moonAxis && this.moonAxis.material) {
           this.moonAxis.material.color.set(value);
         }
       });
     
-    orbitFolder.addColor(orbitVisualsControls, 'moonFaceColor')
-      .name('月球朝向颜色')
+    orbitFolder.addColor(this.orbitVisualsControls, 'moonFaceColor')
+      .name(t('gui.orbit.moonFaceColor'))
       .onChange((value) => {
         if (this.moonFaceMark && this.moonFaceMark.material) {
           this.moonFaceMark.material.color.set(value);
@@ -1023,39 +2339,1003 @@ class SolarSystemApp {
         }
       });
     
+    // 摄像机
+    const cameraFolder = gui.addFolder(t('gui.camera.title'));
+    this.cameraControls = {
+      mode: '',
+      follow: () => this.selectBody(this.selectedBodyId || 'earth'),
+      chase: () => this.chaseSelectedBody(),
+      exit: () => this.resetCamera()
+    };
+    const cameraModeUI = cameraFolder.add(this.cameraControls, 'mode').name(t('gui.camera.mode')).disable();
+    cameraFolder.add(this.cameraControls, 'follow').name(t('gui.camera.follow'));
+    cameraFolder.add(this.cameraControls, 'chase').name(t('gui.camera.chase'));
+    cameraFolder.add(this.cameraControls, 'exit').name(t('gui.camera.exit'));
+    
+    const updateCameraMode = () => {
+      const { mode, target } = this.cameraRig;
+      const modeName = t(`cameraModes.${mode}`);
+      const body = target ? getBody(target.name) : null;
+      this.cameraControls.mode = body ? t('gui.camera.modeWithTarget', { mode: modeName, name: getBodyName(body.id) }) : modeName;
+      cameraModeUI.updateDisplay();
+    };
+    updateCameraMode();
+    this.guiCleanups.push(this.cameraRig.onModeChange(updateCameraMode));
+    
+    // 比例模式：切换时天体大小、距离和离心率平滑过渡
+    const scaleFolder = gui.addFolder(t('gui.scale.title'));
+    const scaleModeOptions = Object.fromEntries(Object.keys(SCALE_MODES).map((key) => [t(`scaleModes.${key}`), key]));
+    this.scaleModeUI = scaleFolder.add(this.sceneScale, 'mode', scaleModeOptions)
+      .name(t('gui.scale.mode'))
+      .onChange((value) => this.setScaleMode(value));
+    scaleFolder.add(this.sceneScale, 'transitionSeconds', 0, 5, 0.5)
+      .name(t('gui.scale.transitionSeconds'));
+    
+    // 轨迹：参考系切换后重新记录
+    const trailsFolder = gui.addFolder(t('gui.trails.title'));
+    const trailFrameOptions = Object.fromEntries(TRAIL_FRAMES.map((key) => [t(`trailFrames.${key}`), key]));
+    trailsFolder.add(this.trailSettings, 'frame', trailFrameOptions)
+      .name(t('gui.trails.frame'))
+      .onChange((value) => this.orbitTrails.setFrame(value));
+    trailsFolder.add(this.trailSettings, 'lengthDays', 1, 730, 1)
+      .name(t('gui.trails.lengthDays'))
+      .onChange((value) => this.orbitTrails.setLength(value));
+    trailsFolder.add(this.trailSettings, 'earth')
+      .name(t('gui.trails.earth'))
+      .onChange((value) => this.orbitTrails.setTrailEnabled('earth', value));
+    trailsFolder.add(this.trailSettings, 'moon')
+      .name(t('gui.trails.moon'))
+      .onChange((value) => this.orbitTrails.setTrailEnabled('moon', value));
+    trailsFolder.add(this.trailSettings, 'markers')
+      .name(t('gui.trails.markers'))
+      .onChange((value) => this.setMarkerTrailsEnabled(value));
+    trailsFolder.add({ clear: () => this.orbitTrails.clear() }, 'clear').name(t('gui.trails.clear'));
+    
+    // 开普勒第二定律演示
+    const keplerFolder = gui.addFolder(t('gui.kepler.title'));
+    this.keplerControls = {
+      showSweep: false,
+      sectorCount: 12,
+      sectorInfo: '',
+      angularSpeed: ''
+    };
+    const updateSectorInfo = () => {
+      this.keplerControls.sectorInfo = t('gui.kepler.sectorInfo', {
+        days: formatNumber(365.25 / this.keplerControls.sectorCount, 1)
+      });
+    };
+    updateSectorInfo();
+    
+    keplerFolder.add(this.keplerControls, 'showSweep')
+      .name(t('gui.kepler.showSweep'))
+      .onChange((value) => {
+        if (this.keplerSweepGroup) {
+          this.keplerSweepGroup.visible = value;
+        }
+      });
+    
+    keplerFolder.add(this.keplerControls, 'sectorCount', 4, 24, 1)
+      .name(t('gui.kepler.sectorCount'))
+      .onChange((value) => {
+        this.createKeplerSweep(value);
+        updateSectorInfo();
+        keplerSectorInfoUI.updateDisplay();
+      });
+    
+    const keplerSectorInfoUI = keplerFolder.add(this.keplerControls, 'sectorInfo').name(t('gui.kepler.info')).disable();
+    this.keplerAngularSpeedUI = keplerFolder.add(this.keplerControls, 'angularSpeed')
+      .name(t('gui.kepler.angularSpeedName'))
+      .disable();
+    
+    // 米兰科维奇循环：深时模式下拖动纪元，观察冬至点与近日点逐渐分离
+    const deepTimeFolder = gui.addFolder(t('gui.deepTime.title'));
+    const deepTimePresets = Object.fromEntries(Object.entries({
+      now: 0,
+      holoceneOptimum: -9000,
+      perihelionAtSolstice: -11000,
+      lastGlacialMaximum: -21000,
+      lastInterglacial: -125000
+    }).map(([key, years]) => [t(`gui.deepTime.presets.${key}`), years]));
+    const deepTimeControls = {
+      preset: 0,
+      reset: () => this.deepTimeEpochUI.setValue(0)
+    };
+    
+    deepTimeFolder.add(this.deepTimeSettings, 'enabled')
+      .name(t('gui.deepTime.enabled'))
+      .onChange((value) => this.setDeepTimeMode(value));
+    this.deepTimeEpochUI = deepTimeFolder.add(this.deepTimeSettings, 'epochYears', DEEP_TIME_RANGE_YEARS[0], DEEP_TIME_RANGE_YEARS[1], 100)
+      .name(t('gui.deepTime.epochYears'));
+    deepTimeFolder.add(deepTimeControls, 'preset', deepTimePresets)
+      .name(t('gui.deepTime.preset'))
+      .onChange((value) => this.deepTimeEpochUI.setValue(value));
+    deepTimeFolder.add(this.deepTimeSettings, 'playing').name(t('gui.deepTime.playing'));
+    deepTimeFolder.add(this.deepTimeSettings, 'yearsPerSecond', -20000, 20000, 100).name(t('gui.deepTime.yearsPerSecond'));
+    deepTimeFolder.add(deepTimeControls, 'reset').name(t('gui.deepTime.reset'));
+    
+    // 天体显示：按天体目录生成，每类天体一个子文件夹
+    const bodiesFolder = gui.addFolder(t('gui.bodies.title'));
+    this.bodyVisibilityControls = {};
+    ['star', 'planet', 'dwarf', 'moon'].forEach((type) => {
+      const typeBodies = bodies.filter((body) => body.type === type);
+      if (typeBodies.length === 0) return;
+      
+      const typeFolder = bodiesFolder.addFolder(t(`bodyTypes.${type}`));
+      typeBodies.forEach((body) => {
+        this.bodyVisibilityControls[body.id] = true;
+        typeFolder.add(this.bodyVisibilityControls, body.id)
+          .name(t('gui.bodies.show', { name: getBodyName(body.id) }))
+          .onChange((value) => {
+            this.setBodyVisible(body.id, value);
+          });
+      });
+      typeFolder.close();
+    });
+    
     // 添加信息面板
-    const infoFolder = gui.addFolder('天体信息');
+    const infoFolder = gui.addFolder(t('gui.info.title'));
     
     // 添加动态比例信息（会根据速度变化而更新）
     this.timeInfoControls = {
-      earthInfo: '地球: 1天自转, 365.25天公转',
-      moonInfo: '月球: 27.32天同步自转和公转',
-      speedRatio: `本模型中: 自转加快了${(this.speedControls.earthRotationSpeed / 0.2).toFixed(2)}倍`
+      simulationDate: '',
+      earthInfo: t('gui.info.earth'),
+      moonInfo: t('gui.info.moon'),
+      speedRatio: ''
     };
     
     // 使用disable: true的选项来创建只读文本
+    this.simulationDateUI = infoFolder.add(this.timeInfoControls, 'simulationDate').disable();
     const earthInfoUI = infoFolder.add(this.timeInfoControls, 'earthInfo').disable();
     const moonInfoUI = infoFolder.add(this.timeInfoControls, 'moonInfo').disable();
     this.speedRatioUI = infoFolder.add(this.timeInfoControls, 'speedRatio').disable();
     
+    // 信息面板中实时量的单位，面板每帧更新，修改后立即生效
+    const infoPanelFolder = gui.addFolder(t('gui.infoPanel.title'));
+    const unitOptions = (units) => Object.fromEntries(units.map((unit) => [t(`gui.infoPanel.units.${unit}`), unit]));
+    infoPanelFolder.add(this.infoPanelSettings, 'distanceUnit', unitOptions(Object.keys(DISTANCE_UNITS)))
+      .name(t('gui.infoPanel.distanceUnit'));
+    infoPanelFolder.add(this.infoPanelSettings, 'speedUnit', unitOptions(Object.keys(SPEED_UNITS)))
+      .name(t('gui.infoPanel.speedUnit'));
+    infoPanelFolder.add(this.infoPanelSettings, 'angleUnit', unitOptions(ANGLE_UNITS))
+      .name(t('gui.infoPanel.angleUnit'));
+    
     // 地理标记控制
-    const markersFolder = gui.addFolder('地理标记');
-    const markersControl = {
-      showBeijingMarker: true
+    const markersFolder = gui.addFolder(t('gui.markers.title'));
+    this.markersControl = {
+      picked: t('gui.markers.picked'),
+      name: t('gui.markers.newName'),
+      latitude: 0,
+      longitude: 0,
+      color: '#ff0000',
+      add: () => {
+        this.markerStore.add({
+          name: this.markersControl.name,
+          latitude: this.markersControl.latitude,
+          longitude: this.markersControl.longitude,
+          color: this.markersControl.color
+        });
+      },
+      importFile: () => fileInput.click(),
+      importResult: t('gui.markers.importHint'),
+      exportGeoJSON: () => {
+        const json = JSON.stringify(this.markerStore.toGeoJSON(), null, 2);
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/geo+json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'markers.geojson';
+        link.click();
+        URL.revokeObjectURL(url);
+      },
+      clear: () => {
+        if (window.confirm(t('gui.markers.confirmClear'))) this.markerStore.clear();
+      }
     };
     
-    markersFolder.add(markersControl, 'showBeijingMarker')
-      .name('显示北京标记')
+    markersFolder.add(this.markerSettings, 'visible')
+      .name(t('gui.markers.visible'))
       .onChange((value) => {
-        if (this.beijingMarker) {
-          this.beijingMarker.visible = value;
+        this.markerGroup.visible = value;
+      });
+    markersFolder.add(this.markerSettings, 'showLabels')
+      .name(t('gui.markers.showLabels'))
+      .onChange((value) => this.setGeoMarkerLabelsVisible(value));
+    markersFolder.add(this.markerSettings, 'addOnClick').name(t('gui.markers.addOnClick'));
+    const pickedControllers = [
+      markersFolder.add(this.markersControl, 'picked').name(t('gui.markers.pickedName')).disable()
+    ];
+    
+    const newMarkerFolder = markersFolder.addFolder(t('gui.markers.newFolder'));
+    newMarkerFolder.add(this.markersControl, 'name').name(t('gui.name'));
+    pickedControllers.push(
+      newMarkerFolder.add(this.markersControl, 'latitude', -90, 90, 0.01).name(t('gui.latitude')),
+      newMarkerFolder.add(this.markersControl, 'longitude', -180, 180, 0.01).name(t('gui.longitude'))
+    );
+    newMarkerFolder.addColor(this.markersControl, 'color').name(t('gui.color'));
+    newMarkerFolder.add(this.markersControl, 'add').name(t('gui.markers.add'));
+    newMarkerFolder.close();
+    
+    // 点击地球时显示经纬度，并填入新标记的坐标
+    this.onEarthLocationPicked = (location) => {
+      this.markersControl.picked = this.formatLatLon(location);
+      this.markersControl.latitude = Math.round(location.latitude * 100) / 100;
+      this.markersControl.longitude = Math.round(location.longitude * 100) / 100;
+      pickedControllers.forEach((controller) => controller.updateDisplay());
+    };
+    
+    // 导入：CSV（名称,纬度,经度[,颜色]，可带表头）或GeoJSON中的点
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.csv,.txt,.json,.geojson';
+    fileInput.style.display = 'none';
+    document.body.appendChild(fileInput);
+    this.guiCleanups.push(() => fileInput.remove());
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if (!file) return;
+      try {
+        const markers = parseMarkersFile(await file.text(), file.name);
+        this.markerStore.addAll(markers);
+        this.markersControl.importResult = t('gui.markers.imported', { file: file.name, count: markers.length });
+      } catch (error) {
+        console.warn('导入地理标记失败:', error);
+        this.markersControl.importResult = t('gui.readFailed', { file: file.name });
+      }
+      importResultUI.updateDisplay();
+    });
+    markersFolder.add(this.markersControl, 'importFile').name(t('gui.markers.importFile'));
+    const importResultUI = markersFolder.add(this.markersControl, 'importResult').name(t('gui.importResult')).disable();
+    markersFolder.add(this.markersControl, 'exportGeoJSON').name(t('gui.markers.exportGeoJSON'));
+    markersFolder.add(this.markersControl, 'clear').name(t('gui.markers.clear'));
+    
+    // 标记列表：每个标记一个子文件夹，可改名、移动、换色和删除
+    // 只在增删标记时重建，编辑中的控件不会被替换
+    const markerListFolder = markersFolder.addFolder(t('gui.markers.list'));
+    let listedIds = '';
+    const refreshMarkerList = () => {
+      const markers = this.markerStore.getMarkers();
+      const ids = markers.map((marker) => marker.id).join(',');
+      if (ids === listedIds) return;
+      listedIds = ids;
+      
+      [...markerListFolder.children].forEach((child) => child.destroy());
+      markers.forEach((marker) => {
+        const folder = markerListFolder.addFolder(marker.name);
+        const values = {
+          name: marker.name,
+          latitude: marker.latitude,
+          longitude: marker.longitude,
+          color: marker.color,
+          remove: () => this.markerStore.remove(marker.id)
+        };
+        folder.add(values, 'name').name(t('gui.name'))
+          .onFinishChange((name) => {
+            this.markerStore.update(marker.id, { name });
+            folder.title(name);
+          });
+        folder.add(values, 'latitude', -90, 90, 0.01).name(t('gui.latitude'))
+          .onFinishChange((latitude) => this.markerStore.update(marker.id, { latitude }));
+        folder.add(values, 'longitude', -180, 180, 0.01).name(t('gui.longitude'))
+          .onFinishChange((longitude) => this.markerStore.update(marker.id, { longitude }));
+        folder.addColor(values, 'color').name(t('gui.color'))
+          .onFinishChange((color) => this.markerStore.update(marker.id, { color }));
+        folder.add(values, 'remove').name(t('gui.markers.remove'));
+        folder.close();
+      });
+    };
+    this.guiCleanups.push(this.markerStore.onChange(refreshMarkerList));
+    refreshMarkerList();
+    
+    // 地理图层：内置图层各有开关和颜色，GeoJSON图层从本地文件导入
+    const overlaysFolder = gui.addFolder(t('gui.overlays.title'));
+    const overlayControls = {
+      showGraticule: false,
+      showTropics: false,
+      showPolarCircles: false,
+      showPrimeMeridian: false,
+      graticuleColor: GEO_OVERLAY_COLORS.graticule,
+      tropicsColor: GEO_OVERLAY_COLORS.tropics,
+      polarCirclesColor: GEO_OVERLAY_COLORS.polarCircles,
+      primeMeridianColor: GEO_OVERLAY_COLORS.primeMeridian,
+      importFile: () => overlayFileInput.click(),
+      importResult: t('gui.overlays.importHint')
+    };
+    
+    overlaysFolder.add(overlayControls, 'showGraticule')
+      .name(t('gui.overlays.showGraticule'))
+      .onChange((value) => this.geoOverlays.setLayerVisible('graticule', value));
+    
+    overlaysFolder.add(overlayControls, 'showTropics')
+      .name(t('gui.overlays.showTropics'))
+      .onChange((value) => this.geoOverlays.setLayerVisible('tropics', value));
+    
+    overlaysFolder.add(overlayControls, 'showPolarCircles')
+      .name(t('gui.overlays.showPolarCircles'))
+      .onChange((value) => this.geoOverlays.setLayerVisible('polarCircles', value));
+    
+    overlaysFolder.add(overlayControls, 'showPrimeMeridian')
+      .name(t('gui.overlays.showPrimeMeridian'))
+      .onChange((value) => this.geoOverlays.setLayerVisible('primeMeridian', value));
+    
+    overlaysFolder.addColor(overlayControls, 'graticuleColor')
+      .name(t('gui.overlays.graticuleColor'))
+      .onChange((value) => this.geoOverlays.setLayerColor('graticule', value));
+    
+    overlaysFolder.addColor(overlayControls, 'tropicsColor')
+      .name(t('gui.overlays.tropicsColor'))
+      .onChange((value) => this.geoOverlays.setLayerColor('tropics', value));
+    
+    overlaysFolder.addColor(overlayControls, 'polarCirclesColor')
+      .name(t('gui.overlays.polarCirclesColor'))
+      .onChange((value) => this.geoOverlays.setLayerColor('polarCircles', value));
+    
+    overlaysFolder.addColor(overlayControls, 'primeMeridianColor')
+      .name(t('gui.overlays.primeMeridianColor'))
+      .onChange((value) => this.geoOverlays.setLayerColor('primeMeridian', value));
+    
+    // 导入的GeoJSON图层（如国界线）：每个文件一个子文件夹，可单独开关、换色和移除
+    const addGeoJSONLayerFolder = (layerName, title) => {
+      const folder = overlaysFolder.addFolder(title);
+      const values = {
+        visible: true,
+        color: '#ffffff',
+        remove: () => {
+          this.geoOverlays.removeLayer(layerName);
+          this.geoJSONLayers = this.geoJSONLayers.filter((layer) => layer.name !== layerName);
+          folder.destroy();
         }
+      };
+      folder.add(values, 'visible')
+        .name(t('gui.overlays.visible'))
+        .onChange((value) => this.geoOverlays.setLayerVisible(layerName, value));
+      folder.addColor(values, 'color')
+        .name(t('gui.color'))
+        .onChange((value) => this.geoOverlays.setLayerColor(layerName, value));
+      folder.add(values, 'remove').name(t('gui.overlays.remove'));
+    };
+    this.geoJSONLayers.forEach(({ name, title }) => addGeoJSONLayerFolder(name, title));
+    
+    const overlayFileInput = document.createElement('input');
+    overlayFileInput.type = 'file';
+    overlayFileInput.accept = '.json,.geojson';
+    overlayFileInput.style.display = 'none';
+    document.body.appendChild(overlayFileInput);
+    this.guiCleanups.push(() => overlayFileInput.remove());
+    overlayFileInput.addEventListener('change', async () => {
+      const file = overlayFileInput.files[0];
+      overlayFileInput.value = '';
+      if (!file) return;
+      try {
+        const layerName = `geojson-${++this.geoJSONLayerCount}`;
+        const lineCount = this.geoOverlays.addGeoJSONLayer(layerName, JSON.parse(await file.text()));
+        this.geoJSONLayers.push({ name: layerName, title: file.name });
+        addGeoJSONLayerFolder(layerName, file.name);
+        overlayControls.importResult = t('gui.overlays.imported', { file: file.name, count: lineCount });
+      } catch (error) {
+        console.warn('导入GeoJSON图层失败:', error);
+        overlayControls.importResult = t('gui.readFailed', { file: file.name });
+      }
+      overlayImportResultUI.updateDisplay();
+    });
+    overlaysFolder.add(overlayControls, 'importFile').name(t('gui.overlays.importFile'));
+    const overlayImportResultUI = overlaysFolder.add(overlayControls, 'importResult').name(t('gui.importResult')).disable();
+    
+    // 星空：亮星星表与星座
+    const starfieldFolder = gui.addFolder(t('gui.starfield.title'));
+    const starfieldControls = {
+      showStars: true,
+      showConstellations: false,
+      showConstellationNames: false,
+      showStarNames: false,
+      constellationColor: '#3a5f8f'
+    };
+    
+    starfieldFolder.add(starfieldControls, 'showStars')
+      .name(t('gui.starfield.showStars'))
+      .onChange((value) => this.starfield.setVisible(value));
+    
+    starfieldFolder.add(starfieldControls, 'showConstellations')
+      .name(t('gui.starfield.showConstellations'))
+      .onChange((value) => this.starfield.setConstellationsVisible(value));
+    
+    starfieldFolder.add(starfieldControls, 'showConstellationNames')
+      .name(t('gui.starfield.showConstellationNames'))
+      .onChange((value) => this.starfield.setConstellationNamesVisible(value));
+    
+    starfieldFolder.add(starfieldControls, 'showStarNames')
+      .name(t('gui.starfield.showStarNames'))
+      .onChange((value) => this.starfield.setStarNamesVisible(value));
+    
+    starfieldFolder.addColor(starfieldControls, 'constellationColor')
+      .name(t('gui.starfield.constellationColor'))
+      .onChange((value) => this.starfield.setConstellationColor(value));
+    
+    // 天球坐标网：黄道坐标网的基圈为黄道，赤道坐标网的基圈为天赤道，两者交于春分点和秋分点
+    const skyGridControls = {
+      showEcliptic: false,
+      showEquatorial: false,
+      eclipticColor: SKY_GRID_COLORS.ecliptic,
+      equatorialColor: SKY_GRID_COLORS.equatorial
+    };
+    
+    starfieldFolder.add(skyGridControls, 'showEcliptic')
+      .name(t('gui.starfield.showEcliptic'))
+      .onChange((value) => this.skyGrids.setEclipticVisible(value));
+    
+    starfieldFolder.add(skyGridControls, 'showEquatorial')
+      .name(t('gui.starfield.showEquatorial'))
+      .onChange((value) => this.skyGrids.setEquatorialVisible(value));
+    
+    starfieldFolder.addColor(skyGridControls, 'eclipticColor')
+      .name(t('gui.starfield.eclipticColor'))
+      .onChange((value) => this.skyGrids.setEclipticColor(value));
+    
+    starfieldFolder.addColor(skyGridControls, 'equatorialColor')
+      .name(t('gui.starfield.equatorialColor'))
+      .onChange((value) => this.skyGrids.setEquatorialColor(value));
+    
+    // 名称标签：大小固定，互相重叠时优先显示重要的天体和近处的标签
+    const labelsFolder = gui.addFolder(t('gui.labels.title'));
+    const labelControls = {
+      showBodyNames: true,
+      showOrbitMarkerNames: true,
+      declutter: this.labelLayer.declutter,
+      fade: this.labelLayer.fade
+    };
+    
+    labelsFolder.add(labelControls, 'showBodyNames')
+      .name(t('gui.labels.showBodyNames'))
+      .onChange((value) => this.labelLayer.setGroupVisible('body', value));
+    
+    labelsFolder.add(labelControls, 'showOrbitMarkerNames')
+      .name(t('gui.labels.showOrbitMarkerNames'))
+      .onChange((value) => this.labelLayer.setGroupVisible('orbit', value));
+    
+    labelsFolder.add(labelControls, 'declutter')
+      .name(t('gui.labels.declutter'))
+      .onChange((value) => {
+        this.labelLayer.declutter = value;
+      });
+    
+    labelsFolder.add(labelControls, 'fade')
+      .name(t('gui.labels.fade'))
+      .onChange((value) => {
+        this.labelLayer.fade = value;
+      });
+    
+    // 日食与月食
+    const eclipseFolder = gui.addFolder(t('gui.eclipses.title'));
+    const eclipseControls = {
+      showCones: false,
+      selected: 0,
+      info: '',
+      jumpToSelected: () => this.jumpToEclipse(this.eclipseList[eclipseControls.selected]),
+      nextSolar: () => this.jumpToEclipse(findNextEclipse(this.simulationDate, 1, 'solar')),
+      previousSolar: () => this.jumpToEclipse(findNextEclipse(this.simulationDate, -1, 'solar')),
+      nextLunar: () => this.jumpToEclipse(findNextEclipse(this.simulationDate, 1, 'lunar')),
+      previousLunar: () => this.jumpToEclipse(findNextEclipse(this.simulationDate, -1, 'lunar')),
+      refresh: () => refreshEclipseList(this.simulationDate)
+    };
+    
+    eclipseFolder.add(eclipseControls, 'showCones')
+      .name(t('gui.eclipses.showCones'))
+      .onChange((value) => this.shadowCones.setVisible(value));
+    eclipseFolder.add(eclipseControls, 'previousSolar').name(t('gui.eclipses.previousSolar'));
+    eclipseFolder.add(eclipseControls, 'nextSolar').name(t('gui.eclipses.nextSolar'));
+    eclipseFolder.add(eclipseControls, 'previousLunar').name(t('gui.eclipses.previousLunar'));
+    eclipseFolder.add(eclipseControls, 'nextLunar').name(t('gui.eclipses.nextLunar'));
+    
+    // 食的列表：以当前模拟日期为中心的前后3年
+    let eclipseListUI = null;
+    const eclipseInfoUI = eclipseFolder.add(eclipseControls, 'info').name(t('gui.eclipses.info')).disable();
+    const updateEclipseInfo = () => {
+      const eclipse = this.eclipseList[eclipseControls.selected];
+      if (!eclipse) {
+        eclipseControls.info = '';
+      } else if (eclipse.kind === 'lunar' && eclipse.duration) {
+        eclipseControls.info = t('gui.eclipses.infoUmbral', {
+          magnitude: formatNumber(eclipse.magnitude, 3),
+          duration: Math.round(eclipse.duration)
+        });
+      } else if (eclipse.magnitude !== null) {
+        eclipseControls.info = t('gui.eclipses.infoMagnitude', { magnitude: formatNumber(eclipse.magnitude, 3) });
+      } else {
+        eclipseControls.info = t('gui.eclipses.infoCentral', { gamma: formatNumber(eclipse.gamma, 3) });
+      }
+      eclipseInfoUI.updateDisplay();
+    };
+    const refreshEclipseList = (center) => {
+      // 重建GUI时沿用上次的中心日期
+      this.eclipseListCenter = center;
+      const range = 3 * 365.25 * 86400000;
+      const now = center.getTime();
+      this.eclipseList = findEclipses(new Date(now - range), new Date(now + range));
+      
+      const options = {};
+      this.eclipseList.forEach((eclipse, index) => {
+        options[this.formatEclipse(eclipse)] = index;
+      });
+      // 默认选中当前日期之后的第一次
+      const upcoming = this.eclipseList.findIndex((eclipse) => eclipse.date.getTime() >= now);
+      eclipseControls.selected = Math.max(upcoming, 0);
+      
+      if (eclipseListUI) eclipseListUI.destroy();
+      eclipseListUI = eclipseFolder.add(eclipseControls, 'selected', options)
+        .name(t('gui.eclipses.list'))
+        .onChange(updateEclipseInfo);
+      // lil-gui新增的控件总排在末尾，把列表移回详情的前面
+      eclipseListUI.domElement.parentElement.insertBefore(eclipseListUI.domElement, eclipseInfoUI.domElement);
+      updateEclipseInfo();
+    };
+    refreshEclipseList(this.eclipseListCenter || this.simulationDate);
+    eclipseFolder.add(eclipseControls, 'jumpToSelected').name(t('gui.eclipses.jumpToSelected'));
+    eclipseFolder.add(eclipseControls, 'refresh').name(t('gui.eclipses.refresh'));
+    
+    // 日照分析
+    const insolationFolder = gui.addFolder(t('gui.insolation.title'));
+    const insolationControls = {
+      useObserverLatitude: () => latitudeUI.setValue(this.observerSettings.latitude)
+    };
+    insolationFolder.add(this.insolationSettings, 'showPanel')
+      .name(t('gui.insolation.showPanel'))
+      .onChange((value) => this.insolationPanel.setVisible(value));
+    const latitudeUI = insolationFolder.add(this.insolationSettings, 'latitude', -90, 90, 0.1).name(t('gui.insolation.latitude'));
+    insolationFolder.add(insolationControls, 'useObserverLatitude').name(t('gui.insolation.useObserverLatitude'));
+    insolationFolder.add(this.insolationSettings, 'showOverlay')
+      .name(t('gui.insolation.showOverlay'))
+      .onChange((value) => this.insolationPanel.setLegendVisible(value));
+    insolationFolder.add(this.insolationSettings, 'overlayOpacity', 0.1, 1, 0.05).name(t('gui.insolation.overlayOpacity'));
+    
+    // 地面观测
+    const observerFolder = gui.addFolder(t('gui.observer.title'));
+    this.observerFolder = observerFolder;
+    this.observerModeUI = observerFolder.add(this.observerSettings, 'enabled')
+      .name(t('gui.observer.enabled'))
+      .onChange((value) => this.setObserverMode(value));
+    
+    const observerLocation = {
+      preset: 'beijing',
+      showMarker: true
+    };
+    const locationPresets = {
+      beijing: [39.9, 116.3],
+      shanghai: [31.2, 121.5],
+      london: [51.5, -0.1],
+      newYork: [40.7, -74.0],
+      sydney: [-33.9, 151.2],
+      equator: [0, 0],
+      arcticCircle: [66.6, 25.7],
+      southPole: [-90, 0]
+    };
+    const locationOptions = Object.fromEntries(Object.keys(locationPresets).map((key) => [
+      t(`gui.observer.presets.${key}`),
+      key
+    ]));
+    observerFolder.add(observerLocation, 'preset', locationOptions)
+      .name(t('gui.observer.preset'))
+      .onChange((key) => this.setObserverLocation(...locationPresets[key]));
+    this.observerControllers = [
+      observerFolder.add(this.observerSettings, 'latitude', -90, 90, 0.1)
+        .name(t('gui.latitude'))
+        .onChange((value) => this.setObserverLocation(value, this.observerSettings.longitude)),
+      observerFolder.add(this.observerSettings, 'longitude', -180, 180, 0.1)
+        .name(t('gui.longitude'))
+        .onChange((value) => this.setObserverLocation(this.observerSettings.latitude, value))
+    ];
+    observerFolder.add(observerLocation, 'showMarker')
+      .name(t('gui.observer.showMarker'))
+      .onChange((value) => {
+        this.observerMarker.visible = value;
       });
     
+    this.observerInfoControls = {
+      sun: '',
+      moon: '',
+      sunRiseSet: '',
+      moonRiseSet: '',
+      dayLength: '',
+      timeZone: ''
+    };
+    this.observerInfoUI = Object.keys(this.observerInfoControls).map((key) =>
+      observerFolder.add(this.observerInfoControls, key).name(t(`gui.observer.${key}`)).disable()
+    );
+    // 默认收起：收起时不计算读数和升落时刻
+    observerFolder.close();
+    
+    // 导出：任意分辨率的截图和延时录制
+    const exportFolder = gui.addFolder(t('gui.export.title'));
+    const exportResolutions = {
+      '1280 × 720': [1280, 720],
+      '1920 × 1080': [1920, 1080],
+      '2560 × 1440': [2560, 1440],
+      '3840 × 2160': [3840, 2160],
+      '7680 × 4320': [7680, 4320]
+    };
+    // 宽高与某个预设相同时下拉列表显示该预设，否则为空
+    const matchResolution = () => Object.keys(exportResolutions).find((label) =>
+      exportResolutions[label][0] === this.exportSettings.width && exportResolutions[label][1] === this.exportSettings.height) || '';
+    const exportControls = {
+      resolution: matchResolution(),
+      screenshot: () => this.takeScreenshot(),
+      record: () => this.recordTimeLapse(),
+      stop: () => {
+        if (this.recording) this.recording.stopped = true;
+      },
+      status: t('gui.export.hint')
+    };
+    const resolutionOptions = Object.fromEntries(Object.keys(exportResolutions).map((label) => [label, label]));
+    resolutionOptions[t('gui.export.windowSize')] = 'window';
+    const resolutionUI = exportFolder.add(exportControls, 'resolution', resolutionOptions)
+      .name(t('gui.export.resolution'))
+      .onChange((key) => {
+        const [width, height] = key === 'window'
+          ? this.renderer.getDrawingBufferSize(new THREE.Vector2()).toArray()
+          : exportResolutions[key];
+        this.exportSettings.width = width;
+        this.exportSettings.height = height;
+        exportWidthUI.updateDisplay();
+        exportHeightUI.updateDisplay();
+      });
+    const updateResolution = () => {
+      exportControls.resolution = matchResolution();
+      resolutionUI.updateDisplay();
+    };
+    const exportWidthUI = exportFolder.add(this.exportSettings, 'width', 16, 8192, 1)
+      .name(t('gui.export.width'))
+      .onChange(updateResolution);
+    const exportHeightUI = exportFolder.add(this.exportSettings, 'height', 16, 8192, 1)
+      .name(t('gui.export.height'))
+      .onChange(updateResolution);
+    exportFolder.add(this.exportSettings, 'transparent').name(t('gui.export.transparent'));
+    exportFolder.add(this.exportSettings, 'labels').name(t('gui.export.labels'));
+    exportFolder.add(exportControls, 'screenshot').name(t('gui.export.screenshot'));
+    exportFolder.add(this.exportSettings, 'format', {
+      [t('gui.export.formats.webm')]: 'webm',
+      [t('gui.export.formats.png')]: 'png'
+    }).name(t('gui.export.format'));
+    exportFolder.add(this.exportSettings, 'fps', [24, 25, 30, 60]).name(t('gui.export.fps'));
+    exportFolder.add(this.exportSettings, 'duration', 1, 120, 1).name(t('gui.export.duration'));
+    exportFolder.add(exportControls, 'record').name(t('gui.export.record'));
+    exportFolder.add(exportControls, 'stop').name(t('gui.export.stop'));
+    this.exportStatusControls = exportControls;
+    this.exportStatusUI = exportFolder.add(exportControls, 'status').name(t('gui.export.status')).disable();
+    exportFolder.close();
+    
+    // 切换语言重建GUI并恢复控件的值之后，重新生成由这些值决定的文字
+    this.updateGUIDisplays = () => {
+      updateSectorInfo();
+      keplerSectorInfoUI.updateDisplay();
+      updateEclipseInfo();
+    };
+    
     // 默认展开GUI
     gui.open();
   }
   
+  // 按GUI对象分组找出可以保存的控件，按钮和只读的显示项除外
+  getGUIControllers(sections) {
+    const controllers = this.gui.controllersRecursive();
+    return Object.fromEntries(Object.entries(sections).map(([key, object]) => [
+      key,
+      controllers.filter((controller) => controller.object === object && !controller._disabled &&
+        typeof controller.getValue() !== 'function')
+    ]));
+  }
+  
+  // 各组控件的值 { 分组: { 键: 值 } }；useInitial为true时取createGUI()中设定的默认值
+  getControllerValues(controllerGroups, useInitial = false) {
+    return Object.fromEntries(Object.entries(controllerGroups).map(([key, controllers]) => [
+      key,
+      Object.fromEntries(controllers.map((controller) => [
+        controller.property,
+        useInitial ? controller.initialValue : controller.getValue()
+      ]))
+    ]));
+  }
+  
+  // setValue()会触发控件的onChange，与在GUI中修改的效果相同；没有给出或类型不符的项恢复为默认值
+  setControllerValues(controllerGroups, values) {
+    Object.entries(controllerGroups).forEach(([key, controllers]) => {
+      const groupValues = values[key] || {};
+      controllers.forEach((controller) => {
+        const value = groupValues[controller.property];
+        const target = typeof value === typeof controller.initialValue ? value : controller.initialValue;
+        if (target !== controller.getValue()) controller.setValue(target);
+      });
+    });
+  }
+  
+  // 设置保存：速度、轨道显示和地理标记的设置每次修改后保存到localStorage，重新打开页面时恢复；
+  // 也可以保存为命名预设，预设能导入、导出为JSON文件（见settingsStore.js）
+  createSettings() {
+    this.collectSettingsControllers();
+    this.settingsStore = new SettingsStore();
+    const saved = this.settingsStore.getCurrent();
+    if (saved) this.applySettings(saved);
+    
+    // 从链接还原视图时不保存，打开别人的链接不会改变自己的设置
+    const saveSettings = () => {
+      if (!this.applyingPermalink) this.settingsStore.saveCurrent(this.getControllerValues(this.settingsControllers));
+    };
+    this.guiFinishChangeListeners.push(saveSettings);
+    this.simClock.onChange(saveSettings);
+    
+    this.createSettingsGUI();
+  }
+  
+  // 重建GUI后控件对象都换了新的，需要重新收集
+  collectSettingsControllers() {
+    this.settingsControllers = this.getGUIControllers({
+      speed: this.speedControls,
+      orbit: this.orbitVisualsControls,
+      markers: this.markersControl,
+      markerDisplay: this.markerSettings,
+      infoPanel: this.infoPanelSettings,
+      export: this.exportSettings
+    });
+  }
+  
+  applySettings(settings) {
+    this.setControllerValues(this.settingsControllers, settings);
+  }
+  
+  createSettingsGUI() {
+    const settingsFolder = this.gui.addFolder(t('gui.settings.title'));
+    const settingsControls = {
+      preset: this.settingsStore.getPresetNames()[0],
+      apply: () => {
+        const preset = this.settingsStore.getPreset(settingsControls.preset);
+        if (preset) this.applySettings(preset);
+      },
+      presetName: t('gui.settings.defaultPresetName'),
+      save: () => {
+        const name = settingsControls.presetName.trim();
+        if (!name) return;
+        // 内置预设在下拉列表中显示翻译后的名称，用户预设也不能与之重名
+        const isBuiltinName = Object.keys(BUILTIN_PRESETS).some((id) => t(`presets.${id}`) === name);
+        if (!isBuiltinName && this.settingsStore.savePreset(name, this.getControllerValues(this.settingsControllers))) {
+          settingsControls.preset = name;
+          refreshPresetList();
+          showResult(t('gui.settings.saved', { name }));
+        } else {
+          showResult(t('gui.settings.builtinName', { name }));
+        }
+      },
+      remove: () => {
+        const name = settingsControls.preset;
+        if (this.settingsStore.isBuiltinPreset(name)) {
+          showResult(t('gui.settings.cannotRemoveBuiltin'));
+          return;
+        }
+        this.settingsStore.removePreset(name);
+        settingsControls.preset = this.settingsStore.getPresetNames()[0];
+        refreshPresetList();
+        showResult(t('gui.settings.removed', { name }));
+      },
+      importFile: () => fileInput.click(),
+      exportFile: () => {
+        const json = JSON.stringify(this.settingsStore.exportPresets(), null, 2);
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'solar-system-presets.json';
+        link.click();
+        URL.revokeObjectURL(url);
+      },
+      result: t('gui.settings.hint'),
+      restoreDefaults: () => this.applySettings({})
+    };
+    
+    // 预设列表在保存、删除和导入后重建；内置预设显示翻译后的名称，用户预设显示保存时的名称
+    let presetUI = null;
+    const refreshPresetList = () => {
+      const options = Object.fromEntries(this.settingsStore.getPresetNames().map((name) => [
+        this.settingsStore.isBuiltinPreset(name) ? t(`presets.${name}`) : name,
+        name
+      ]));
+      presetUI = presetUI ? presetUI.options(options) : settingsFolder.add(settingsControls, 'preset', options);
+      presetUI.name(t('gui.settings.preset'));
+    };
+    refreshPresetList();
+    settingsFolder.add(settingsControls, 'apply').name(t('gui.settings.apply'));
+    settingsFolder.add(settingsControls, 'remove').name(t('gui.settings.remove'));
+    settingsFolder.add(settingsControls, 'presetName').name(t('gui.settings.presetName'));
+    settingsFolder.add(settingsControls, 'save').name(t('gui.settings.save'));
+    settingsFolder.add(settingsControls, 'importFile').name(t('gui.settings.importFile'));
+    settingsFolder.add(settingsControls, 'exportFile').name(t('gui.settings.exportFile'));
+    settingsFolder.add(settingsControls, 'restoreDefaults').name(t('gui.settings.restoreDefaults'));
+    const resultUI = settingsFolder.add(settingsControls, 'result').name(t('gui.settings.result')).disable();
+    const showResult = (text) => {
+      settingsControls.result = text;
+      resultUI.updateDisplay();
+    };
+    
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json';
+    fileInput.style.display = 'none';
+    document.body.appendChild(fileInput);
+    this.guiCleanups.push(() => fileInput.remove());
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if (!file) return;
+      try {
+        const names = this.settingsStore.importPresets(await file.text());
+        refreshPresetList();
+        showResult(t('gui.settings.imported', { file: file.name, count: names.length }));
+      } catch (error) {
+        console.warn('导入预设失败:', error);
+        showResult(t('gui.readFailed', { file: file.name }));
+      }
+    });
+  }
+  
+  // 永久链接：视图状态写在地址栏的#之后（见permalink.js），打开链接或前进、后退时还原
+  // GUI、选中天体和时钟的改动新增一条浏览历史；时间流逝和摄像机移动只替换当前的链接
+  createPermalink() {
+    this.collectPermalinkControllers();
+    this.permalinkUpdatedAt = -Infinity;
+    this.permalinkPush = false;
+    
+    this.restorePermalink();
+    window.addEventListener('popstate', () => this.restorePermalink());
+    
+    const requestPush = () => {
+      if (!this.applyingPermalink) this.permalinkPush = true;
+    };
+    this.guiFinishChangeListeners.push(requestPush);
+    this.cameraRig.onModeChange(requestPush);
+    this.simClock.onChange(requestPush);
+  }
+  
+  // 写进链接的GUI对象及其前缀；链接中只写与createGUI()中的默认值不同的项
+  collectPermalinkControllers() {
+    this.permalinkControllers = this.getGUIControllers({
+      o: this.orbitVisualsControls,
+      m: this.markersControl,
+      ms: this.markerSettings
+    });
+    this.permalinkDefaults = this.getControllerValues(this.permalinkControllers, true);
+  }
+  
+  // 切换界面语言：页面、标签和各面板的文字就地更新；GUI的名称和下拉选项只能在创建时设定，
+  // 因此销毁后按新语言重建，再恢复各文件夹的展开状态和控件的值
+  setLanguage(locale) {
+    setLocale(locale);
+    translateDocument();
+    this.labelLayer.refreshTexts();
+    this.observerView.updateDirectionLabels();
+    this.moonPhasePanel.updateTexts();
+    this.lunarCalendar.updateTexts();
+    this.milankovitchPanel.updateTexts();
+    this.insolationPanel.updateTexts();
+    this.helpOverlay.updateTexts();
+    
+    const state = this.captureGUIState();
+    this.guiCleanups.forEach((cleanup) => cleanup());
+    this.guiCleanups = [];
+    this.gui.destroy();
+    this.createGUI();
+    this.createSettingsGUI();
+    this.restoreGUIState(state);
+    this.updateGUIDisplays();
+    this.collectSettingsControllers();
+    this.collectPermalinkControllers();
+  }
+  
+  // 各文件夹（按创建顺序）的展开状态和控件的值；同一文件夹中的控件按属性名和出现次序对应
+  captureGUIState() {
+    return [this.gui, ...this.gui.foldersRecursive()].map((folder) => {
+      const occurrences = {};
+      const controllers = {};
+      folder.controllers.forEach((controller) => {
+        const index = occurrences[controller.property] = (occurrences[controller.property] || 0) + 1;
+        controllers[`${controller.property}#${index}`] = {
+          object: controller.object,
+          value: controller.getValue(),
+          initialValue: controller.initialValue
+        };
+      });
+      return { closed: folder._closed, controllers };
+    });
+  }
+  
+  // 控件对象在重建前后相同时（如observerSettings）值本来就一致，只需沿用原来的默认值；
+  // 在createGUI()中新建的控件对象取回改动过的值。直接赋值而不调用setValue()，场景的状态本来就没有变
+  restoreGUIState(state) {
+    [this.gui, ...this.gui.foldersRecursive()].forEach((folder, folderIndex) => {
+      const folderState = state[folderIndex];
+      if (!folderState) return;
+      folder.open(!folderState.closed);
+      const occurrences = {};
+      folder.controllers.forEach((controller) => {
+        const index = occurrences[controller.property] = (occurrences[controller.property] || 0) + 1;
+        const old = folderState.controllers[`${controller.property}#${index}`];
+        if (!old || typeof old.value === 'function') return;
+        if (old.object === controller.object) {
+          controller.initialValue = old.initialValue;
+        } else if (!controller._disabled && old.value !== old.initialValue) {
+          controller.object[controller.property] = old.value;
+          controller.updateDisplay();
+        }
+      });
+    });
+  }
+  
+  // 跟随天体时摄像机位置记为相对天体的位置，天体移动后打开链接仍能看到同样的画面
+  getPermalinkState() {
+    const { mode, target } = this.cameraRig;
+    const following = mode !== 'free' && target !== null;
+    return {
+      date: this.simClock.getDate(),
+      rate: this.simClock.rate,
+      paused: this.simClock.paused,
+      reversed: this.simClock.reversed,
+      scale: this.sceneScale.mode,
+      body: this.selectedBodyId,
+      mode: following ? mode : 'free',
+      camera: following ? this.camera.position.clone().sub(this.controls.target) : this.camera.position,
+      target: following ? null : this.controls.target,
+      values: this.getControllerValues(this.permalinkControllers)
+    };
+  }
+  
+  restorePermalink() {
+    const state = decodePermalink(window.location.hash, this.permalinkDefaults);
+    if (!state) return;
+    
+    // 还原过程中触发的回调不产生新的浏览历史
+    this.applyingPermalink = true;
+    if (state.date) this.simClock.jumpTo(state.date);
+    if (state.rate !== undefined) this.simClock.setRate(state.rate);
+    this.simClock.setPaused(state.paused);
+    this.simClock.setReversed(state.reversed);
+    
+    this.setControllerValues(this.permalinkControllers, state.values);
+    
+    if (state.scale && SCALE_MODES[state.scale] && state.scale !== this.sceneScale.mode) {
+      this.setScaleMode(state.scale, false);
+    }
+    
+    const bodyObject = state.body ? this.bodyObjects.get(state.body) : null;
+    if (bodyObject) {
+      this.selectedBodyId = state.body;
+      this.updateInfoPanel(state.body);
+    }
+    if (bodyObject && state.mode && state.mode !== 'free' && state.camera) {
+      this.cameraRig.jumpToTarget(state.mode, bodyObject.mesh, this.getBodyRadius(state.body),
+        new THREE.Vector3().copy(state.camera));
+    } else if (state.camera && state.target) {
+      this.cameraRig.jumpToFree(new THREE.Vector3().copy(state.camera), new THREE.Vector3().copy(state.target));
+    }
+    this.controls.update();
+    
+    this.applyingPermalink = false;
+    this.permalinkPush = false;
+  }
+  
+  // 按节流把当前状态写入地址栏
+  updatePermalink() {
+    if (!this.permalinkDefaults || this.elapsedTime - this.permalinkUpdatedAt < PERMALINK_INTERVAL) return;
+    this.permalinkUpdatedAt = this.elapsedTime;
+    
+    const hash = encodePermalink(this.getPermalinkState(), this.permalinkDefaults);
+    if (hash !== window.location.hash) {
+      if (this.permalinkPush) {
+        window.history.pushState(null, '', hash);
+      } else {
+        window.history.replaceState(null, '', hash);
+      }
+    }
+    this.permalinkPush = false;
+  }
+  
+  // 目标日期输入框中的日期：UTC，精确到分钟，格式与parseUTCDate()一致
+  formatSimulationDate() {
+    return this.simulationDate.toISOString().slice(0, 16).replace('T', ' ') + ' UTC';
+  }
+  
   hideLoading() {
     gsap.to(this.loadingScreen, {
       opacity: 0,
@@ -1066,53 +3346,182 @@ class SolarSystemApp {
     });
   }
   
+  showExportStatus(text) {
+    if (!this.exportStatusUI) return;
+    this.exportStatusControls.status = text;
+    this.exportStatusUI.updateDisplay();
+  }
+  
+  // 导出文件名中带上模拟时刻（UTC），如solar-system-2024-03-20T03-06Z
+  getExportFileName() {
+    return `solar-system-${this.simulationDate.toISOString().slice(0, 16).replace(/:/g, '-')}Z`;
+  }
+  
+  // 把当前画面渲染到离屏画布：地面观测时渲染观测视角；透明背景时隐藏星空和天球坐标网，只留下天体和辅助线；
+  // 名称标签按输出尺寸重新排布后画在画面上，随星空隐藏的恒星和星座名称也不画
+  renderExportFrame() {
+    if (this.observerSettings.enabled) {
+      return this.frameExporter.render(this.observerView.scene, this.observerView.camera);
+    }
+    const { transparent } = this.exportSettings;
+    const starsVisible = this.starfield.group.visible;
+    const gridsVisible = this.skyGrids.group.visible;
+    if (transparent) {
+      this.starfield.group.visible = false;
+      this.skyGrids.group.visible = false;
+    }
+    const drawLabels = this.exportSettings.labels
+      ? (context, camera) => this.labelLayer.drawToCanvas(context, camera)
+      : null;
+    const canvas = this.frameExporter.render(this.scene, this.camera, transparent, drawLabels);
+    this.starfield.group.visible = starsVisible;
+    this.skyGrids.group.visible = gridsVisible;
+    return canvas;
+  }
+  
+  async takeScreenshot() {
+    if (this.recording) {
+      this.showExportStatus(t('gui.export.busy'));
+      return;
+    }
+    const { width, height } = this.frameExporter.setSize(this.exportSettings.width, this.exportSettings.height);
+    try {
+      const blob = await canvasToBlob(this.renderExportFrame());
+      downloadBlob(blob, `${this.getExportFileName()}.png`);
+      this.showExportStatus(t('gui.export.screenshotSaved', { width, height }));
+    } catch (error) {
+      console.error('截图失败:', error);
+      this.showExportStatus(t('gui.export.failed'));
+    }
+  }
+  
+  // 延时录制：暂停按真实时间推进的动画循环，每帧固定推进1/fps秒（模拟时间为时钟速率的1/fps），
+  // 摄像机飞行等动画同样按固定步长推进，同样的设置总是录出同样的画面。停止录制时保存已录下的帧
+  async recordTimeLapse() {
+    if (this.recording) return;
+    const { format, fps, duration } = this.exportSettings;
+    const frameCount = Math.max(1, Math.round(fps * duration));
+    const { width, height } = this.frameExporter.setSize(this.exportSettings.width, this.exportSettings.height);
+    const fileName = this.getExportFileName();
+    
+    if (format === 'png') {
+      const maxFrames = PNGSequenceRecorder.getMaxFrames(width, height);
+      if (frameCount > maxFrames) {
+        this.showExportStatus(t('gui.export.tooManyFrames', { frames: frameCount, max: maxFrames }));
+        return;
+      }
+    }
+    
+    let recorder;
+    try {
+      recorder = format === 'webm'
+        ? new WebMRecorder(this.frameExporter.canvas, fps)
+        : new PNGSequenceRecorder(this.frameExporter.canvas, frameCount);
+    } catch (error) {
+      console.error('无法开始录制:', error);
+      this.showExportStatus(t('gui.export.unsupported'));
+      return;
+    }
+    
+    this.recording = { stopped: false };
+    let recordedFrames = 0;
+    try {
+      while (recordedFrames < frameCount && !this.recording.stopped && !recorder.full) {
+        this.renderFrame(1 / fps);
+        this.renderExportFrame();
+        await recorder.addFrame();
+        recordedFrames++;
+        this.showExportStatus(t('gui.export.recording', { frame: recordedFrames, total: frameCount }));
+      }
+      this.showExportStatus(t('gui.export.encoding'));
+      downloadBlob(await recorder.finish(), `${fileName}.${recorder.extension}`);
+      this.showExportStatus(t(recorder.full && recordedFrames < frameCount ? 'gui.export.memoryLimit' : 'gui.export.recorded', {
+        frames: recordedFrames,
+        width,
+        height
+      }));
+    } catch (error) {
+      console.error('录制失败:', error);
+      this.showExportStatus(t('gui.export.failed'));
+    } finally {
+      this.recording = null;
+      // 丢弃录制期间经过的真实时间，动画从录制结束时的状态继续
+      this.clock.getDelta();
+    }
+  }
+  
   animate() {
-    this.elapsedTime = this.clock.getElapsedTime();
+    // 延时录制时由recordTimeLapse()按固定步长推进
+    if (!this.recording) {
+      this.renderFrame(this.clock.getDelta());
+    }
+    
+    // 请求下一帧
+    window.requestAnimationFrame(this.animate.bind(this));
+  }
+  
+  // 推进一帧并渲染到屏幕，delta为这一帧经过的真实秒数
+  renderFrame(delta) {
+    this.elapsedTime += delta;
+    
+    // 推进模拟时钟，所有天体都根据它给出的日期计算位置
+    this.simClock.tick(delta);
+    this.simulationDate = this.simClock.getDate();
+    this.ephemeris = getEphemeris(this.simulationDate);
+    
+    // 深时模式下按纪元更新地球轨道参数
+    this.updateDeepTime(delta);
+    
+    // 比例模式的过渡动画
+    if (this.sceneScale.update(delta)) {
+      this.applySceneScale();
+    }
+    
+    // 星空和天球坐标网位于无穷远处，随摄像机平移
+    this.starfield.update(this.camera);
+    this.skyGrids.update(this.camera);
+    
+    // 距J2000的天数，用于计算各天体的自转相位
+    const daysSinceJ2000 = this.ephemeris.julianDay - 2451545.0;
+    
+    // 行星、矮行星及其卫星
+    this.updateCatalogBodies(julianCenturies(this.simulationDate), daysSinceJ2000);
     
     if (this.sun) {
-      // 更新太阳自转 - 基于地球自转速度进行缩放
-      const baseSunRotation = 0.05;
-      const earthRotationRatio = this.speedControls ? (this.speedControls.earthRotationSpeed / 73.05) : 1;
-      this.sun.rotation.y = this.elapsedTime * baseSunRotation * earthRotationRatio;
+      this.sun.rotation.y = getRotationAngle(getBody('sun'), daysSinceJ2000);
     }
     
     if (this.earth && this.clouds && this.earthGroup) {
-      // 使用GUI中设置的地球自转速度
-      const earthRotationSpeed = this.speedControls ? this.speedControls.earthRotationSpeed : 73.05;
+      // 平近点角随时间均匀增加，在示意轨道上解开普勒方程得到真近点角，
+      // 这样地球在近日点附近运动更快，满足开普勒第二定律
+      const realEarth = this.ephemeris.earth;
+      // 平黄经只取决于日期，减去当前轨道参数的近日点黄经得到平近点角
+      const meanAnomaly = normalizeAngle(realEarth.meanAnomaly + realEarth.longitudeOfPerihelion -
+        this.earthOrbitState.perihelionLongitude);
+      const angle = meanToTrueAnomaly(meanAnomaly, this.earthOrbitParams.eccentricity);
+      this.earthMeanAnomaly = meanAnomaly;
+      this.earthTrueAnomaly = angle;
       
-      // 计算地球公转速度 - 从自转速度反推
-      // 真实情况下，地球自转速度是公转速度的365.25倍
-      const earthOrbitSpeed = earthRotationSpeed / 365.25;
+      this.earthGroup.position.copy(this.calcOrbitPoint(angle));
       
-      // 更新地球自转
-      this.earth.rotation.y = this.elapsedTime * earthRotationSpeed;
-      this.clouds.rotation.y = this.elapsedTime * (earthRotationSpeed * 0.9); // 云层略慢于地球自转
-      
-      // 计算椭圆轨道位置
-      const angle = this.elapsedTime * earthOrbitSpeed;
-      
-      // 地球轨道的半长轴和离心率
-      const earthOrbitRadius = 20;
-      const earthOrbitEccentricity = 0.25;
-      
-      // 根据开普勒第二定律，计算椭圆轨道上的位置
-      const r = (earthOrbitRadius * (1 - earthOrbitEccentricity * earthOrbitEccentricity)) / 
-                (1 + earthOrbitEccentricity * Math.cos(angle));
-      
-      // 翻转x轴方向，与轨道创建时保持一致
-      const earthX = -r * Math.cos(angle);
-      const earthZ = r * Math.sin(angle);
-      
-      this.earthGroup.position.set(earthX, 0, earthZ);
+      // 示意轨道与真实轨道的方位差，用来校正月球方向，保证日地月的夹角（月相）不变
+      this.schematicOrbitOffset = angle - eclipticLongitudeToSceneAngle(realEarth.longitude);
       
       // 重置地球组的旋转
       this.earthGroup.rotation.set(0, 0, 0);
       
-      // 添加地球自转轴倾斜（23.5度）
-      this.earthGroup.rotateZ(23.5 * Math.PI / 180);
+      // 北极在惯性空间中始终倾向冬至点方向，倾角为当前的黄赤交角
+      this.earthGroup.rotateY(this.winterSolsticeAngle);
+      this.earthGroup.rotateZ(this.earthOrbitState.obliquity);
       
-      // 让地球面向正确的方向
-      this.earthGroup.rotateY(this.elapsedTime * earthOrbitSpeed);
+      // 地球自转：让太阳直射点所在经度正对太阳，保证各地的地方时正确
+      // 贴图经度0对应局部+x轴，经度λ处于局部绕y轴转角λ的方向
+      const sunInEarthFrame = this.earthGroup.position.clone().negate()
+        .applyQuaternion(this.earthGroup.quaternion.clone().invert());
+      const sunAngle = Math.atan2(-sunInEarthFrame.z, sunInEarthFrame.x);
+      this.earth.rotation.y = sunAngle - this.ephemeris.subsolarPoint.longitude;
+      // 云层略慢于地球自转
+      this.clouds.rotation.y = this.earth.rotation.y - daysSinceJ2000 * Math.PI * 2 * 0.1;
       
       // 更新自转轴的朝向，使其始终保持与地球的倾斜角度一致
       if (this.earthAxis) {
@@ -1120,96 +3529,76 @@ class SolarSystemApp {
         this.earthAxis.rotation.set(0, 0, 0);
       }
       
-      // 更新所有光源方向，使其始终从太阳位置照向地球
-      const sunToEarth = new THREE.Vector3().subVectors(this.earthGroup.position, new THREE.Vector3(0, 0, 0)).normalize();
+      // 着色器中云影的位置随云层与地球的相对转动变化
+      updateEarthMaterial(this.earth.material, this.earth.rotation.y, this.clouds.rotation.y);
       
-      // 更新主定向光
-      if (this.sunDirectionalLight) {
-        // 调整位置以从太阳方向照射
-        this.sunDirectionalLight.position.copy(this.earthGroup.position);
-        this.sunDirectionalLight.position.sub(sunToEarth.multiplyScalar(10));
-        this.sunDirectionalLight.target = this.earthGroup;
-      }
-      
-      // 更新第二定向光，从稍微不同角度照射以增强效果
-      if (this.secondDirectionalLight) {
-        const offsetAngle = Math.PI / 12; // 15度偏移
-        const offsetVector = new THREE.Vector3(
-          Math.sin(offsetAngle), 
-          Math.cos(offsetAngle),
-          0
-        ).normalize();
-        
-        // 计算偏移位置
-        const offsetPosition = new THREE.Vector3().copy(this.earthGroup.position);
-        offsetPosition.sub(sunToEarth.clone().multiplyScalar(8).add(offsetVector.multiplyScalar(2)));
-        
-        this.secondDirectionalLight.position.copy(offsetPosition);
-        this.secondDirectionalLight.target = this.earthGroup;
-      }
+      // 日照曲线和日照分布图
+      this.updateInsolation();
     }
     
-    if (this.moon && this.moonGroup) {
-      // 计算地球公转速度 - 从自转速度反推
-      const earthRotationSpeed = this.speedControls ? this.speedControls.earthRotationSpeed : 73.05;
-      const earthOrbitSpeed = earthRotationSpeed / 365.25;
+    if (this.moon && this.moonGroup && this.earthGroup) {
+      const moonEphemeris = this.ephemeris.moon;
+      const orbitAngles = getMoonOrbitAngles(moonEphemeris);
       
-      // 月球公转周期为27.32天，地球公转周期为365.25天
-      // 因此月球公转速度相对于地球公转速度为365.25/27.32 ≈ 13.37倍
-      const moonOrbitSpeed = earthOrbitSpeed * (365.25 / 27.32);
+      // 月球组跟随地球
+      this.moonGroup.position.copy(this.earthGroup.position);
       
       // 重置月球组的旋转
       this.moonGroup.rotation.set(0, 0, 0);
-      // 应用月球公转的旋转角度
-      this.moonGroup.rotateY(this.elapsedTime * moonOrbitSpeed);
-      // 重新应用轨道倾角
-      this.moonGroup.rotateX(5.1 * Math.PI / 180);
+      // 局部-x轴对准升交点方向；升交点约18.6年沿黄道逆行一周
+      const orbitOffset = this.schematicOrbitOffset || 0;
+      this.moonGroup.rotateY(eclipticLongitudeToSceneAngle(moonEphemeris.ascendingNode) + orbitOffset);
+      // 绕交点线倾斜，使月球过升交点后运行到黄道以北
+      this.moonGroup.rotateX(-this.moonOrbitSettings.inclination * Math.PI / 180);
+      // 近地点约8.85年在白道面内顺行一周
+      this.moonApsidesGroup.rotation.y = orbitAngles.argumentOfPerigee;
+      this.updateMoonNodeMarkers(orbitAngles.argumentOfPerigee);
       
-      // 月球已实现潮汐锁定，不需要独立的自转
-      // 为了实现同步自转，需要计算到地球中心的向量
-      const moonToEarth = new THREE.Vector3(0, 0, 0).sub(this.moon.position).normalize();
+      // 月球在白道面内的角距取自星历，到地球的距离按示意椭圆计算，再按比例模式缩放
+      this.moonOrbitPoint(orbitAngles.argumentOfLatitude, orbitAngles.trueAnomaly, this.moon.position)
+        .multiplyScalar(this.moonDistanceScale);
       
-      // 重置月球的旋转
-      this.moon.rotation.set(0, 0, 0);
-      
-      // 创建一个四元数，将月球的z轴对齐到指向地球的向量
-      const quaternion = new THREE.Quaternion().setFromUnitVectors(
-        new THREE.Vector3(0, 0, 1), // 月球的初始z轴方向
-        moonToEarth // 目标方向：朝向地球
-      );
-      
-      // 应用四元数旋转
-      this.moon.quaternion.copy(quaternion);
+      // 月球已实现潮汐锁定：正面大致朝向地球，再加上光学天平动
+      this.moonLibration = getOpticalLibration(moonEphemeris);
+      this.updateMoonOrientation(this.moonLibration);
+    }
+    
+    // 日食和月食的阴影
+    if (this.moon && this.earthGroup) {
+      this.updateEclipseShadows();
+    }
+    
+    // 轨迹记录各物体更新后的位置
+    if (this.orbitTrails) {
+      this.orbitTrails.update(this.ephemeris.julianDay);
+    }
+    
+    // 月相
+    if (this.moonPhasePanel) {
+      this.moonPhase = this.moonPhasePanel.update(this.simulationDate);
+    }
+    
+    // 信息面板中的实时量；没有选中天体时显示地球
+    this.updateInfoPanel(this.selectedBodyId || 'earth');
+    
+    // 更新等面积扫掠演示：高亮地球当前所在的扇形
+    if (this.keplerSweepGroup && this.keplerSweepGroup.visible && this.earthGroup) {
+      const sectorCount = this.keplerSectors.length;
+      const currentSector = Math.floor(this.earthMeanAnomaly / (Math.PI * 2) * sectorCount) % sectorCount;
+      this.keplerSectors.forEach((sector, index) => {
+        sector.material.opacity = index === currentSector ? 0.45 : 0.15;
+      });
       
-      // 更新月球朝向标记的位置和方向
-      if (this.moonFaceMark) {
-        // 朝向标记在月球的z轴方向，面向地球
-        this.moonFaceMark.position.set(0, 0, 0.6);
-        // 让锥体尖端朝向地球
-        this.moonFaceMark.rotation.set(0, Math.PI, 0);
-      }
+      const radiusPositions = this.keplerRadiusLine.geometry.attributes.position;
+      radiusPositions.setXYZ(1, this.earthGroup.position.x, this.earthGroup.position.y, this.earthGroup.position.z);
+      radiusPositions.needsUpdate = true;
       
-      // 更新连接线，从月球中心到朝向标记
-      if (this.moonFaceLine) {
-        // 移除旧的连接线
-        this.moon.remove(this.moonFaceLine);
-        
-        // 创建新的连接线几何体
-        const lineGeometry = new THREE.BufferGeometry().setFromPoints([
-          new THREE.Vector3(0, 0, 0),
-          this.moonFaceMark.position.clone()
-        ]);
-        
-        const lineMaterial = new THREE.LineBasicMaterial({ 
-          color: 0xff00ff, 
-          linewidth: 3,
-          transparent: false,
-          opacity: 1.0
-        });
-        
-        // 创建新的连接线并添加到月球
-        this.moonFaceLine = new THREE.Line(lineGeometry, lineMaterial);
-        this.moon.add(this.moonFaceLine);
+      if (this.keplerControls && this.keplerAngularSpeedUI) {
+        // 角速度与平均角速度之比：dν/dM = (1 + e·cosν)² / (1 - e²)^(3/2)
+        const e = this.earthOrbitParams.eccentricity;
+        const ratio = Math.pow(1 + e * Math.cos(this.earthTrueAnomaly), 2) / Math.pow(1 - e * e, 1.5);
+        this.keplerControls.angularSpeed = t('gui.kepler.angularSpeed', { ratio: formatNumber(ratio, 2) });
+        this.keplerAngularSpeedUI.updateDisplay();
       }
     }
     
@@ -1219,21 +3608,44 @@ class SolarSystemApp {
       this.atmosphere.material.uniforms.atmosphereIntensity.value = 0.8; // 确保大气强度值保持为较低值，从1.5降到0.8
     }
     
+    // 更新模拟日期
+    if (this.timeInfoControls && this.simulationDateUI) {
+      this.timeInfoControls.simulationDate = t('gui.info.simulationDate', { date: `${formatDateTime(this.simulationDate)} UTC` });
+      this.simulationDateUI.updateDisplay();
+    }
+    
     // 更新速度比例信息
-    if (this.speedControls && this.timeInfoControls && this.speedRatioUI) {
-      const currentSpeedRatio = (this.speedControls.earthRotationSpeed / 0.2).toFixed(2);
-      this.timeInfoControls.speedRatio = `本模型中: 自转加快了${currentSpeedRatio}倍`;
+    if (this.timeInfoControls && this.speedRatioUI) {
+      const currentSpeedRatio = this.simClock.paused ? 0 : this.simClock.rate;
+      this.timeInfoControls.speedRatio = t(this.simClock.reversed ? 'gui.info.speedRatioReversed' : 'gui.info.speedRatio', {
+        ratio: formatNumber(currentSpeedRatio, 0)
+      });
       this.speedRatioUI.updateDisplay();
     }
     
+    // 地面观测：只在观测模式下或GUI中的观测面板展开时更新
+    const observerPanelOpen = Boolean(this.observerFolder) && this.isFolderOpen(this.observerFolder);
+    if (this.observerView && (this.observerSettings.enabled || observerPanelOpen)) {
+      this.updateObserver(observerPanelOpen);
+    }
+    
+    // 摄像机跟随天体，需要在天体位置更新之后进行
+    this.cameraRig.update(delta);
+    
     // 更新控制器
     this.controls.update();
     
-    // 渲染场景
-    this.composer.render();
+    // 渲染场景，名称标签在摄像机更新之后定位
+    if (this.observerSettings.enabled) {
+      this.renderer.render(this.observerView.scene, this.observerView.camera);
+    } else {
+      this.updateCameraClipping();
+      this.composer.render();
+      this.labelLayer.update(this.camera);
+    }
     
-    // 请求下一帧
-    window.requestAnimationFrame(this.animate.bind(this));
+    // 地址栏中的永久链接
+    this.updatePermalink();
   }
 }
 
@@ -0,0 +1,232 @@
+// 地理标记管理：增删改标记、从CSV或GeoJSON导入、导出GeoJSON，标记列表保存在localStorage中
+// 标记的数据为 { id, name, latitude, longitude, color }，经纬度单位为度，东经、北纬为正
+
+import { t } from './i18n.js';
+
+const STORAGE_KEY = 'solar-system-markers';
+const STORAGE_VERSION = 1;
+
+const DEFAULT_COLOR = '#ff0000';
+
+// 没有保存过标记时使用的默认标记，名称取创建时的界面语言
+function getDefaultMarkers() {
+  return [
+    { name: t('markers.defaultMarker'), latitude: 39.9, longitude: 116.3, color: DEFAULT_COLOR }
+  ];
+}
+
+// 颜色统一为#rrggbb，供GUI的取色器使用
+function normalizeColor(color) {
+  return /^#[0-9a-f]{6}$/i.test(color) ? color.toLowerCase() : DEFAULT_COLOR;
+}
+
+function isValidCoordinate(latitude, longitude) {
+  return Number.isFinite(latitude) && Number.isFinite(longitude) &&
+    Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+}
+
+// 按逗号分隔一行CSV，支持双引号包围的字段
+function splitCSVLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+// CSV：第一行可以是表头（name/名称、lat/latitude/纬度、lon/lng/longitude/经度、color/颜色），
+// 没有表头时按"名称,纬度,经度[,颜色]"的顺序读取；坐标无效的行被跳过
+export function parseMarkersCSV(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() && !line.trim().startsWith('#'));
+  if (lines.length === 0) return [];
+
+  let columns = { name: 0, latitude: 1, longitude: 2, color: 3 };
+  const header = splitCSVLine(lines[0]).map((field) => field.toLowerCase());
+  const findColumn = (pattern) => header.findIndex((field) => pattern.test(field));
+  if (header.some((field) => /^(lat|latitude|纬度)$/.test(field))) {
+    columns = {
+      name: findColumn(/^(name|title|名称|地名)$/),
+      latitude: findColumn(/^(lat|latitude|纬度)$/),
+      longitude: findColumn(/^(lon|lng|long|longitude|经度)$/),
+      color: findColumn(/^(color|colour|颜色)$/)
+    };
+    lines.shift();
+  }
+
+  const markers = [];
+  lines.forEach((line, index) => {
+    const fields = splitCSVLine(line);
+    const latitude = parseFloat(fields[columns.latitude]);
+    const longitude = parseFloat(fields[columns.longitude]);
+    if (!isValidCoordinate(latitude, longitude)) return;
+    markers.push({
+      name: (columns.name >= 0 && fields[columns.name]) || t('markers.defaultName', { index: index + 1 }),
+      latitude,
+      longitude,
+      color: (columns.color >= 0 && fields[columns.color]) || DEFAULT_COLOR
+    });
+  });
+  return markers;
+}
+
+// GeoJSON：读取Point和MultiPoint，名称取properties.name或title，颜色取properties['marker-color']或color
+export function parseMarkersGeoJSON(text) {
+  const data = JSON.parse(text);
+  const features = data.type === 'FeatureCollection' ? data.features
+    : data.type === 'Feature' ? [data]
+    : [{ type: 'Feature', geometry: data, properties: {} }];
+
+  const markers = [];
+  features.forEach((feature) => {
+    const geometry = feature.geometry;
+    if (!geometry) return;
+    const properties = feature.properties || {};
+    const points = geometry.type === 'Point' ? [geometry.coordinates]
+      : geometry.type === 'MultiPoint' ? geometry.coordinates
+      : [];
+    points.forEach(([longitude, latitude]) => {
+      if (!isValidCoordinate(latitude, longitude)) return;
+      markers.push({
+        name: properties.name || properties.title || t('markers.defaultName', { index: markers.length + 1 }),
+        latitude,
+        longitude,
+        color: properties['marker-color'] || properties.color || DEFAULT_COLOR
+      });
+    });
+  });
+  return markers;
+}
+
+// 按文件名后缀或内容判断格式
+export function parseMarkersFile(text, fileName = '') {
+  const trimmed = text.trim();
+  if (/\.(geo)?json$/i.test(fileName) || trimmed.startsWith('{')) {
+    return parseMarkersGeoJSON(trimmed);
+  }
+  return parseMarkersCSV(trimmed);
+}
+
+export class MarkerStore {
+  constructor(storageKey = STORAGE_KEY) {
+    this.storageKey = storageKey;
+    this.listeners = [];
+    this.nextId = 1;
+    this.markers = [];
+
+    const saved = this.loadMarkers();
+    (saved || getDefaultMarkers()).forEach((marker) => this.createMarker(marker));
+  }
+
+  // 返回取消监听的函数
+  onChange(listener) {
+    this.listeners.push(listener);
+    return () => {
+      const index = this.listeners.indexOf(listener);
+      if (index >= 0) this.listeners.splice(index, 1);
+    };
+  }
+
+  getMarkers() {
+    return this.markers;
+  }
+
+  getMarker(id) {
+    return this.markers.find((marker) => marker.id === id);
+  }
+
+  createMarker({ name, latitude, longitude, color }) {
+    const marker = {
+      id: this.nextId++,
+      name: String(name),
+      latitude: Number(latitude),
+      longitude: Number(longitude),
+      color: normalizeColor(color)
+    };
+    this.markers.push(marker);
+    return marker;
+  }
+
+  add(marker) {
+    const created = this.createMarker(marker);
+    this.save();
+    return created;
+  }
+
+  addAll(markers) {
+    markers.forEach((marker) => this.createMarker(marker));
+    this.save();
+  }
+
+  // changes可以包含name、latitude、longitude、color
+  update(id, changes) {
+    const marker = this.getMarker(id);
+    if (!marker) return;
+    Object.assign(marker, changes);
+    marker.color = normalizeColor(marker.color);
+    this.save();
+  }
+
+  remove(id) {
+    this.markers = this.markers.filter((marker) => marker.id !== id);
+    this.save();
+  }
+
+  clear() {
+    this.markers = [];
+    this.save();
+  }
+
+  toGeoJSON() {
+    return {
+      type: 'FeatureCollection',
+      features: this.markers.map(({ name, latitude, longitude, color }) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [longitude, latitude] },
+        properties: { name, 'marker-color': color }
+      }))
+    };
+  }
+
+  loadMarkers() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey));
+      if (saved && saved.version === STORAGE_VERSION && Array.isArray(saved.markers)) {
+        return saved.markers.filter((marker) => isValidCoordinate(marker.latitude, marker.longitude));
+      }
+    } catch (error) {
+      console.warn('读取地理标记失败:', error);
+    }
+    return null;
+  }
+
+  save() {
+    const markers = this.markers.map(({ name, latitude, longitude, color }) => ({ name, latitude, longitude, color }));
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({ version: STORAGE_VERSION, markers }));
+    } catch (error) {
+      console.warn('保存地理标记失败:', error);
+    }
+
+    this.listeners.forEach((listener) => listener(this.markers));
+  }
+}
@@ -0,0 +1,113 @@
+// 米兰科维奇循环：地球轨道离心率、黄赤交角和近日点黄经在数万年尺度上的变化
+// 采用Berger (1978) 展开式中振幅最大的10项；截断会带来约0.02°和0.0005的误差，
+// 因此只取各量相对J2000的变化，再加到J2000的实际值上，使"现在"与星历模式一致
+
+import { normalizeAngle, EARTH_ORBITAL_ELEMENTS, OBLIQUITY_J2000 } from './ephemeris.js';
+import { trueToMeanAnomaly } from './kepler.js';
+
+const DEG = Math.PI / 180;
+const ARCSEC = DEG / 3600;
+const TROPICAL_YEAR_DAYS = 365.2422;
+
+// Berger的展开式以1950年为零点
+const BERGER_EPOCH_OFFSET_YEARS = 50;
+
+// 黄赤交角：ε = 23.320556° + Σ A·cos(f·t + δ)，A和f的单位为角秒和角秒/年，δ为度
+const OBLIQUITY_TERMS = [
+  [-2462.2214466, 31.609974, 251.9025],
+  [-857.3232075, 32.620504, 280.8325],
+  [-629.3231835, 24.172203, 128.3057],
+  [-414.2804924, 31.983787, 292.7252],
+  [-311.7632587, 44.828336, 15.3747],
+  [308.9408604, 30.973257, 263.7951],
+  [-162.5533601, 43.668246, 308.4258],
+  [-116.1077911, 32.246691, 240.0099],
+  [101.1189923, 30.599444, 222.9725],
+  [-67.6856209, 42.681324, 268.7809]
+];
+
+// 离心率与近日点：e·sin ϖ = Σ M·sin(g·t + β)，e·cos ϖ = Σ M·cos(g·t + β)，ϖ相对固定参考系
+const ECCENTRICITY_TERMS = [
+  [0.01860798, 4.207205, 28.620089],
+  [0.01627522, 7.346091, 193.788772],
+  [-0.01300660, 17.857263, 308.307024],
+  [0.00988829, 17.220546, 320.199637],
+  [-0.00336700, 16.846733, 279.376984],
+  [0.00333077, 5.199079, 87.195000],
+  [-0.00235400, 18.231076, 349.129677],
+  [0.00140015, 26.216758, 128.443387],
+  [0.00100700, 6.359169, 154.143880],
+  [0.00085700, 16.210016, 291.269597]
+];
+
+// 春分点的岁差速率（角秒/年），周期约25,700年
+const GENERAL_PRECESSION_RATE = 50.439273;
+const GENERAL_PRECESSION_PHASE = 3.392506;
+
+function bergerSeries(years) {
+  const t = years + BERGER_EPOCH_OFFSET_YEARS;
+
+  let obliquity = 23.320556;
+  for (const [amplitude, frequency, phase] of OBLIQUITY_TERMS) {
+    obliquity += amplitude / 3600 * Math.cos(frequency * ARCSEC * t + phase * DEG);
+  }
+
+  let eSin = 0;
+  let eCos = 0;
+  for (const [amplitude, frequency, phase] of ECCENTRICITY_TERMS) {
+    eSin += amplitude * Math.sin(frequency * ARCSEC * t + phase * DEG);
+    eCos += amplitude * Math.cos(frequency * ARCSEC * t + phase * DEG);
+  }
+
+  const precession = GENERAL_PRECESSION_RATE * ARCSEC * t + GENERAL_PRECESSION_PHASE * DEG;
+  return {
+    obliquity: obliquity * DEG,
+    eccentricity: Math.sqrt(eSin * eSin + eCos * eCos),
+    // 近日点相对当时春分点的黄经
+    perihelionLongitude: Math.atan2(eSin, eCos) + precession,
+    precession
+  };
+}
+
+const J2000_SERIES = bergerSeries(0);
+const J2000_ECCENTRICITY = EARTH_ORBITAL_ELEMENTS.e[0];
+const J2000_PERIHELION_LONGITUDE = EARTH_ORBITAL_ELEMENTS.longPeri[0] * DEG;
+
+// 距J2000 years年（过去为负）时的地球轨道参数，角度为弧度
+// precession: 春分点相对J2000累计西移的角度
+// precessionIndex: 气候岁差指数 e·sin ϖ，为负时北半球夏季靠近近日点
+export function getOrbitalCycles(years) {
+  const series = bergerSeries(years);
+  const eccentricity = Math.max(J2000_ECCENTRICITY + series.eccentricity - J2000_SERIES.eccentricity, 0);
+  const perihelionLongitude = normalizeAngle(
+    J2000_PERIHELION_LONGITUDE + series.perihelionLongitude - J2000_SERIES.perihelionLongitude
+  );
+  return {
+    years,
+    obliquity: OBLIQUITY_J2000 + series.obliquity - J2000_SERIES.obliquity,
+    eccentricity,
+    perihelionLongitude,
+    precession: series.precession - J2000_SERIES.precession,
+    precessionIndex: eccentricity * Math.sin(perihelionLongitude)
+  };
+}
+
+// 在[startYears, endYears]内等间隔取样，供绘制曲线使用
+export function sampleOrbitalCycles(startYears, endYears, count) {
+  const samples = [];
+  for (let i = 0; i < count; i++) {
+    samples.push(getOrbitalCycles(startYears + (endYears - startYears) * i / (count - 1)));
+  }
+  return samples;
+}
+
+// 地球过近日点比冬至（日心黄经90°）晚多少天；为负时近日点在冬至之前
+export function getPerihelionDaysAfterWinterSolstice(cycles) {
+  const solsticeMeanAnomaly = trueToMeanAnomaly(
+    normalizeAngle(Math.PI / 2 - cycles.perihelionLongitude),
+    cycles.eccentricity
+  );
+  let difference = normalizeAngle(-solsticeMeanAnomaly);
+  if (difference > Math.PI) difference -= Math.PI * 2;
+  return difference / (Math.PI * 2) * TROPICAL_YEAR_DAYS;
+}
@@ -0,0 +1,163 @@
+import { sampleOrbitalCycles, getPerihelionDaysAfterWinterSolstice } from './milankovitch.js';
+import { t, formatNumber } from './i18n.js';
+
+const DEG = 180 / Math.PI;
+
+// 以当前纪元为中心画出的时间范围（年）
+const WINDOW_YEARS = 60000;
+const SAMPLE_COUNT = 241;
+
+// 三条曲线：取值函数、纵轴范围和颜色；名称按id在 src/locales/ 下各语言的milankovitch中查找
+const CURVES = [
+  {
+    id: 'obliquity',
+    value: (cycles) => cycles.obliquity * DEG,
+    min: 22,
+    max: 24.6,
+    color: '#ffb347',
+    format: (value) => `${formatNumber(value, 2)}°`
+  },
+  {
+    id: 'eccentricity',
+    value: (cycles) => cycles.eccentricity,
+    min: 0,
+    max: 0.06,
+    color: '#7fd1ff',
+    format: (value) => formatNumber(value, 4)
+  },
+  {
+    id: 'precessionIndex',
+    value: (cycles) => cycles.precessionIndex,
+    min: -0.06,
+    max: 0.06,
+    color: '#a5e887',
+    format: (value) => formatNumber(value, 4)
+  }
+];
+
+export function formatEpoch(years) {
+  const year = Math.round(2000 + years);
+  return year > 0 ? t('milankovitch.epochCE', { year }) : t('milankovitch.epochBCE', { year: 1 - year });
+}
+
+// 深时模式下的米兰科维奇循环面板：三条曲线和当前纪元的读数
+export class MilankovitchPanel {
+  constructor(container) {
+    this.element = document.createElement('div');
+    this.element.className = 'milankovitch-panel';
+    this.element.style.display = 'none';
+
+    this.titleElement = document.createElement('h3');
+    this.element.appendChild(this.titleElement);
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = 300;
+    this.canvas.height = 240;
+    this.element.appendChild(this.canvas);
+
+    this.textElement = document.createElement('div');
+    this.textElement.className = 'milankovitch-text';
+    this.element.appendChild(this.textElement);
+
+    container.prepend(this.element);
+
+    this.lastYears = null;
+    this.updateTexts();
+  }
+
+  // 切换界面语言后更新标题，曲线和读数在下一次update()时重画
+  updateTexts() {
+    this.titleElement.textContent = t('milankovitch.title');
+    this.lastYears = null;
+  }
+
+  setVisible(visible) {
+    this.element.style.display = visible ? 'block' : 'none';
+    if (visible) this.lastYears = null;
+  }
+
+  update(cycles) {
+    // 纪元变化不足一个像素时不重画
+    const yearsPerPixel = WINDOW_YEARS * 2 / this.canvas.width;
+    if (this.lastYears !== null && Math.abs(cycles.years - this.lastYears) < yearsPerPixel) return;
+    this.lastYears = cycles.years;
+
+    this.draw(cycles.years);
+
+    const perihelionDays = getPerihelionDaysAfterWinterSolstice(cycles);
+    const lines = [
+      `<strong>${formatEpoch(cycles.years)}</strong>`,
+      t('milankovitch.obliquityValue', { value: formatNumber(cycles.obliquity * DEG, 2) }),
+      t('milankovitch.eccentricityValue', { value: formatNumber(cycles.eccentricity, 4) }),
+      t('milankovitch.perihelionLongitude', { value: formatNumber(cycles.perihelionLongitude * DEG, 1) }),
+      t('milankovitch.precession', { value: formatNumber(cycles.precession * DEG, 1) }),
+      t(perihelionDays >= 0 ? 'milankovitch.perihelionAfter' : 'milankovitch.perihelionBefore',
+        { days: formatNumber(Math.abs(perihelionDays), 0) }),
+      t(cycles.precessionIndex < 0 ? 'milankovitch.summerNearPerihelion' : 'milankovitch.summerNearAphelion')
+    ];
+    this.textElement.innerHTML = lines.join('<br>');
+  }
+
+  draw(centerYears) {
+    const context = this.canvas.getContext('2d');
+    const { width, height } = this.canvas;
+    const axisHeight = 18;
+    const stripHeight = (height - axisHeight) / CURVES.length;
+    const start = centerYears - WINDOW_YEARS;
+    const end = centerYears + WINDOW_YEARS;
+    const samples = sampleOrbitalCycles(start, end, SAMPLE_COUNT);
+
+    context.clearRect(0, 0, width, height);
+    context.font = '11px Arial';
+    context.textBaseline = 'top';
+
+    CURVES.forEach((curve, index) => {
+      const top = index * stripHeight;
+      const toY = (value) => top + stripHeight - 4 - (value - curve.min) / (curve.max - curve.min) * (stripHeight - 18);
+
+      context.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+      context.beginPath();
+      context.moveTo(0, top + stripHeight - 0.5);
+      context.lineTo(width, top + stripHeight - 0.5);
+      context.stroke();
+
+      context.strokeStyle = curve.color;
+      context.lineWidth = 1.5;
+      context.beginPath();
+      samples.forEach((cycles, i) => {
+        const x = i / (SAMPLE_COUNT - 1) * width;
+        const y = toY(curve.value(cycles));
+        if (i === 0) context.moveTo(x, y);
+        else context.lineTo(x, y);
+      });
+      context.stroke();
+      context.lineWidth = 1;
+
+      const current = samples[(SAMPLE_COUNT - 1) / 2];
+      context.fillStyle = curve.color;
+      context.textAlign = 'left';
+      context.fillText(`${t(`milankovitch.${curve.id}`)}: ${curve.format(curve.value(current))}`, 4, top + 2);
+    });
+
+    // 时间轴：每2万年一个刻度，标出相对J2000的千年数
+    context.fillStyle = 'rgba(255, 255, 255, 0.7)';
+    context.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    context.textAlign = 'center';
+    const tickStep = 20000;
+    for (let tick = Math.ceil(start / tickStep) * tickStep; tick <= end; tick += tickStep) {
+      const x = (tick - start) / (end - start) * width;
+      context.beginPath();
+      context.moveTo(x, 0);
+      context.lineTo(x, height - axisHeight);
+      context.stroke();
+      context.fillText(t('milankovitch.tick', { value: tick / 1000 }), x, height - axisHeight + 4);
+    }
+
+    // 当前纪元
+    context.strokeStyle = '#ffffff';
+    context.beginPath();
+    context.moveTo(width / 2, 0);
+    context.lineTo(width / 2, height - axisHeight);
+    context.stroke();
+  }
+}
@@ -0,0 +1,112 @@
+// 月相计算：相位角、照亮比例、月龄、月相名称，以及朔、上弦、望、下弦的时刻
+
+import { getSunGeocentric, getMoonGeocentric, normalizeAngle, AU_KM } from './ephemeris.js';
+import { t } from './i18n.js';
+
+// 平均朔望月（天）
+export const SYNODIC_MONTH_DAYS = 29.530588861;
+
+const DAY_MILLISECONDS = 86400000;
+const MEAN_ELONGATION_RATE = Math.PI * 2 / SYNODIC_MONTH_DAYS;
+
+// 主要月相对应的月日黄经差；月相名称在 src/locales/ 下各语言的moonPhases中，按id查找
+export const PRINCIPAL_PHASES = [
+  { id: 'newMoon', elongation: 0 },
+  { id: 'firstQuarter', elongation: Math.PI / 2 },
+  { id: 'fullMoon', elongation: Math.PI },
+  { id: 'lastQuarter', elongation: Math.PI * 3 / 2 }
+];
+
+// 按月日黄经差把一个朔望月分为8段，每段以主要月相为中心
+const PHASE_IDS = [
+  'newMoon', 'waxingCrescent', 'firstQuarter', 'waxingGibbous',
+  'fullMoon', 'waningGibbous', 'lastQuarter', 'waningCrescent'
+];
+
+function wrapToPi(angle) {
+  const wrapped = normalizeAngle(angle);
+  return wrapped > Math.PI ? wrapped - Math.PI * 2 : wrapped;
+}
+
+// 月日黄经差（弧度，0～2π）：0为朔，π为望
+export function getElongation(date) {
+  return normalizeAngle(getMoonGeocentric(date).longitude - getSunGeocentric(date).longitude);
+}
+
+export function getPhaseId(elongation) {
+  const index = Math.floor(normalizeAngle(elongation + Math.PI / 8) / (Math.PI / 4)) % 8;
+  return PHASE_IDS[index];
+}
+
+// 当前语言的月相名称
+export function getPhaseName(id) {
+  return t(`moonPhases.${id}`);
+}
+
+// 某一时刻的月相
+// phaseAngle: 日-月-地夹角；illuminatedFraction: 月面被照亮的比例；waxing: 是否为上半月（亮面在西侧）
+export function getMoonPhase(date) {
+  const sun = getSunGeocentric(date);
+  const moon = getMoonGeocentric(date);
+
+  // Meeus 48.2/48.3：由月球的距角求相位角
+  const sunDistance = sun.distance * AU_KM;
+  const cosElongation = (sun.x * moon.x + sun.y * moon.y + sun.z * moon.z) / (sun.distance * moon.distance);
+  const psi = Math.acos(Math.max(-1, Math.min(1, cosElongation)));
+  const phaseAngle = Math.atan2(sunDistance * Math.sin(psi), moon.distance - sunDistance * Math.cos(psi));
+
+  const elongation = normalizeAngle(moon.longitude - sun.longitude);
+  const id = getPhaseId(elongation);
+  return {
+    phaseAngle,
+    elongation,
+    illuminatedFraction: (1 + Math.cos(phaseAngle)) / 2,
+    waxing: elongation < Math.PI,
+    id,
+    name: getPhaseName(id)
+  };
+}
+
+// 查找月日黄经差等于elongation的时刻：direction为1时找date之后最近的一次，为-1时找之前最近的一次
+// 先按平均速度估计，再迭代修正，精度约为1分钟
+export function findPhaseTime(date, elongation, direction = 1) {
+  let difference = normalizeAngle(elongation - getElongation(date));
+  if (direction < 0) difference -= Math.PI * 2;
+
+  let time = date.getTime() + difference / MEAN_ELONGATION_RATE * DAY_MILLISECONDS;
+  for (let i = 0; i < 8; i++) {
+    const correction = wrapToPi(elongation - getElongation(new Date(time)));
+    time += correction / MEAN_ELONGATION_RATE * DAY_MILLISECONDS;
+    if (Math.abs(correction) < 1e-5) break;
+  }
+  return new Date(time);
+}
+
+// date所在的朔望月：上一次朔到下一次朔之间的主要月相时刻
+// 返回 { newMoon, firstQuarter, fullMoon, lastQuarter, nextNewMoon }
+export function getLunation(date) {
+  const newMoon = findPhaseTime(date, 0, -1);
+  const lunation = { newMoon };
+  PRINCIPAL_PHASES.slice(1).forEach(({ id, elongation }) => {
+    lunation[id] = findPhaseTime(newMoon, elongation, 1);
+  });
+  lunation.nextNewMoon = findPhaseTime(lunation.lastQuarter, 0, 1);
+  return lunation;
+}
+
+// [start, end)之间的主要月相，按时间排序：[{ id, name, date }]
+export function findPrincipalPhases(start, end) {
+  const phases = [];
+  let lunation = getLunation(start);
+  while (lunation.newMoon < end) {
+    PRINCIPAL_PHASES.forEach(({ id }) => {
+      const phaseDate = lunation[id];
+      if (phaseDate >= start && phaseDate < end) {
+        phases.push({ id, name: getPhaseName(id), date: phaseDate });
+      }
+    });
+    // 在下一次朔之后稍作偏移，保证找到的"上一次朔"就是它本身
+    lunation = getLunation(new Date(lunation.nextNewMoon.getTime() + 60000));
+  }
+  return phases;
+}
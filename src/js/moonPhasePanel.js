@@ -0,0 +1,106 @@
+import { getMoonPhase, getLunation, getPhaseName, PRINCIPAL_PHASES } from './moonPhase.js';
+import { t, formatNumber, formatDateTime } from './i18n.js';
+
+const DAY_MILLISECONDS = 86400000;
+
+// 在canvas上画出月相：暗面为地照的灰色，亮面为浅黄色
+// 按北半球的看法，上半月亮面在右侧
+export function drawMoonPhase(context, centerX, centerY, radius, illuminatedFraction, waxing) {
+  context.save();
+
+  context.beginPath();
+  context.arc(centerX, centerY, radius, 0, Math.PI * 2);
+  context.fillStyle = '#2a2a30';
+  context.fill();
+
+  // 亮面由亮侧的半圆和晨昏线（半椭圆）围成；
+  // 晨昏线在蛾眉月时凸向亮侧，在凸月时凸向暗侧
+  const terminatorRadius = Math.abs(1 - 2 * illuminatedFraction) * radius;
+  const throughRight = waxing === illuminatedFraction < 0.5;
+  context.beginPath();
+  context.arc(centerX, centerY, radius, -Math.PI / 2, Math.PI / 2, !waxing);
+  context.ellipse(centerX, centerY, terminatorRadius, radius, 0, Math.PI / 2, -Math.PI / 2, throughRight);
+  context.closePath();
+  context.fillStyle = '#f4f0dc';
+  context.fill();
+
+  context.restore();
+}
+
+// 信息面板旁的月相小窗：月相图、名称、照亮比例、月龄和下一个主要月相
+export class MoonPhasePanel {
+  constructor(container, onOpenCalendar) {
+    this.element = document.createElement('div');
+    this.element.className = 'moon-phase-panel';
+
+    this.titleElement = document.createElement('h3');
+    this.element.appendChild(this.titleElement);
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = 96;
+    this.canvas.height = 96;
+    this.element.appendChild(this.canvas);
+
+    this.textElement = document.createElement('div');
+    this.textElement.className = 'moon-phase-text';
+    this.element.appendChild(this.textElement);
+
+    this.calendarButton = document.createElement('button');
+    this.calendarButton.addEventListener('click', onOpenCalendar);
+    this.element.appendChild(this.calendarButton);
+
+    container.prepend(this.element);
+
+    this.lunation = null;
+    this.lastFraction = null;
+    this.lastText = '';
+    this.updateTexts();
+  }
+
+  // 切换界面语言后更新固定的文字，读数在下一次update()时更新
+  updateTexts() {
+    this.titleElement.textContent = t('moonPhasePanel.title');
+    this.calendarButton.textContent = t('moonPhasePanel.calendar');
+  }
+
+  update(date) {
+    const phase = getMoonPhase(date);
+
+    // 朔望月的各个时刻只在离开当前朔望月时重新计算
+    if (!this.lunation || date < this.lunation.newMoon || date >= this.lunation.nextNewMoon) {
+      this.lunation = getLunation(date);
+    }
+    const age = (date - this.lunation.newMoon) / DAY_MILLISECONDS;
+
+    // 下一个主要月相
+    const upcoming = PRINCIPAL_PHASES
+      .map(({ id }) => ({ id, date: this.lunation[id] }))
+      .concat({ id: 'newMoon', date: this.lunation.nextNewMoon })
+      .find((item) => item.date > date);
+
+    // 月相变化很慢，只在变化明显时重画
+    if (this.lastFraction === null || Math.abs(phase.illuminatedFraction - this.lastFraction) > 0.002 ||
+        phase.waxing !== this.lastWaxing) {
+      const context = this.canvas.getContext('2d');
+      context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+      drawMoonPhase(context, 48, 48, 44, phase.illuminatedFraction, phase.waxing);
+      this.lastFraction = phase.illuminatedFraction;
+      this.lastWaxing = phase.waxing;
+    }
+
+    const lines = [
+      `<strong>${phase.name}</strong>`,
+      t('moonPhasePanel.illuminated', { value: formatNumber(phase.illuminatedFraction * 100, 1) }),
+      t('moonPhasePanel.age', { value: formatNumber(age, 1) }),
+      t('moonPhasePanel.phaseAngle', { value: formatNumber(phase.phaseAngle * 180 / Math.PI, 1) }),
+      t('moonPhasePanel.next', { phase: getPhaseName(upcoming.id), date: formatDateTime(upcoming.date) })
+    ];
+    const text = lines.join('<br>');
+    if (text !== this.lastText) {
+      this.textElement.innerHTML = text;
+      this.lastText = text;
+    }
+
+    return { ...phase, age };
+  }
+}
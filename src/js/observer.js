@@ -0,0 +1,154 @@
+// 地面观测计算：太阳和月球的地平坐标、升落时刻和昼长
+
+import {
+  getSunGeocentric,
+  getMoonGeocentric,
+  getGreenwichSiderealTime,
+  julianCenturies,
+  normalizeAngle,
+  OBLIQUITY_J2000
+} from './ephemeris.js';
+
+const DEG = Math.PI / 180;
+
+// 地球赤道半径（千米），用于计算月球的周日视差
+const EARTH_EQUATORIAL_RADIUS_KM = 6378.14;
+
+// 升落时刻对应的中心高度：太阳考虑大气折射和视半径，月球在此基础上还考虑视差
+export const SUN_HORIZON_ALTITUDE = -0.8333 * DEG;
+export const MOON_HORIZON_ALTITUDE = 0.125 * DEG;
+
+// 升落搜索的步长（毫秒）
+const SEARCH_STEP = 10 * 60 * 1000;
+
+// J2000黄道坐标换算为当日赤道坐标（弧度）
+function eclipticToEquatorial(longitude, latitude, date) {
+  const lon = longitude + 1.396971 * julianCenturies(date) * DEG;
+  const sinE = Math.sin(OBLIQUITY_J2000);
+  const cosE = Math.cos(OBLIQUITY_J2000);
+  const rightAscension = Math.atan2(
+    Math.sin(lon) * cosE - Math.tan(latitude) * sinE,
+    Math.cos(lon)
+  );
+  const declination = Math.asin(
+    Math.sin(latitude) * cosE + Math.cos(latitude) * sinE * Math.sin(lon)
+  );
+  return { rightAscension: normalizeAngle(rightAscension), declination };
+}
+
+// 赤道坐标 -> 地平坐标；方位角从正北起算，向东为正（弧度）
+export function equatorialToHorizontal(rightAscension, declination, date, latitude, longitude) {
+  const lat = latitude * DEG;
+  const hourAngle = getGreenwichSiderealTime(date) + longitude * DEG - rightAscension;
+
+  const altitude = Math.asin(
+    Math.sin(lat) * Math.sin(declination) + Math.cos(lat) * Math.cos(declination) * Math.cos(hourAngle)
+  );
+  const azimuth = Math.atan2(
+    -Math.cos(declination) * Math.sin(hourAngle),
+    Math.sin(declination) * Math.cos(lat) - Math.cos(declination) * Math.sin(lat) * Math.cos(hourAngle)
+  );
+
+  return { altitude, azimuth: normalizeAngle(azimuth) };
+}
+
+export function getSunHorizontal(date, latitude, longitude) {
+  const sun = getSunGeocentric(date);
+  const { rightAscension, declination } = eclipticToEquatorial(sun.longitude, sun.latitude, date);
+  return equatorialToHorizontal(rightAscension, declination, date, latitude, longitude);
+}
+
+// topocentric为true时计入周日视差，得到观测者实际看到的高度
+export function getMoonHorizontal(date, latitude, longitude, topocentric = true) {
+  const moon = getMoonGeocentric(date);
+  const { rightAscension, declination } = eclipticToEquatorial(moon.longitude, moon.latitude, date);
+  const position = equatorialToHorizontal(rightAscension, declination, date, latitude, longitude);
+  if (topocentric) {
+    position.altitude -= Math.asin(EARTH_EQUATORIAL_RADIUS_KM / moon.distance * Math.cos(position.altitude));
+  }
+  return { ...position, distance: moon.distance };
+}
+
+// 在[start, end)内寻找高度穿过horizonAltitude的时刻
+// 返回 { rises: Date[], sets: Date[], upTime: 毫秒, alwaysUp, alwaysDown }
+export function findRiseSet(getAltitude, start, end, horizonAltitude) {
+  const startTime = start.getTime();
+  const endTime = end.getTime();
+  const above = (time) => getAltitude(new Date(time)) > horizonAltitude;
+
+  // 二分法细化穿越时刻
+  const refine = (low, high, lowAbove) => {
+    for (let i = 0; i < 20; i++) {
+      const middle = (low + high) / 2;
+      if (above(middle) === lowAbove) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+    return (low + high) / 2;
+  };
+
+  const rises = [];
+  const sets = [];
+  let upTime = 0;
+  let previousTime = startTime;
+  let previousAbove = above(startTime);
+  const initiallyAbove = previousAbove;
+
+  for (let time = Math.min(startTime + SEARCH_STEP, endTime); ; time = Math.min(time + SEARCH_STEP, endTime)) {
+    const currentAbove = above(time);
+    if (currentAbove !== previousAbove) {
+      const crossing = refine(previousTime, time, previousAbove);
+      (currentAbove ? rises : sets).push(new Date(crossing));
+      upTime += previousAbove ? crossing - previousTime : time - crossing;
+    } else if (currentAbove) {
+      upTime += time - previousTime;
+    }
+    previousTime = time;
+    previousAbove = currentAbove;
+    if (time >= endTime) break;
+  }
+
+  const noCrossing = rises.length === 0 && sets.length === 0;
+  return {
+    rises,
+    sets,
+    upTime,
+    alwaysUp: noCrossing && initiallyAbove,
+    alwaysDown: noCrossing && !initiallyAbove
+  };
+}
+
+// 观测地的"当地日"：按经度换算的时区（整小时）中的0点到24点
+export function getLocalDayRange(date, utcOffsetHours) {
+  const offset = utcOffsetHours * 3600000;
+  const local = new Date(date.getTime() + offset);
+  const dayStart = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()) - offset;
+  return { start: new Date(dayStart), end: new Date(dayStart + 86400000) };
+}
+
+// 某一当地日的日出、日落、月出、月落和昼长
+export function getRiseSetTimes(date, latitude, longitude, utcOffsetHours) {
+  const { start, end } = getLocalDayRange(date, utcOffsetHours);
+
+  const sun = findRiseSet(
+    (time) => getSunHorizontal(time, latitude, longitude).altitude,
+    start, end, SUN_HORIZON_ALTITUDE
+  );
+  const moon = findRiseSet(
+    (time) => getMoonHorizontal(time, latitude, longitude, false).altitude,
+    start, end, MOON_HORIZON_ALTITUDE
+  );
+
+  return {
+    dayStart: start,
+    sunrise: sun.rises[0] || null,
+    sunset: sun.sets[0] || null,
+    dayLength: sun.upTime,
+    polarDay: sun.alwaysUp,
+    polarNight: sun.alwaysDown,
+    moonrise: moon.rises[0] || null,
+    moonset: moon.sets[0] || null
+  };
+}
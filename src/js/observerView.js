@@ -0,0 +1,267 @@
+import * as THREE from 'three';
+import { getSunHorizontal, getMoonHorizontal } from './observer.js';
+import { t } from './i18n.js';
+
+// 地面观测视角
+// 使用独立的场景：观测者位于原点，+y为天顶，-z为正北，+x为正东
+// 太阳和月球按计算出的真实高度角和方位角放在天球上，不受示意模型比例的影响
+
+const SKY_RADIUS = 80;
+const GROUND_RADIUS = 500;
+
+// 太阳和月球的视直径约0.5°，放大3倍显示
+const DISC_SCALE = 3;
+const SUN_ANGULAR_RADIUS = 0.267 * Math.PI / 180;
+const MOON_ANGULAR_RADIUS = 0.259 * Math.PI / 180;
+
+const NIGHT_SKY = new THREE.Color(0x02030a);
+const TWILIGHT_SKY = new THREE.Color(0x2a3560);
+const DAY_SKY = new THREE.Color(0x4a7fc1);
+const NIGHT_GROUND = new THREE.Color(0x050805);
+const DAY_GROUND = new THREE.Color(0x2f4a2a);
+
+// 四个方向的标签，名称在 src/locales/ 下各语言的directions中
+const DIRECTIONS = [
+  { id: 'north', azimuth: 0, color: '#ff6666' },
+  { id: 'east', azimuth: 90, color: '#ffffff' },
+  { id: 'south', azimuth: 180, color: '#ffffff' },
+  { id: 'west', azimuth: 270, color: '#ffffff' }
+];
+
+// 高度角、方位角 -> 观测场景中的方向
+export function horizontalToVector(altitude, azimuth, target = new THREE.Vector3()) {
+  return target.set(
+    Math.cos(altitude) * Math.sin(azimuth),
+    Math.sin(altitude),
+    -Math.cos(altitude) * Math.cos(azimuth)
+  );
+}
+
+function createLabelSprite(text, color) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 128;
+  canvas.height = 128;
+  const context = canvas.getContext('2d');
+  context.font = 'Bold 72px Arial';
+  context.fillStyle = color;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(text, 64, 64);
+
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+    map: new THREE.CanvasTexture(canvas),
+    transparent: true,
+    depthTest: false
+  }));
+  sprite.scale.set(4, 4, 1);
+  return sprite;
+}
+
+export class ObserverView {
+  constructor(canvas, moonTexture) {
+    this.canvas = canvas;
+    this.active = false;
+
+    this.scene = new THREE.Scene();
+    this.scene.background = NIGHT_SKY.clone();
+
+    this.camera = new THREE.PerspectiveCamera(70, canvas.clientWidth / canvas.clientHeight || 1, 0.1, 1000);
+    this.camera.rotation.order = 'YXZ';
+    // 视线方向：方位角（从正北向东）和高度角
+    this.lookAzimuth = Math.PI;
+    this.lookAltitude = 20 * Math.PI / 180;
+    this.applyLookDirection();
+
+    this.createGround();
+    this.createSun();
+    this.createMoon(moonTexture);
+
+    this.sunDirection = new THREE.Vector3();
+    this.moonDirection = new THREE.Vector3();
+
+    this.dragging = false;
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onWheel = this.onWheel.bind(this);
+  }
+
+  createGround() {
+    // 地面略低于视线，地平线附近有很小的俯角
+    const groundMaterial = new THREE.MeshBasicMaterial({ color: NIGHT_GROUND.clone() });
+    this.ground = new THREE.Mesh(new THREE.CircleGeometry(GROUND_RADIUS, 64), groundMaterial);
+    this.ground.rotation.x = -Math.PI / 2;
+    this.ground.position.y = -0.5;
+    this.scene.add(this.ground);
+
+    // 地平圈和高度角30°、60°的等高圈
+    [0, 30, 60].forEach((altitude) => {
+      const points = [];
+      for (let i = 0; i <= 128; i++) {
+        const azimuth = (i / 128) * Math.PI * 2;
+        points.push(horizontalToVector(altitude * Math.PI / 180, azimuth).multiplyScalar(SKY_RADIUS));
+      }
+      const circle = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(points),
+        new THREE.LineBasicMaterial({
+          color: altitude === 0 ? 0x88aacc : 0x445566,
+          transparent: true,
+          opacity: altitude === 0 ? 0.8 : 0.4
+        })
+      );
+      this.scene.add(circle);
+    });
+
+    this.directionLabels = [];
+    this.updateDirectionLabels();
+  }
+
+  // 按当前语言重新生成四个方向的标签
+  updateDirectionLabels() {
+    this.directionLabels.forEach((label) => {
+      this.scene.remove(label);
+      label.material.map.dispose();
+      label.material.dispose();
+    });
+    this.directionLabels = DIRECTIONS.map(({ id, azimuth, color }) => {
+      const label = createLabelSprite(t(`directions.${id}`), color);
+      horizontalToVector(2 * Math.PI / 180, azimuth * Math.PI / 180, label.position).multiplyScalar(SKY_RADIUS * 0.75);
+      this.scene.add(label);
+      return label;
+    });
+  }
+
+  createSun() {
+    const radius = SKY_RADIUS * Math.tan(SUN_ANGULAR_RADIUS) * DISC_SCALE;
+    this.sun = new THREE.Mesh(
+      new THREE.SphereGeometry(radius, 32, 32),
+      new THREE.MeshBasicMaterial({ color: 0xfff2b0 })
+    );
+    this.scene.add(this.sun);
+
+    // 照亮月球的平行光，方向随太阳变化，从而显示月相
+    this.sunLight = new THREE.DirectionalLight(0xffffff, 3.0);
+    this.scene.add(this.sunLight);
+    this.scene.add(this.sunLight.target);
+  }
+
+  createMoon(moonTexture) {
+    const radius = SKY_RADIUS * Math.tan(MOON_ANGULAR_RADIUS) * DISC_SCALE;
+    this.moon = new THREE.Mesh(
+      new THREE.SphereGeometry(radius, 32, 32),
+      new THREE.MeshStandardMaterial({
+        map: moonTexture || null,
+        color: moonTexture ? 0xffffff : 0xaaaaaa,
+        roughness: 1,
+        metalness: 0
+      })
+    );
+    this.scene.add(this.moon);
+
+    // 地照：月球暗面仍隐约可见
+    this.scene.add(new THREE.AmbientLight(0x334455, 0.15));
+  }
+
+  setSize(width, height) {
+    this.camera.aspect = width / height;
+    this.camera.updateProjectionMatrix();
+  }
+
+  activate() {
+    if (this.active) return;
+    this.active = true;
+    this.canvas.addEventListener('pointerdown', this.onPointerDown);
+    window.addEventListener('pointermove', this.onPointerMove);
+    window.addEventListener('pointerup', this.onPointerUp);
+    this.canvas.addEventListener('wheel', this.onWheel, { passive: false });
+  }
+
+  deactivate() {
+    if (!this.active) return;
+    this.active = false;
+    this.dragging = false;
+    this.canvas.removeEventListener('pointerdown', this.onPointerDown);
+    window.removeEventListener('pointermove', this.onPointerMove);
+    window.removeEventListener('pointerup', this.onPointerUp);
+    this.canvas.removeEventListener('wheel', this.onWheel);
+  }
+
+  // 拖动鼠标环顾四周
+  onPointerDown(event) {
+    this.dragging = true;
+    this.lastPointer = { x: event.clientX, y: event.clientY };
+  }
+
+  onPointerMove(event) {
+    if (!this.dragging) return;
+    // 拖动距离按视场换算成角度，使画面跟随鼠标
+    const radiansPerPixel = THREE.MathUtils.degToRad(this.camera.fov) / this.canvas.clientHeight;
+    this.look(
+      -(event.clientX - this.lastPointer.x) * radiansPerPixel,
+      (event.clientY - this.lastPointer.y) * radiansPerPixel
+    );
+    this.lastPointer = { x: event.clientX, y: event.clientY };
+  }
+
+  onPointerUp() {
+    this.dragging = false;
+  }
+
+  onWheel(event) {
+    event.preventDefault();
+    this.zoom(event.deltaY > 0 ? 1.1 : 1 / 1.1);
+  }
+
+  // 改变视线方向（弧度）
+  look(deltaAzimuth, deltaAltitude) {
+    this.lookAzimuth = THREE.MathUtils.euclideanModulo(this.lookAzimuth + deltaAzimuth, Math.PI * 2);
+    this.lookAltitude = THREE.MathUtils.clamp(this.lookAltitude + deltaAltitude, -Math.PI / 2 + 0.01, Math.PI / 2 - 0.01);
+    this.applyLookDirection();
+  }
+
+  // 改变视场角，factor小于1为放大
+  zoom(factor) {
+    this.camera.fov = THREE.MathUtils.clamp(this.camera.fov * factor, 10, 100);
+    this.camera.updateProjectionMatrix();
+  }
+
+  applyLookDirection() {
+    this.camera.rotation.y = -this.lookAzimuth;
+    this.camera.rotation.x = this.lookAltitude;
+  }
+
+  // 根据日期和观测地点更新太阳、月球和天空颜色，返回二者的地平坐标
+  update(date, latitude, longitude) {
+    const sun = getSunHorizontal(date, latitude, longitude);
+    const moon = getMoonHorizontal(date, latitude, longitude);
+
+    horizontalToVector(sun.altitude, sun.azimuth, this.sunDirection);
+    horizontalToVector(moon.altitude, moon.azimuth, this.moonDirection);
+
+    this.sun.position.copy(this.sunDirection).multiplyScalar(SKY_RADIUS);
+    this.moon.position.copy(this.moonDirection).multiplyScalar(SKY_RADIUS);
+
+    // 月球贴图的正面（经度0）朝向观测者
+    this.moon.lookAt(0, 0, 0);
+    this.moon.rotateY(-Math.PI / 2);
+
+    this.sunLight.position.copy(this.moon.position).addScaledVector(this.sunDirection, SKY_RADIUS);
+    this.sunLight.target.position.copy(this.moon.position);
+
+    this.updateSky(sun.altitude);
+
+    return { sun, moon };
+  }
+
+  // 天空颜色：太阳高于地平线为白天，-18°（天文晨昏蒙影）以下为夜晚
+  updateSky(sunAltitude) {
+    const altitudeDegrees = THREE.MathUtils.radToDeg(sunAltitude);
+    if (altitudeDegrees >= 0) {
+      this.scene.background.copy(TWILIGHT_SKY).lerp(DAY_SKY, Math.min(altitudeDegrees / 10, 1));
+    } else {
+      this.scene.background.copy(NIGHT_SKY).lerp(TWILIGHT_SKY, Math.max(1 + altitudeDegrees / 18, 0));
+    }
+    const daylight = THREE.MathUtils.clamp((altitudeDegrees + 6) / 16, 0, 1);
+    this.ground.material.color.copy(NIGHT_GROUND).lerp(DAY_GROUND, daylight);
+  }
+}
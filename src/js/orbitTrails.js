@@ -0,0 +1,249 @@
+import * as THREE from 'three';
+
+// 天体和地理标记走过的轨迹，可在不同参考系中记录：
+//   heliocentric - 日心参考系，轨迹固定在场景中（月球绕太阳的路径始终凹向太阳）
+//   geocentric   - 地心参考系，原点随地球平移，方向不随地球自转
+//   earthFixed   - 地固参考系，随地球一起自转，地表标记在其中静止
+// 轨迹的长度以模拟天数计；越早的点越透明，超过长度的点完全消失
+//
+// 每条轨迹的顶点存放在固定大小的环形缓冲区中，每次只上传新写入的顶点，不重建几何体：
+// 缓冲区长度为容量的两倍，每个样本同时写入第i个和第i+容量个位置，
+// 这样最近的若干个样本在缓冲区中总是连续的一段，用drawRange即可画出
+
+// 参考系的名称在 src/locales/ 下各语言的trailFrames中
+export const TRAIL_FRAMES = ['heliocentric', 'geocentric', 'earthFixed'];
+
+// 每条轨迹保存的样本数，采样间隔为轨迹长度除以样本数
+const TRAIL_CAPACITY = 2048;
+
+// 样本时间相对于基准时刻保存为32位浮点数，离基准太远时整体平移，保证精度
+const REBASE_DAYS = 10000;
+
+const trailVertexShader = `
+#include <common>
+#include <logdepthbuf_pars_vertex>
+
+attribute float sampleTime;
+uniform float currentTime;
+uniform float trailLength;
+varying float vFade;
+
+void main() {
+    vFade = 1.0 - abs(currentTime - sampleTime) / trailLength;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    #include <logdepthbuf_vertex>
+}
+`;
+
+const trailFragmentShader = `
+#include <logdepthbuf_pars_fragment>
+
+uniform vec3 color;
+uniform float opacity;
+varying float vFade;
+
+void main() {
+    #include <logdepthbuf_fragment>
+    if (vFade <= 0.0) discard;
+    gl_FragColor = vec4(color, opacity * vFade);
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+}
+`;
+
+class OrbitTrail {
+  // source: 记录其世界坐标的物体；sharedUniforms: 所有轨迹共用的当前时刻和轨迹长度
+  constructor(source, color, sharedUniforms) {
+    this.source = source;
+    this.enabled = true;
+
+    const positions = new THREE.BufferAttribute(new Float32Array(TRAIL_CAPACITY * 2 * 3), 3);
+    const times = new THREE.BufferAttribute(new Float32Array(TRAIL_CAPACITY * 2), 1);
+    positions.setUsage(THREE.DynamicDrawUsage);
+    times.setUsage(THREE.DynamicDrawUsage);
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', positions);
+    geometry.setAttribute('sampleTime', times);
+
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        ...sharedUniforms,
+        color: { value: new THREE.Color(color) },
+        opacity: { value: 0.9 }
+      },
+      vertexShader: trailVertexShader,
+      fragmentShader: trailFragmentShader,
+      transparent: true,
+      depthWrite: false
+    });
+
+    this.line = new THREE.Line(geometry, material);
+    this.line.frustumCulled = false;
+    this.clear();
+  }
+
+  clear() {
+    // head为下一个样本的位置，count为已保存的样本数，lastTime为最近一个样本的时刻
+    this.head = 0;
+    this.count = 0;
+    this.lastTime = null;
+    this.direction = 0;
+    this.line.geometry.setDrawRange(0, 0);
+  }
+
+  setColor(color) {
+    this.line.material.uniforms.color.value.set(color);
+  }
+
+  writeSample(index, position, time) {
+    const { position: positions, sampleTime: times } = this.line.geometry.attributes;
+    [index, index + TRAIL_CAPACITY].forEach((i) => {
+      positions.setXYZ(i, position.x, position.y, position.z);
+      times.setX(i, time);
+      positions.addUpdateRange(i * 3, 3);
+      times.addUpdateRange(i, 1);
+    });
+    positions.needsUpdate = true;
+    times.needsUpdate = true;
+  }
+
+  // 当前位置总是写在head处，作为轨迹连到物体的最后一段；距上一个样本满一个采样间隔时才保留下来
+  record(position, time, interval, length) {
+    if (this.lastTime !== null) {
+      const elapsed = time - this.lastTime;
+      // 时间倒流或跳过了整条轨迹的长度时重新开始
+      if (Math.abs(elapsed) > length || elapsed * this.direction < 0) {
+        this.clear();
+      }
+    }
+
+    this.writeSample(this.head, position, time);
+    const elapsed = this.lastTime === null ? Infinity : Math.abs(time - this.lastTime);
+    const committed = elapsed >= interval;
+    if (committed) {
+      if (this.lastTime !== null && this.direction === 0) {
+        this.direction = Math.sign(time - this.lastTime);
+      }
+      this.lastTime = time;
+      this.head = (this.head + 1) % TRAIL_CAPACITY;
+      this.count = Math.min(this.count + 1, TRAIL_CAPACITY - 1);
+    }
+    const start = this.head + TRAIL_CAPACITY - this.count;
+    this.line.geometry.setDrawRange(start, committed ? this.count : this.count + 1);
+  }
+
+  // 样本时间整体减去offset，需要重新上传整个缓冲区
+  shiftTimes(offset) {
+    const times = this.line.geometry.attributes.sampleTime;
+    for (let i = 0; i < times.count; i++) {
+      times.array[i] -= offset;
+    }
+    times.clearUpdateRanges();
+    times.needsUpdate = true;
+    if (this.lastTime !== null) this.lastTime -= offset;
+  }
+
+  dispose() {
+    this.line.removeFromParent();
+    this.line.geometry.dispose();
+    this.line.material.dispose();
+  }
+}
+
+export class OrbitTrails {
+  // scene: 日心参考系；earthCenter: 随地球平移的物体（只取其位置）；earthBody: 随地球自转的物体
+  constructor(scene, earthCenter, earthBody) {
+    this.earthCenter = earthCenter;
+    // 地心参考系：每帧移动到地球中心，不旋转
+    this.geocentricGroup = new THREE.Group();
+    scene.add(this.geocentricGroup);
+    this.frameObjects = {
+      heliocentric: scene,
+      geocentric: this.geocentricGroup,
+      earthFixed: earthBody
+    };
+
+    this.frame = 'heliocentric';
+    this.lengthDays = 30;
+    this.trails = new Map();
+    this.epoch = null;
+    this.uniforms = {
+      currentTime: { value: 0 },
+      trailLength: { value: this.lengthDays }
+    };
+    this.position = new THREE.Vector3();
+  }
+
+  addTrail(id, source, color) {
+    this.removeTrail(id);
+    const trail = new OrbitTrail(source, color, this.uniforms);
+    this.frameObjects[this.frame].add(trail.line);
+    this.trails.set(id, trail);
+    return trail;
+  }
+
+  removeTrail(id) {
+    const trail = this.trails.get(id);
+    if (!trail) return;
+    trail.dispose();
+    this.trails.delete(id);
+  }
+
+  setTrailColor(id, color) {
+    const trail = this.trails.get(id);
+    if (trail) trail.setColor(color);
+  }
+
+  // 关闭的轨迹不再记录并清空，重新打开时从当前位置开始
+  setTrailEnabled(id, enabled) {
+    const trail = this.trails.get(id);
+    if (!trail) return;
+    trail.enabled = enabled;
+    trail.line.visible = enabled;
+    trail.clear();
+  }
+
+  setFrame(frame) {
+    if (!this.frameObjects[frame]) {
+      console.warn(`未知的轨迹参考系: ${frame}`);
+      return;
+    }
+    this.frame = frame;
+    this.trails.forEach((trail) => {
+      this.frameObjects[frame].add(trail.line);
+      trail.clear();
+    });
+  }
+
+  setLength(days) {
+    this.lengthDays = days;
+    this.uniforms.trailLength.value = days;
+  }
+
+  // 场景比例变化后已记录的坐标不再对应，全部清空
+  clear() {
+    this.trails.forEach((trail) => trail.clear());
+  }
+
+  // julianDay: 当前模拟时刻的儒略日；需要在各物体的位置更新之后调用
+  update(julianDay) {
+    if (this.epoch === null || Math.abs(julianDay - this.epoch) > REBASE_DAYS) {
+      const offset = this.epoch === null ? 0 : julianDay - this.epoch;
+      this.trails.forEach((trail) => trail.shiftTimes(offset));
+      this.epoch = julianDay;
+    }
+    const time = julianDay - this.epoch;
+    this.uniforms.currentTime.value = time;
+
+    this.geocentricGroup.position.copy(this.earthCenter.getWorldPosition(this.position));
+    const frameObject = this.frameObjects[this.frame];
+    frameObject.updateWorldMatrix(true, false);
+
+    const interval = this.lengthDays / TRAIL_CAPACITY;
+    this.trails.forEach((trail) => {
+      if (!trail.enabled) return;
+      trail.source.getWorldPosition(this.position);
+      trail.record(frameObject.worldToLocal(this.position), time, interval, this.lengthDays);
+    });
+  }
+}
@@ -0,0 +1,113 @@
+// 永久链接：把当前视图的状态编码到URL的#之后，打开链接时还原
+//
+// 链接中的参数：
+//   t       - 模拟时刻（ISO 8601，UTC）
+//   rate    - 每真实秒对应的模拟秒数；paused=1、reversed=1表示暂停、倒放
+//   scale   - 比例模式（见sceneScale.js）
+//   body    - 选中的天体；mode为摄像机模式（free、follow、chase）
+//   cam     - 摄像机位置"x,y,z"；跟随天体时为相对天体的位置，自由视角时为场景坐标
+//   target  - 自由视角下OrbitControls的目标点"x,y,z"
+//   <前缀>.<键> - GUI控件的值，只写与默认值不同的项；布尔值写成1/0，颜色省略#
+// 解析时按默认值的类型换回原来的类型，默认值中没有的键被忽略
+
+const CAMERA_MODES = ['free', 'follow', 'chase'];
+
+// 场景坐标保留的有效数字
+const COORDINATE_PRECISION = 7;
+
+function formatNumber(value, precision = COORDINATE_PRECISION) {
+  return String(Number(value.toPrecision(precision)));
+}
+
+function formatVector(vector) {
+  return [vector.x, vector.y, vector.z].map((value) => formatNumber(value)).join(',');
+}
+
+function parseVector(text) {
+  if (!text) return null;
+  const values = text.split(',').map(Number);
+  if (values.length !== 3 || !values.every(Number.isFinite)) return null;
+  const [x, y, z] = values;
+  return { x, y, z };
+}
+
+function formatValue(value) {
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  if (typeof value === 'number') return formatNumber(value, 10);
+  if (/^#[0-9a-f]{6}$/i.test(value)) return value.slice(1).toLowerCase();
+  return String(value);
+}
+
+function parseValue(text, defaultValue) {
+  if (typeof defaultValue === 'boolean') return text === '1';
+  if (typeof defaultValue === 'number') {
+    const value = Number(text);
+    return Number.isFinite(value) ? value : defaultValue;
+  }
+  if (/^#[0-9a-f]{6}$/i.test(defaultValue)) {
+    return /^[0-9a-f]{6}$/i.test(text) ? `#${text.toLowerCase()}` : defaultValue;
+  }
+  return text;
+}
+
+// state: { date, rate, paused, reversed, scale, body, mode, camera, target, values }
+// values和defaults都是 { 前缀: { 键: 值 } }
+export function encodePermalink(state, defaults) {
+  const params = new URLSearchParams();
+  params.set('t', state.date.toISOString());
+  params.set('rate', formatNumber(state.rate, 10));
+  if (state.paused) params.set('paused', '1');
+  if (state.reversed) params.set('reversed', '1');
+  params.set('scale', state.scale);
+  if (state.body) params.set('body', state.body);
+  params.set('mode', state.mode);
+  params.set('cam', formatVector(state.camera));
+  if (state.target) params.set('target', formatVector(state.target));
+
+  Object.entries(state.values).forEach(([prefix, values]) => {
+    Object.entries(values).forEach(([key, value]) => {
+      if (value === defaults[prefix][key]) return;
+      params.set(`${prefix}.${key}`, formatValue(value));
+    });
+  });
+  return `#${params.toString()}`;
+}
+
+// 返回链接中的状态：没有出现的时刻、速率等为undefined，坐标为null；链接为空或无法解析时返回null
+export function decodePermalink(hash, defaults) {
+  const text = hash.replace(/^#/, '');
+  if (!text) return null;
+  const params = new URLSearchParams(text);
+
+  const state = { values: {} };
+  if (params.has('t')) {
+    const date = new Date(params.get('t'));
+    if (!Number.isNaN(date.getTime())) state.date = date;
+  }
+  if (params.has('rate')) {
+    const rate = Number(params.get('rate'));
+    if (Number.isFinite(rate)) state.rate = rate;
+  }
+  state.paused = params.get('paused') === '1';
+  state.reversed = params.get('reversed') === '1';
+  if (params.has('scale')) state.scale = params.get('scale');
+  if (params.has('body')) state.body = params.get('body');
+  if (CAMERA_MODES.includes(params.get('mode'))) state.mode = params.get('mode');
+  state.camera = parseVector(params.get('cam'));
+  state.target = parseVector(params.get('target'));
+
+  // 链接中没有的控件恢复为默认值，使前进、后退时的状态与链接完全一致
+  Object.entries(defaults).forEach(([prefix, values]) => {
+    state.values[prefix] = {};
+    Object.entries(values).forEach(([key, defaultValue]) => {
+      const name = `${prefix}.${key}`;
+      state.values[prefix][key] = params.has(name) ? parseValue(params.get(name), defaultValue) : defaultValue;
+    });
+  });
+
+  if (!state.date && !state.camera && ![...params.keys()].some((key) => key.includes('.'))) {
+    console.warn('无法解析链接中的视图状态:', hash);
+    return null;
+  }
+  return state;
+}
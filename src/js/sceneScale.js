@@ -0,0 +1,101 @@
+import * as THREE from 'three';
+import { AU_KM } from './ephemeris.js';
+import { SCENE_UNITS_PER_AU } from './coordinates.js';
+
+// 比例模式
+// 示意比例下天体大小和距离都是为了便于观察而设定的（见bodies.json中的radius、sceneSemiMajorAxis、sceneRadius），
+// 地球和月球的轨道离心率也被放大；其余模式分别把大小、距离或两者换成真实比例：
+//   trueSize     - 天体大小和卫星到行星的距离按真实比例，以太阳的示意半径为基准；行星的日心距离仍为示意值
+//   trueDistance - 日心距离按真实比例（1AU = SCENE_UNITS_PER_AU），天体大小和卫星距离仍为示意值
+//   trueScale    - 全部按真实比例，大小和距离使用同一个单位
+// 大小与距离各有一个0到1的混合系数，切换模式时两者平滑过渡；
+// 地球轨道的离心率随距离系数、月球轨道的离心率随大小系数在示意值和真实值之间过渡
+
+// 各模式的名称在 src/locales/ 下各语言的scaleModes中
+export const SCALE_MODES = {
+  schematic: { trueSize: 0, trueDistance: 0 },
+  trueSize: { trueSize: 1, trueDistance: 0 },
+  trueDistance: { trueSize: 0, trueDistance: 1 },
+  trueScale: { trueSize: 1, trueDistance: 1 }
+};
+
+const DEFAULT_TRANSITION_SECONDS = 2;
+
+// 真实距离下每千米对应的场景单位
+const TRUE_DISTANCE_UNITS_PER_KM = SCENE_UNITS_PER_AU / AU_KM;
+
+function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+// 两个正数之间按对数插值：大小相差几个数量级时，过渡过程中每一帧缩小的比例相同
+function blendScale(from, to, t) {
+  return from * Math.pow(to / from, t);
+}
+
+export class SceneScale {
+  // sunBody: 天体目录中的太阳，真实大小模式以它的示意半径为基准
+  constructor(sunBody) {
+    this.sunAnchoredUnitsPerKm = sunBody.radius / sunBody.radiusKm;
+    this.mode = 'schematic';
+    this.trueSize = 0;
+    this.trueDistance = 0;
+    this.transitionSeconds = DEFAULT_TRANSITION_SECONDS;
+    this.transition = null;
+  }
+
+  setMode(mode, animate = true) {
+    const target = SCALE_MODES[mode];
+    if (!target) {
+      console.warn(`未知的比例模式: ${mode}`);
+      return;
+    }
+    this.mode = mode;
+    if (!animate || this.transitionSeconds <= 0) {
+      this.trueSize = target.trueSize;
+      this.trueDistance = target.trueDistance;
+      this.transition = null;
+      return;
+    }
+    this.transition = {
+      elapsed: 0,
+      from: { trueSize: this.trueSize, trueDistance: this.trueDistance },
+      to: target
+    };
+  }
+
+  isTransitioning() {
+    return this.transition !== null;
+  }
+
+  // 推进过渡动画；混合系数有变化时返回true
+  update(delta) {
+    const transition = this.transition;
+    if (!transition) return false;
+
+    transition.elapsed += delta;
+    const progress = Math.min(transition.elapsed / this.transitionSeconds, 1);
+    const t = easeInOutCubic(progress);
+    this.trueSize = THREE.MathUtils.lerp(transition.from.trueSize, transition.to.trueSize, t);
+    this.trueDistance = THREE.MathUtils.lerp(transition.from.trueDistance, transition.to.trueDistance, t);
+    if (progress >= 1) {
+      this.transition = null;
+    }
+    return true;
+  }
+
+  // 真实大小所用的单位：距离为示意值时以太阳为基准，距离为真实值时与日心距离相同
+  getUnitsPerKm() {
+    return blendScale(this.sunAnchoredUnitsPerKm, TRUE_DISTANCE_UNITS_PER_KM, this.trueDistance);
+  }
+
+  // 天体在场景中的半径
+  getBodyRadius(body) {
+    return blendScale(body.radius, body.radiusKm * this.getUnitsPerKm(), this.trueSize);
+  }
+
+  // 卫星到行星的距离与天体大小同属一个比例，使行星系统内部的比例一致
+  getSatelliteDistance(schematicDistance, distanceKm) {
+    return blendScale(schematicDistance, distanceKm * this.getUnitsPerKm(), this.trueSize);
+  }
+}
@@ -0,0 +1,175 @@
+// GUI设置的保存和命名预设：当前设置和用户保存的预设都存放在localStorage中，预设可以导入、导出为JSON文件
+//
+// 设置的格式为 { 分组: { 键: 值 } }，分组对应GUI中的一个对象（如speed、orbit，见main.js）；
+// 预设只需列出与默认值不同的项，应用预设时其余项恢复为默认值
+//
+// 保存的数据和导出的文件都带有格式版本号。修改设置的格式时增加SETTINGS_VERSION，
+// 并在MIGRATIONS中加入把旧版本升级到下一版本的函数，旧的设置和预设文件读入时逐级升级；
+// 读入后再按当前的GUI逐项核对，不认识的分组和键被忽略，因此只增加新设置项时不需要升级函数
+
+const STORAGE_KEY = 'solar-system-settings';
+export const SETTINGS_VERSION = 1;
+
+// MIGRATIONS[n]: 版本n的数据 -> 版本n+1的数据
+const MIGRATIONS = {};
+
+// 内置预设，不能删除或覆盖；键为预设的id，显示的名称在 src/locales/ 下各语言的presets中
+export const BUILTIN_PRESETS = {
+  seasons: {
+    speed: { earthRotationSpeed: 20 },
+    orbit: {
+      showMoonOrbit: false,
+      showMoonAxis: false,
+      showMoonFace: false,
+      showMoonFaceLine: false,
+      showMoonNodes: false,
+      showMoonApsides: false
+    }
+  },
+  moonStudy: {
+    speed: { earthRotationSpeed: 2 },
+    orbit: {
+      showEarthEquator: false,
+      showPerihelion: false,
+      showAphelion: false,
+      showSummerSolstice: false,
+      showWinterSolstice: false,
+      showEquinoxes: false,
+      showAriesDirection: false
+    }
+  },
+  cleanRender: {
+    orbit: {
+      showEarthOrbit: false,
+      showMoonOrbit: false,
+      showEarthEquator: false,
+      showEarthAxis: false,
+      showMoonAxis: false,
+      showMoonFace: false,
+      showMoonFaceLine: false,
+      showMoonNodes: false,
+      showMoonApsides: false,
+      showPerihelion: false,
+      showAphelion: false,
+      showSummerSolstice: false,
+      showWinterSolstice: false,
+      showEquinoxes: false,
+      showAriesDirection: false
+    },
+    markerDisplay: { visible: false, showLabels: false }
+  }
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// 把任意版本的数据升级到当前版本；版本号无效或比当前版本新时抛出错误
+export function migrateSettings(data) {
+  if (!isPlainObject(data) || !Number.isInteger(data.version) || data.version < 1) {
+    throw new Error('设置数据缺少有效的版本号');
+  }
+  if (data.version > SETTINGS_VERSION) {
+    throw new Error(`设置数据的版本${data.version}比当前版本${SETTINGS_VERSION}新`);
+  }
+  let migrated = data;
+  for (let version = data.version; version < SETTINGS_VERSION; version++) {
+    migrated = { ...MIGRATIONS[version](migrated), version: version + 1 };
+  }
+  return migrated;
+}
+
+// 只保留 { 分组: { 键: 值 } } 形式的数据
+function sanitizeSettings(settings) {
+  if (!isPlainObject(settings)) return null;
+  return Object.fromEntries(Object.entries(settings).filter(([, values]) => isPlainObject(values)));
+}
+
+function sanitizePresets(presets) {
+  if (!isPlainObject(presets)) return {};
+  return Object.fromEntries(Object.entries(presets)
+    .map(([name, settings]) => [name, sanitizeSettings(settings)])
+    .filter(([name, settings]) => settings && !BUILTIN_PRESETS[name]));
+}
+
+export class SettingsStore {
+  constructor(storageKey = STORAGE_KEY) {
+    this.storageKey = storageKey;
+    this.current = null;
+    this.presets = {};
+    this.load();
+  }
+
+  // 上次保存的设置，没有保存过时为null
+  getCurrent() {
+    return this.current;
+  }
+
+  saveCurrent(settings) {
+    this.current = settings;
+    this.save();
+  }
+
+  getPresetNames() {
+    return [...Object.keys(BUILTIN_PRESETS), ...Object.keys(this.presets)];
+  }
+
+  getPreset(name) {
+    return BUILTIN_PRESETS[name] || this.presets[name] || null;
+  }
+
+  isBuiltinPreset(name) {
+    return Boolean(BUILTIN_PRESETS[name]);
+  }
+
+  savePreset(name, settings) {
+    if (this.isBuiltinPreset(name)) {
+      console.warn(`不能覆盖内置预设: ${name}`);
+      return false;
+    }
+    this.presets[name] = settings;
+    this.save();
+    return true;
+  }
+
+  removePreset(name) {
+    if (!this.presets[name]) return;
+    delete this.presets[name];
+    this.save();
+  }
+
+  // 导出用户保存的预设，内置预设不导出
+  exportPresets() {
+    return { version: SETTINGS_VERSION, presets: this.presets };
+  }
+
+  // 导入JSON文件中的预设，同名的预设被替换；返回导入的预设名称
+  importPresets(text) {
+    const data = migrateSettings(JSON.parse(text));
+    const presets = sanitizePresets(data.presets);
+    Object.assign(this.presets, presets);
+    this.save();
+    return Object.keys(presets);
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey));
+      if (!saved) return;
+      const data = migrateSettings(saved);
+      this.current = sanitizeSettings(data.current);
+      this.presets = sanitizePresets(data.presets);
+    } catch (error) {
+      console.warn('读取保存的设置失败:', error);
+    }
+  }
+
+  save() {
+    const data = { version: SETTINGS_VERSION, current: this.current, presets: this.presets };
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(data));
+    } catch (error) {
+      console.warn('保存设置失败:', error);
+    }
+  }
+}
@@ -0,0 +1,77 @@
+import * as THREE from 'three';
+
+// 地球和月球的本影锥、半影锥示意
+// 锥体按场景中的太阳、地球和月球大小绘制，只表示影锥的形状：本影收拢、半影张开；
+// 月面和地面上的阴影另按真实比例计算（见eclipseShading.js）
+
+const SUN_POSITION = new THREE.Vector3(0, 0, 0);
+const UP = new THREE.Vector3(0, 1, 0);
+
+export class ShadowCones {
+  constructor(parent) {
+    this.group = new THREE.Group();
+    parent.add(this.group);
+
+    this.earthUmbra = this.createCone(0x4466aa, 0.35);
+    this.earthPenumbra = this.createCone(0x8899cc, 0.12);
+    this.moonUmbra = this.createCone(0x4466aa, 0.35);
+    this.moonPenumbra = this.createCone(0x8899cc, 0.12);
+  }
+
+  // 单位圆台：顶面半径和底面半径都为1，高为1；更新时按顶点所在的一端分别缩放
+  createCone(color, opacity) {
+    const geometry = new THREE.CylinderGeometry(1, 1, 1, 48, 1, true);
+    geometry.userData.basePositions = geometry.attributes.position.array.slice();
+
+    const material = new THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      opacity,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    });
+
+    const cone = new THREE.Mesh(geometry, material);
+    this.group.add(cone);
+    return cone;
+  }
+
+  setVisible(visible) {
+    this.group.visible = visible;
+  }
+
+  // sunRadius为场景中太阳的半径；length为锥体画出的长度
+  update(sunRadius, earthPosition, earthRadius, earthLength, moonPosition, moonRadius, moonLength) {
+    if (!this.group.visible) return;
+    this.updateBodyCones(this.earthUmbra, this.earthPenumbra, sunRadius, earthPosition, earthRadius, earthLength);
+    this.updateBodyCones(this.moonUmbra, this.moonPenumbra, sunRadius, moonPosition, moonRadius, moonLength);
+  }
+
+  updateBodyCones(umbra, penumbra, sunRadius, position, radius, length) {
+    const distance = position.distanceTo(SUN_POSITION);
+    const axis = position.clone().sub(SUN_POSITION).normalize();
+
+    // 本影锥顶到天体的距离，超出画出的长度时截断
+    const umbraLength = Math.min(distance * radius / (sunRadius - radius), length);
+    const umbraEndRadius = Math.max(radius - umbraLength * (sunRadius - radius) / distance, 0);
+    this.setCone(umbra, position, axis, radius, umbraEndRadius, umbraLength);
+    this.setCone(penumbra, position, axis, radius, radius + length * (sunRadius + radius) / distance, length);
+  }
+
+  // 从天体中心沿背离太阳的方向画出圆台
+  setCone(cone, origin, axis, startRadius, endRadius, length) {
+    cone.position.copy(origin).addScaledVector(axis, length / 2);
+    // 圆台的+y端（顶面）朝向太阳
+    cone.quaternion.setFromUnitVectors(UP, axis.clone().negate());
+
+    const positions = cone.geometry.attributes.position;
+    const base = cone.geometry.userData.basePositions;
+    for (let i = 0; i < positions.count; i++) {
+      const y = base[i * 3 + 1];
+      const radius = y > 0 ? startRadius : endRadius;
+      positions.setXYZ(i, base[i * 3] * radius, y * length, base[i * 3 + 2] * radius);
+    }
+    positions.needsUpdate = true;
+    cone.geometry.computeBoundingSphere();
+  }
+}
@@ -0,0 +1,93 @@
+// 模拟时钟
+// 以"每真实秒对应的模拟秒数"为速率对时间积分，修改速率、暂停或倒放都不会让天体跳变
+
+export const SECONDS_PER_HOUR = 3600;
+export const SECONDS_PER_DAY = 86400;
+// 恒星月：月球相对恒星公转一周的时间
+export const SIDEREAL_MONTH_SECONDS = 27.321661 * SECONDS_PER_DAY;
+
+// 单帧允许积分的最长真实时间，避免标签页切回时天体跳动
+const MAX_FRAME_SECONDS = 0.1;
+
+export class SimulationClock {
+  constructor({ startDate = new Date(), rate = 1 } = {}) {
+    this.time = startDate.getTime();
+    this.rate = rate;
+    this.paused = false;
+    this.reversed = false;
+    this.listeners = [];
+  }
+
+  // 每帧调用，按真实经过的秒数推进模拟时间
+  tick(realDeltaSeconds) {
+    if (this.paused) return;
+    const delta = Math.min(realDeltaSeconds, MAX_FRAME_SECONDS);
+    this.advance(delta * this.rate * (this.reversed ? -1 : 1));
+  }
+
+  advance(simSeconds) {
+    this.time += simSeconds * 1000;
+  }
+
+  // 单步前进或后退，暂停时同样有效
+  step(simSeconds) {
+    this.advance(simSeconds);
+    this.notify();
+  }
+
+  jumpTo(date) {
+    this.time = date.getTime();
+    this.notify();
+  }
+
+  setRate(rate) {
+    this.rate = rate;
+    this.notify();
+  }
+
+  setPaused(paused) {
+    this.paused = paused;
+    this.notify();
+  }
+
+  togglePaused() {
+    this.setPaused(!this.paused);
+  }
+
+  setReversed(reversed) {
+    this.reversed = reversed;
+    this.notify();
+  }
+
+  getDate() {
+    return new Date(this.time);
+  }
+
+  // 状态变化（跳转、单步、暂停、速率）时的回调，用于同步GUI；返回取消监听的函数
+  onChange(listener) {
+    this.listeners.push(listener);
+    return () => {
+      const index = this.listeners.indexOf(listener);
+      if (index >= 0) this.listeners.splice(index, 1);
+    };
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener(this));
+  }
+}
+
+// 解析"YYYY-MM-DD"或"YYYY-MM-DD HH:mm"格式的UTC时间，无法解析时返回null
+export function parseUTCDate(text) {
+  const match = /^\s*(-?\d{1,6})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?\s*(?:UTC|Z)?\s*$/i.exec(text);
+  if (!match) return null;
+
+  const [year, month, day, hour, minute, second] = match.slice(1).map((value) => Number(value || 0));
+  const date = new Date(Date.UTC(2000, month - 1, day, hour, minute, second));
+  // Date.UTC会把0-99年当作1900年代，单独设置年份
+  date.setUTCFullYear(year);
+  // 超出范围的字段（如13月、2月30日、25时）会被进位成另一个日期，各字段不变才算有效
+  const valid = date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day &&
+    date.getUTCHours() === hour && date.getUTCMinutes() === minute && date.getUTCSeconds() === second;
+  return valid ? date : null;
+}
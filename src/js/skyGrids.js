@@ -0,0 +1,129 @@
+import * as THREE from 'three';
+import { eclipticToScene } from './coordinates.js';
+
+// 天球上的黄道坐标网和赤道坐标网
+// 两个坐标网都以当时的春分点为经度零点，与星空一样跟随摄像机平移；
+// 赤道坐标网由黄道坐标网绕春分点方向倾斜黄赤交角得到，深时模式中随黄赤交角变化重建
+
+const DEG = Math.PI / 180;
+
+// 坐标网所在球面的半径，略小于星空球，画在恒星前面
+const GRID_RADIUS = 880;
+// 经线和纬线的间隔（度）
+const GRID_STEP = 15;
+// 画圆时每段的角度（度）
+const SEGMENT_DEGREES = 2;
+
+export const SKY_GRID_COLORS = {
+  ecliptic: '#c8a040',
+  equatorial: '#4a86c8'
+};
+
+export class SkyGrids {
+  constructor(scene) {
+    this.group = new THREE.Group();
+    this.group.renderOrder = -1;
+    scene.add(this.group);
+
+    this.obliquity = null;
+
+    // 每个坐标网分为网格和基圈（黄道、天赤道）两部分，基圈画得更醒目
+    this.eclipticGrid = this.createGrid(SKY_GRID_COLORS.ecliptic);
+    this.equatorialGrid = this.createGrid(SKY_GRID_COLORS.equatorial);
+    this.setGridPositions(this.eclipticGrid, 0);
+  }
+
+  createGrid(color) {
+    const grid = new THREE.Group();
+    const createLines = (opacity) => {
+      const material = new THREE.LineBasicMaterial({
+        color,
+        transparent: true,
+        opacity,
+        depthWrite: false
+      });
+      const lines = new THREE.LineSegments(new THREE.BufferGeometry(), material);
+      lines.renderOrder = -1;
+      lines.frustumCulled = false;
+      grid.add(lines);
+      return lines;
+    };
+    grid.userData.lines = createLines(0.25);
+    grid.userData.baseCircle = createLines(0.8);
+    this.group.add(grid);
+    return grid;
+  }
+
+  // tilt为坐标网的基圈相对黄道绕春分点方向的倾角：黄道坐标网为0，赤道坐标网为黄赤交角
+  setGridPositions(grid, tilt) {
+    const cos = Math.cos(tilt);
+    const sin = Math.sin(tilt);
+    const point = new THREE.Vector3();
+    // 经度、纬度（弧度） -> 场景坐标
+    const toScene = (longitude, latitude) => {
+      const x = Math.cos(latitude) * Math.cos(longitude);
+      const y = Math.cos(latitude) * Math.sin(longitude);
+      const z = Math.sin(latitude);
+      return eclipticToScene(x, y * cos + z * sin, -y * sin + z * cos, point).multiplyScalar(GRID_RADIUS);
+    };
+    const pushCircle = (positions, pointAt) => {
+      const previous = new THREE.Vector3();
+      for (let angle = 0; angle <= 360; angle += SEGMENT_DEGREES) {
+        const current = pointAt(angle * DEG);
+        if (angle > 0) {
+          positions.push(previous.x, previous.y, previous.z, current.x, current.y, current.z);
+        }
+        previous.copy(current);
+      }
+    };
+
+    const lines = [];
+    for (let latitude = -90 + GRID_STEP; latitude < 90; latitude += GRID_STEP) {
+      if (latitude === 0) continue;
+      pushCircle(lines, (angle) => toScene(angle, latitude * DEG));
+    }
+    // 经线从南极画到北极，只取半个圆
+    for (let longitude = 0; longitude < 360; longitude += GRID_STEP) {
+      const meridian = [];
+      pushCircle(meridian, (angle) => toScene(longitude * DEG, angle / 2 - Math.PI / 2));
+      lines.push(...meridian);
+    }
+    const baseCircle = [];
+    pushCircle(baseCircle, (angle) => toScene(angle, 0));
+
+    const { lines: gridLines, baseCircle: baseLines } = grid.userData;
+    gridLines.geometry.setAttribute('position', new THREE.Float32BufferAttribute(lines, 3));
+    baseLines.geometry.setAttribute('position', new THREE.Float32BufferAttribute(baseCircle, 3));
+  }
+
+  setObliquity(obliquity) {
+    if (this.obliquity !== null && Math.abs(obliquity - this.obliquity) < 1e-5) return;
+    this.obliquity = obliquity;
+    this.setGridPositions(this.equatorialGrid, obliquity);
+  }
+
+  // 坐标网绕黄道北极转动的角度，与星空的转角相差春分点的岁差
+  setOrientation(angle) {
+    this.group.rotation.y = angle;
+  }
+
+  setEclipticVisible(visible) {
+    this.eclipticGrid.visible = visible;
+  }
+
+  setEquatorialVisible(visible) {
+    this.equatorialGrid.visible = visible;
+  }
+
+  setEclipticColor(color) {
+    this.eclipticGrid.children.forEach((lines) => lines.material.color.set(color));
+  }
+
+  setEquatorialColor(color) {
+    this.equatorialGrid.children.forEach((lines) => lines.material.color.set(color));
+  }
+
+  update(camera) {
+    this.group.position.copy(camera.position);
+  }
+}
@@ -0,0 +1,238 @@
+import * as THREE from 'three';
+import catalogData from '../data/stars.json';
+import { OBLIQUITY_J2000 } from './ephemeris.js';
+import { eclipticToScene } from './coordinates.js';
+import { t } from './i18n.js';
+
+// 亮星星表和星座连线：数据来自 src/data/stars.json
+//
+// 每颗恒星的字段：
+//   id, ra（J2000赤经，小时）, dec（J2000赤纬，度）, mag（目视星等）, bv（B−V色指数）
+// 每个星座的字段：
+//   id（国际通用缩写）, lines: 若干条折线，每条为按顺序连接的恒星id
+// 恒星和星座的名称在 src/locales/ 下各语言的stars、constellations中，按id查找
+//
+// 恒星先由赤道坐标换到J2000黄道坐标，再换到场景坐标（y轴为黄道北极），
+// 因此黄道面上的恒星位于场景的xz平面附近，北天极在黄经90°、黄纬90°−黄赤交角处
+
+const HOURS_TO_RADIANS = Math.PI / 12;
+const DEG = Math.PI / 180;
+
+// 星空球的半径，需小于摄像机的远裁剪面
+export const STARFIELD_RADIUS = 900;
+
+// 亮于该星等的恒星显示名称
+const BRIGHT_STAR_LABEL_MAGNITUDE = 1.5;
+
+export const stars = catalogData.stars;
+export const constellations = catalogData.constellations;
+
+const starMap = new Map(stars.map((star) => [star.id, star]));
+
+export function getStar(id) {
+  return starMap.get(id);
+}
+
+// J2000赤道坐标 -> J2000黄道坐标下的单位向量 -> 场景方向
+export function starToScene(star, target = new THREE.Vector3()) {
+  const ra = star.ra * HOURS_TO_RADIANS;
+  const dec = star.dec * DEG;
+  const x = Math.cos(dec) * Math.cos(ra);
+  const y = Math.cos(dec) * Math.sin(ra);
+  const z = Math.sin(dec);
+  const cos = Math.cos(OBLIQUITY_J2000);
+  const sin = Math.sin(OBLIQUITY_J2000);
+  return eclipticToScene(x, y * cos + z * sin, -y * sin + z * cos, target);
+}
+
+// B−V色指数 -> 颜色：先由Ballesteros公式估算色温，再按黑体颜色的近似拟合换成RGB
+export function bvToColor(bv, target = new THREE.Color()) {
+  const index = THREE.MathUtils.clamp(bv, -0.4, 2.0);
+  const temperature = 4600 * (1 / (0.92 * index + 1.7) + 1 / (0.92 * index + 0.62));
+  const t = temperature / 100;
+
+  const red = t <= 66 ? 255 : 329.698727446 * Math.pow(t - 60, -0.1332047592);
+  const green = t <= 66
+    ? 99.4708025861 * Math.log(t) - 161.1195681661
+    : 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+  const blue = t >= 66 ? 255 : t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+
+  const clamp = (value) => THREE.MathUtils.clamp(value, 0, 255) / 255;
+  return target.setRGB(clamp(red), clamp(green), clamp(blue), THREE.SRGBColorSpace);
+}
+
+// 星等 -> 点的像素大小：每亮1等，大小约乘以1.26（亮度的平方根）
+function magnitudeToSize(magnitude) {
+  return THREE.MathUtils.clamp(3.2 * Math.pow(10, -0.2 * (magnitude - 2)), 1.5, 12);
+}
+
+const starVertexShader = `
+attribute float size;
+attribute float brightness;
+varying vec3 vColor;
+varying float vBrightness;
+
+void main() {
+  vColor = color;
+  vBrightness = brightness;
+  vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+  gl_PointSize = size * pixelRatio;
+  gl_Position = projectionMatrix * mvPosition;
+}
+`;
+
+const starFragmentShader = `
+varying vec3 vColor;
+varying float vBrightness;
+
+void main() {
+  // 圆形的星点，中心亮、边缘柔和
+  float distance = length(gl_PointCoord - vec2(0.5));
+  if (distance > 0.5) discard;
+  float intensity = smoothstep(0.5, 0.0, distance) * vBrightness;
+  gl_FragColor = vec4(vColor * intensity, 1.0);
+  #include <tonemapping_fragment>
+  #include <colorspace_fragment>
+}
+`;
+
+// 星空：恒星、星座连线和星座名称都放在一个组中，组跟随摄像机平移，使恒星相当于位于无穷远处
+export class Starfield {
+  // createLabel(text, position, color, options)返回名称标签的锚点对象（见labelLayer.js），text为返回当前语言名称的函数
+  constructor(scene, createLabel) {
+    this.createLabel = createLabel;
+    this.group = new THREE.Group();
+    // 先于其他物体绘制，且不写入深度，不会遮挡天体
+    this.group.renderOrder = -1;
+    scene.add(this.group);
+
+    this.points = this.createStars();
+    this.group.add(this.points);
+
+    this.constellationLines = this.createConstellationLines();
+    this.group.add(this.constellationLines);
+
+    this.constellationLabels = new THREE.Group();
+    constellations.forEach((constellation) => {
+      const label = this.createLabel(() => t(`constellations.${constellation.id}`), this.getConstellationCenter(constellation),
+        '#7f9fcf', { group: 'constellation', priority: -1 });
+      this.constellationLabels.add(label);
+    });
+    this.group.add(this.constellationLabels);
+
+    // 亮星和北极星的名称
+    this.starLabels = new THREE.Group();
+    stars.filter((star) => star.mag < BRIGHT_STAR_LABEL_MAGNITUDE || star.id === 'polaris').forEach((star) => {
+      const position = starToScene(star).multiplyScalar(STARFIELD_RADIUS * 0.98);
+      this.starLabels.add(this.createLabel(() => t(`stars.${star.id}`), position, '#d8d8c0', { group: 'star', priority: -2 }));
+    });
+    this.group.add(this.starLabels);
+  }
+
+  createStars() {
+    const positions = [];
+    const colors = [];
+    const sizes = [];
+    const brightness = [];
+    const direction = new THREE.Vector3();
+    const color = new THREE.Color();
+
+    stars.forEach((star) => {
+      starToScene(star, direction).multiplyScalar(STARFIELD_RADIUS);
+      positions.push(direction.x, direction.y, direction.z);
+      bvToColor(star.bv, color);
+      colors.push(color.r, color.g, color.b);
+      sizes.push(magnitudeToSize(star.mag));
+      // 暗星的亮度也相应降低
+      brightness.push(THREE.MathUtils.clamp(1.3 - star.mag * 0.2, 0.35, 1.6));
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    geometry.setAttribute('size', new THREE.Float32BufferAttribute(sizes, 1));
+    geometry.setAttribute('brightness', new THREE.Float32BufferAttribute(brightness, 1));
+
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        pixelRatio: { value: Math.min(window.devicePixelRatio, 2) }
+      },
+      vertexShader: starVertexShader,
+      fragmentShader: starFragmentShader,
+      vertexColors: true,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    });
+
+    const points = new THREE.Points(geometry, material);
+    points.renderOrder = -1;
+    points.frustumCulled = false;
+    return points;
+  }
+
+  createConstellationLines() {
+    const positions = [];
+    const start = new THREE.Vector3();
+    const end = new THREE.Vector3();
+    constellations.forEach((constellation) => {
+      constellation.lines.forEach((line) => {
+        for (let i = 1; i < line.length; i++) {
+          starToScene(getStar(line[i - 1]), start).multiplyScalar(STARFIELD_RADIUS);
+          starToScene(getStar(line[i]), end).multiplyScalar(STARFIELD_RADIUS);
+          positions.push(start.x, start.y, start.z, end.x, end.y, end.z);
+        }
+      });
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    const material = new THREE.LineBasicMaterial({
+      color: 0x3a5f8f,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    });
+
+    const lines = new THREE.LineSegments(geometry, material);
+    lines.renderOrder = -1;
+    lines.frustumCulled = false;
+    return lines;
+  }
+
+  // 星座名称放在星座各恒星方向的平均方向上
+  getConstellationCenter(constellation) {
+    const center = new THREE.Vector3();
+    const direction = new THREE.Vector3();
+    const ids = new Set(constellation.lines.flat());
+    ids.forEach((id) => center.add(starToScene(getStar(id), direction)));
+    return center.normalize().multiplyScalar(STARFIELD_RADIUS * 0.98);
+  }
+
+  setConstellationsVisible(visible) {
+    this.constellationLines.visible = visible;
+  }
+
+  setConstellationNamesVisible(visible) {
+    this.constellationLabels.visible = visible;
+  }
+
+  setStarNamesVisible(visible) {
+    this.starLabels.visible = visible;
+  }
+
+  setConstellationColor(color) {
+    this.constellationLines.material.color.set(color);
+  }
+
+  setVisible(visible) {
+    this.group.visible = visible;
+  }
+
+  // 星空绕黄道北极转动的角度：使北天极与场景中地球自转轴的指向一致（见main.js）
+  setOrientation(angle) {
+    this.group.rotation.y = angle;
+  }
+
+  update(camera) {
+    this.group.position.copy(camera.position);
+  }
+}
@@ -0,0 +1,100 @@
+// 不压缩（store方式）的ZIP文件：用于把延时录制的PNG序列打包下载，PNG本身已经压缩过，不需要再压缩
+// 不支持ZIP64，总大小不能超过4GB，文件数不能超过65535
+
+const CRC_TABLE = new Uint32Array(256).map((value, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc;
+});
+
+const MAX_ZIP_SIZE = 0xffffffff;
+const MAX_ZIP_ENTRIES = 0xffff;
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// ZIP中的时间为MS-DOS格式的本地时间，精度2秒
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// 逐个加入文件，最后由toBlob()生成ZIP；文件内容以Blob保存，不必全部读入内存
+export class ZipWriter {
+  constructor() {
+    this.entries = [];
+    this.offset = 0;
+    this.parts = [];
+  }
+
+  // data为Blob；读出内容只是为了计算CRC
+  async addFile(name, data, modified = new Date()) {
+    if (this.entries.length >= MAX_ZIP_ENTRIES) {
+      throw new Error(`ZIP文件最多只能包含${MAX_ZIP_ENTRIES}个文件`);
+    }
+    const nameBytes = new TextEncoder().encode(name);
+    const crc = crc32(new Uint8Array(await data.arrayBuffer()));
+    const { time, date } = dosDateTime(modified);
+    if (this.offset + 30 + nameBytes.length + data.size > MAX_ZIP_SIZE) {
+      throw new Error('ZIP文件超过4GB');
+    }
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true);
+    header.setUint16(4, 20, true);
+    // 文件名为UTF-8
+    header.setUint16(6, 0x0800, true);
+    header.setUint16(8, 0, true);
+    header.setUint16(10, time, true);
+    header.setUint16(12, date, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, data.size, true);
+    header.setUint32(22, data.size, true);
+    header.setUint16(26, nameBytes.length, true);
+    header.setUint16(28, 0, true);
+
+    this.entries.push({ nameBytes, crc, time, date, size: data.size, offset: this.offset });
+    this.parts.push(header, nameBytes, data);
+    this.offset += 30 + nameBytes.length + data.size;
+  }
+
+  toBlob() {
+    const directoryParts = [];
+    let directorySize = 0;
+    this.entries.forEach((entry) => {
+      const record = new DataView(new ArrayBuffer(46));
+      record.setUint32(0, 0x02014b50, true);
+      record.setUint16(4, 20, true);
+      record.setUint16(6, 20, true);
+      record.setUint16(8, 0x0800, true);
+      record.setUint16(10, 0, true);
+      record.setUint16(12, entry.time, true);
+      record.setUint16(14, entry.date, true);
+      record.setUint32(16, entry.crc, true);
+      record.setUint32(20, entry.size, true);
+      record.setUint32(24, entry.size, true);
+      record.setUint16(28, entry.nameBytes.length, true);
+      record.setUint32(42, entry.offset, true);
+      directoryParts.push(record, entry.nameBytes);
+      directorySize += 46 + entry.nameBytes.length;
+    });
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, this.offset, true);
+
+    return new Blob([...this.parts, ...directoryParts, end], { type: 'application/zip' });
+  }
+}